@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+/**
+ * Утилита командной строки для поиска банков и проверки счетов
+ *
+ *   bic lookup 044525225
+ *   bic search "сбербанк" --status ACTIVE --type BANK
+ *   bic validate-account 044525225 40702810938000000001
+ *
+ * Если запросы не переданы аргументами, они читаются из stdin (по одному в строке).
+ * Токен берется из переменной окружения DADATA_API_KEY или из файла конфигурации.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DaDataAPI, Utils, AuthError, QuotaError, BatchResolver } = require('../index.js');
+
+// Коды завершения
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    NOT_FOUND: 3,
+    AUTH: 4,
+    QUOTA: 5
+};
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Использование:
+  bic lookup [БИК|SWIFT|ИНН ...]            Точный поиск банка
+  bic search <запрос> [--status S] [--type T] [--count N]
+                                            Поиск по названию, адресу, БИК
+  bic validate-account [<БИК> <счет>]       Проверка контрольного ключа счета
+
+Без аргументов запросы читаются из stdin, по одному в строке
+(для validate-account - "БИК счет").
+
+Параметры:
+  -f, --format table|json|csv   Формат вывода (по умолчанию table)
+  --status ACTIVE,LIQUIDATING   Статусы организаций для search
+  --type BANK,BANK_BRANCH       Типы организаций для search
+  --count N                     Количество результатов search (по умолчанию 10)
+  --config <файл>               Файл конфигурации (JSON: { "token", "proxyURL", "apiURL" })
+  -h, --help                    Эта справка
+
+Токен DaData: переменная окружения DADATA_API_KEY или поле "token" в файле
+конфигурации (BIC_CONFIG или ~/.config/bic/config.json). Вместо токена можно
+указать адрес прокси-сервера (server/proxy.js): DADATA_PROXY_URL или "proxyURL".
+Адрес API DaData можно переопределить: DADATA_API_URL или "apiURL".
+
+Коды завершения: 0 - успешно, 1 - ошибка или счет не прошел проверку,
+2 - неверные аргументы, 3 - банк не найден, 4 - ошибка авторизации,
+5 - исчерпан лимит запросов.`;
+
+/**
+ * Ошибка в аргументах командной строки
+ */
+class UsageError extends Error {}
+
+/**
+ * Утилита командной строки
+ */
+class BicCLI {
+    /**
+     * @param {Object} io - Окружение процесса (для тестов)
+     * @param {stream.Readable} io.stdin - Поток ввода
+     * @param {stream.Writable} io.stdout - Поток вывода
+     * @param {stream.Writable} io.stderr - Поток ошибок
+     * @param {Object} io.env - Переменные окружения
+     */
+    constructor(io = {}) {
+        this.stdin = io.stdin || process.stdin;
+        this.stdout = io.stdout || process.stdout;
+        this.stderr = io.stderr || process.stderr;
+        this.env = io.env || process.env;
+    }
+
+    /**
+     * Разбор аргументов командной строки
+     * @param {Array<string>} argv - Аргументы без "node" и имени скрипта
+     * @returns {Object} - { command, args, options }
+     */
+    static parseArgs(argv) {
+        const options = { format: 'table', status: null, type: null, count: 10, config: null, help: false };
+        const positional = [];
+        const valueOptions = { '-f': 'format', '--format': 'format', '--status': 'status', '--type': 'type', '--count': 'count', '--config': 'config' };
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+                ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+                : [arg, undefined];
+
+            if (flag === '-h' || flag === '--help') {
+                options.help = true;
+            } else if (valueOptions[flag]) {
+                const value = inlineValue !== undefined ? inlineValue : argv[++i];
+                if (value === undefined) {
+                    throw new UsageError(`Не указано значение для ${flag}`);
+                }
+                options[valueOptions[flag]] = value;
+            } else if (flag.startsWith('-') && flag.length > 1) {
+                throw new UsageError(`Неизвестный параметр: ${flag}`);
+            } else {
+                positional.push(arg);
+            }
+        }
+
+        if (!FORMATS.includes(options.format)) {
+            throw new UsageError(`Неизвестный формат: ${options.format}. Допустимо: ${FORMATS.join(', ')}`);
+        }
+
+        options.count = Number(options.count);
+        if (!Number.isInteger(options.count) || options.count < 1 || options.count > 20) {
+            throw new UsageError('--count должен быть числом от 1 до 20');
+        }
+
+        options.status = BicCLI.parseList(options.status);
+        options.type = BicCLI.parseList(options.type);
+
+        return { command: positional[0] || null, args: positional.slice(1), options };
+    }
+
+    /**
+     * Разбор списка значений через запятую
+     * @param {string|null} value - Значение параметра
+     * @returns {Array<string>|null} - Значения в верхнем регистре
+     */
+    static parseList(value) {
+        if (!value) {
+            return null;
+        }
+        return value.split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+    }
+
+    /**
+     * Загрузка конфигурации: переменные окружения важнее файла
+     * @param {string|null} configPath - Путь из --config
+     * @returns {Object} - { token, proxyURL, apiURL }
+     */
+    loadConfig(configPath = null) {
+        const explicitPath = configPath || this.env.BIC_CONFIG;
+        const configHome = this.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+        const filePath = explicitPath || path.join(configHome, 'bic', 'config.json');
+        let fileConfig = {};
+
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            // Файл по умолчанию необязателен, явно указанный - обязателен
+            if (explicitPath || error.code !== 'ENOENT') {
+                throw new UsageError(`Не удалось прочитать конфигурацию ${filePath}: ${error.message}`);
+            }
+        }
+
+        return {
+            token: this.env.DADATA_API_KEY || fileConfig.token || null,
+            proxyURL: this.env.DADATA_PROXY_URL || fileConfig.proxyURL || null,
+            apiURL: this.env.DADATA_API_URL || fileConfig.apiURL || null
+        };
+    }
+
+    /**
+     * Запуск команды
+     * @param {Array<string>} argv - Аргументы без "node" и имени скрипта
+     * @returns {Promise<number>} - Код завершения
+     */
+    async run(argv) {
+        let parsed;
+
+        try {
+            parsed = BicCLI.parseArgs(argv);
+        } catch (error) {
+            return this.fail(error);
+        }
+
+        const { command, args, options } = parsed;
+
+        if (options.help || !command) {
+            this.stdout.write(`${USAGE}\n`);
+            return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+        }
+
+        try {
+            switch (command) {
+                case 'lookup':
+                    return await this.lookup(args, options);
+                case 'search':
+                    return await this.search(args, options);
+                case 'validate-account':
+                    return await this.validateAccount(args, options);
+                default:
+                    throw new UsageError(`Неизвестная команда: ${command}`);
+            }
+        } catch (error) {
+            return this.fail(error);
+        }
+    }
+
+    /**
+     * Точный поиск банков по БИК, SWIFT или ИНН
+     * @param {Array<string>} args - Идентификаторы
+     * @param {Object} options - Параметры
+     * @returns {Promise<number>} - Код завершения
+     */
+    async lookup(args, options) {
+        const queries = args.length > 0 ? args : await this.readLines();
+
+        if (queries.length === 0) {
+            throw new UsageError('Укажите БИК, SWIFT или ИНН');
+        }
+
+        const api = this.createClient(options);
+        const rows = [];
+
+        for (const query of queries) {
+            rows.push(await this.lookupOne(api, query));
+        }
+
+        this.print(rows.map(row => ({
+            query: row.query,
+            status: row.status,
+            ...BicCLI.bankColumns(row.bank),
+            error: row.error
+        })), options.format, ['query', 'status', 'bic', 'name', 'correspondentAccount', 'inn', 'state', 'error']);
+
+        if (rows.some(row => row.status === 'error')) {
+            return EXIT_CODES.FAILURE;
+        }
+        return rows.some(row => row.status !== 'found') ? EXIT_CODES.NOT_FOUND : EXIT_CODES.OK;
+    }
+
+    /**
+     * Поиск одного банка; ошибки авторизации и лимита прерывают всю пачку
+     * @param {DaDataAPI} api - API клиент
+     * @param {string} query - Идентификатор
+     * @returns {Promise<Object>} - { query, status, bank, error }
+     */
+    async lookupOne(api, query) {
+        const type = Utils.detectIdentifierType(query) || (Utils.validateSWIFT(query.toUpperCase()) ? 'swift' : null);
+
+        if (!type) {
+            return { query, status: 'invalid', bank: null, error: 'Ожидается БИК, SWIFT или ИНН' };
+        }
+
+        try {
+            const methods = { bic: 'findByBIC', swift: 'findBySWIFT', inn: 'findByINN' };
+            const result = await api[methods[type]](query.trim(), { count: 1 });
+            const bank = Utils.formatBankData((result.suggestions || [])[0]);
+
+            return { query, status: bank ? 'found' : 'not_found', bank, error: '' };
+        } catch (error) {
+            if (error instanceof AuthError || error instanceof QuotaError) {
+                throw error;
+            }
+            return { query, status: 'error', bank: null, error: api.getErrorInfo(error).message };
+        }
+    }
+
+    /**
+     * Поиск банков по произвольному запросу
+     * @param {Array<string>} args - Слова запроса
+     * @param {Object} options - Параметры
+     * @returns {Promise<number>} - Код завершения
+     */
+    async search(args, options) {
+        const queries = args.length > 0 ? [args.join(' ')] : await this.readLines();
+
+        if (queries.length === 0) {
+            throw new UsageError('Укажите поисковый запрос');
+        }
+
+        const api = this.createClient(options);
+        const rows = [];
+
+        for (const query of queries) {
+            const result = await api.searchBank(query, {
+                count: options.count,
+                status: options.status || undefined,
+                type: options.type || undefined
+            });
+
+            (result.suggestions || []).forEach(suggestion => {
+                rows.push({ query, ...BicCLI.bankColumns(Utils.formatBankData(suggestion)) });
+            });
+        }
+
+        this.print(rows, options.format, ['query', 'bic', 'name', 'correspondentAccount', 'inn', 'state', 'city']);
+
+        return rows.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+    }
+
+    /**
+     * Проверка контрольного ключа счетов (без обращения к API)
+     * @param {Array<string>} args - БИК и счет
+     * @param {Object} options - Параметры
+     * @returns {Promise<number>} - Код завершения
+     */
+    async validateAccount(args, options) {
+        let pairs;
+
+        if (args.length > 0) {
+            if (args.length !== 2) {
+                throw new UsageError('Использование: bic validate-account <БИК> <счет>');
+            }
+            pairs = [args];
+        } else {
+            pairs = (await this.readLines()).map(line => {
+                const [bic, ...account] = line.split(/[\s;,]+/);
+                return [bic, account.join('')];
+            });
+        }
+
+        const rows = pairs.map(([bic, account]) => {
+            const check = Utils.validateAccount(bic, account);
+            return {
+                bic,
+                account: check.account || account,
+                valid: check.valid,
+                errors: check.errors.join('; ')
+            };
+        });
+
+        this.print(rows, options.format, ['bic', 'account', 'valid', 'errors']);
+
+        return rows.length > 0 && rows.every(row => row.valid) ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+    }
+
+    /**
+     * Создание API клиента с токеном из окружения или конфигурации
+     * @param {Object} options - Параметры командной строки
+     * @returns {DaDataAPI} - API клиент
+     */
+    createClient(options) {
+        const config = this.loadConfig(options.config);
+
+        if (!config.token && !config.proxyURL) {
+            throw new AuthError('API ключ не настроен. Задайте DADATA_API_KEY или "token" в файле конфигурации');
+        }
+
+        // Ошибки выводятся командой в stderr одной строкой, без отладочного журнала клиента
+        const quiet = { warn: () => {}, error: () => {} };
+
+        return new DaDataAPI(config.token, { proxyURL: config.proxyURL, apiURL: config.apiURL, logger: quiet });
+    }
+
+    /**
+     * Чтение непустых строк из stdin
+     * @returns {Promise<Array<string>>} - Строки
+     */
+    async readLines() {
+        if (this.stdin.isTTY) {
+            return [];
+        }
+
+        let text = '';
+        this.stdin.setEncoding('utf8');
+        for await (const chunk of this.stdin) {
+            text += chunk;
+        }
+
+        return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * Колонки вывода для банка
+     * @param {Object|null} bank - Результат Utils.formatBankData
+     * @returns {Object} - Колонки
+     */
+    static bankColumns(bank) {
+        return {
+            bic: bank ? bank.bic : '',
+            name: bank ? bank.name : '',
+            correspondentAccount: bank ? bank.correspondentAccount : '',
+            inn: bank ? bank.inn : '',
+            state: bank ? bank.status : '',
+            city: bank ? bank.paymentCity : ''
+        };
+    }
+
+    /**
+     * Вывод строк в выбранном формате
+     * @param {Array<Object>} rows - Строки
+     * @param {string} format - table, json или csv
+     * @param {Array<string>} columns - Колонки для table и csv
+     */
+    print(rows, format, columns) {
+        if (format === 'json') {
+            this.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+            return;
+        }
+
+        const lines = [columns, ...rows.map(row => columns.map(column => String(row[column] ?? '')))];
+
+        if (format === 'csv') {
+            this.stdout.write(lines.map(cells => cells.map(cell => BatchResolver.escapeCSV(cell)).join(';')).join('\n') + '\n');
+            return;
+        }
+
+        const widths = columns.map((column, index) => Math.max(...lines.map(cells => cells[index].length)));
+        this.stdout.write(lines.map(cells => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()).join('\n') + '\n');
+    }
+
+    /**
+     * Вывод ошибки и выбор кода завершения
+     * @param {Error} error - Ошибка
+     * @returns {number} - Код завершения
+     */
+    fail(error) {
+        let code = EXIT_CODES.FAILURE;
+        let message = error.message;
+
+        if (error instanceof UsageError) {
+            code = EXIT_CODES.USAGE;
+            message += '\nСправка: bic --help';
+        } else if (error instanceof AuthError) {
+            code = EXIT_CODES.AUTH;
+            message = error.status ? `Ошибка авторизации DaData (${error.status}). Проверьте токен` : message;
+        } else if (error instanceof QuotaError) {
+            code = EXIT_CODES.QUOTA;
+            message = 'Исчерпан дневной лимит запросов к DaData';
+        }
+
+        this.stderr.write(`bic: ${message}\n`);
+        return code;
+    }
+}
+
+// Запуск из командной строки
+if (require.main === module) {
+    new BicCLI().run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { BicCLI, UsageError, EXIT_CODES };
@@ -0,0 +1,8 @@
+/**
+ * Конфигурация приложения для запуска без прокси-сервера
+ *
+ * server/proxy.js отдает по этому адресу свою версию с PROXY_URL,
+ * а при раздаче любым статическим сервером используется этот файл:
+ * режим прокси выключен и запросы идут напрямую в DaData (см. SETUP.md).
+ */
+window.APP_CONFIG = window.APP_CONFIG || {};
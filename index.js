@@ -0,0 +1,37 @@
+/**
+ * Точка входа пакета для Node.js (CommonJS)
+ *
+ * Содержит только модули без зависимостей от DOM: валидаторы и форматтеры,
+ * типы ошибок, хранилища кэша, офлайн-справочник, поставщиков данных,
+ * API клиент, хранилище избранного, платежные QR-коды и распознавание реквизитов.
+ * Для запросов используется встроенный fetch (Node.js 18+).
+ * Функции для работы с DOM подключаются отдельно: require('rusbankbic-dadata/dom').
+ */
+
+const Utils = require('./js/utils.js');
+const errors = require('./js/errors.js');
+const { MemoryCacheStore, IndexedDBCacheStore } = require('./js/cache.js');
+const { ED807Parser, LocalBankDirectory } = require('./js/directory.js');
+const providers = require('./js/providers.js');
+const DaDataAPI = require('./js/api.js');
+const BatchResolver = require('./js/batch.js');
+const FavoritesStore = require('./js/favorites.js');
+const QRCode = require('./js/qrcode.js');
+const PaymentQR = require('./js/payment.js');
+const RequisitesParser = require('./js/requisites.js');
+
+module.exports = {
+    Utils,
+    ...errors,
+    MemoryCacheStore,
+    IndexedDBCacheStore,
+    ED807Parser,
+    LocalBankDirectory,
+    ...providers,
+    DaDataAPI,
+    BatchResolver,
+    FavoritesStore,
+    QRCode,
+    PaymentQR,
+    RequisitesParser
+};
@@ -0,0 +1,36 @@
+/**
+ * Точка входа пакета для ES модулей
+ * Реэкспортирует CommonJS сборку, чтобы классы (и instanceof для ошибок)
+ * были одними и теми же при подключении через import и require
+ */
+
+import core from './index.js';
+
+export const {
+    Utils,
+    DaDataError,
+    AuthError,
+    QuotaError,
+    RateLimitError,
+    TimeoutError,
+    NetworkError,
+    ServerError,
+    CancelError,
+    ValidationError,
+    MemoryCacheStore,
+    IndexedDBCacheStore,
+    ED807Parser,
+    LocalBankDirectory,
+    BankDataProvider,
+    LocalDirectoryProvider,
+    MockProvider,
+    CompositeProvider,
+    DaDataAPI,
+    BatchResolver,
+    FavoritesStore,
+    QRCode,
+    PaymentQR,
+    RequisitesParser
+} = core;
+
+export default core;
@@ -1,337 +1,850 @@
 /**
  * API клиент для работы с DaData.ru
+ * Реализует интерфейс BankDataProvider
  */
 
-class DaDataAPI {
-    constructor(apiKey = null) {
-        this.apiKey = apiKey || this.getApiKey();
-        this.baseURL = 'https://suggestions.dadata.ru/suggestions/api/4_1/rs/suggest/bank';
-        this.defaultHeaders = {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': `Token ${this.apiKey}`
-        };
-        
-        // Кэш для хранения результатов
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 минут
-        
-        // Очередь запросов для предотвращения дублирования
-        this.requestQueue = new Map();
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./utils.js'), require('./errors.js'), require('./cache.js'), require('./providers.js'));
+    } else {
+        root.DaDataAPI = factory(root.Utils, root, root, root);
     }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Utils, errors, cache, providers) {
+    const {
+        DaDataError,
+        AuthError,
+        QuotaError,
+        RateLimitError,
+        TimeoutError,
+        NetworkError,
+        ServerError,
+        CancelError,
+        ValidationError
+    } = errors;
+    const { MemoryCacheStore } = cache;
+    const { BankDataProvider } = providers;
+
+    class DaDataAPI extends BankDataProvider {
+        /**
+         * @param {string|null} apiKey - API ключ DaData
+         * @param {Object} options - Дополнительные параметры
+         * @param {string} options.proxyURL - Адрес локального прокси (например, '/api').
+         *   В режиме прокси токен не передается из браузера
+         * @param {string} options.apiURL - Адрес API DaData (по умолчанию suggestions.dadata.ru),
+         *   например, для тестового сервера. Токен передается как обычно
+         * @param {number} options.timeout - Таймаут одной попытки запроса в миллисекундах
+         * @param {Object} options.retry - Параметры повторов (см. DaDataAPI.DEFAULT_RETRY_OPTIONS)
+         * @param {Object} options.cache - Параметры кэша
+         * @param {Object} options.cache.store - Хранилище (MemoryCacheStore, IndexedDBCacheStore)
+         * @param {number} options.cache.freshTTL - Время, в течение которого ответ считается свежим (мс)
+         * @param {number} options.cache.staleTTL - Время, в течение которого устаревший ответ
+         *   отдается сразу с фоновым обновлением (мс)
+         * @param {Object} options.logger - Журнал предупреждений и ошибок ({ warn, error }), по умолчанию console
+         */
+        constructor(apiKey = null, options = {}) {
+            super('dadata', 'DaData.ru');
+
+            this.logger = options.logger || console;
+
+            const config = DaDataAPI.getAppConfig();
+
+            this.proxyURL = options.proxyURL || config.PROXY_URL || null;
+            this.useProxy = Boolean(this.proxyURL);
+            this.apiKey = this.useProxy ? null : (apiKey || this.getApiKey());
+            this.apiRoot = this.useProxy
+                ? this.proxyURL.replace(/\/+$/, '')
+                : (options.apiURL || 'https://suggestions.dadata.ru/suggestions/api/4_1/rs').replace(/\/+$/, '');
+            this.baseURL = `${this.apiRoot}/suggest/bank`;
+            this.findByIdURL = `${this.apiRoot}/findById/bank`;
+            this.defaultHeaders = {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            };
+
+            // Токен добавляется только при прямом обращении к DaData
+            if (this.apiKey) {
+                this.defaultHeaders['Authorization'] = `Token ${this.apiKey}`;
+            }
 
-    /**
-     * Получение API ключа из переменных окружения или конфигурации
-     * @returns {string} - API ключ
-     */
-    getApiKey() {
-        // В реальном приложении API ключ должен быть получен с сервера
-        // или из переменных окружения для безопасности
-        const apiKey = 'YOUR_DADATA_API_KEY_HERE';
-        
-        if (apiKey === 'YOUR_DADATA_API_KEY_HERE') {
-            console.warn('DaData API key not configured. Please set your API key.');
-            return null;
-        }
-        
-        return apiKey;
-    }
+            // Кэш для хранения результатов
+            const cacheOptions = options.cache || {};
+            this.cacheStore = cacheOptions.store || new MemoryCacheStore({ maxSize: 100 });
+            this.cacheTTL = {
+                fresh: cacheOptions.freshTTL || 12 * 60 * 60 * 1000, // 12 часов
+                stale: cacheOptions.staleTTL || 7 * 24 * 60 * 60 * 1000 // 7 дней
+            };
+            this.cacheStats = {
+                hits: 0,
+                staleHits: 0,
+                misses: 0,
+                revalidations: 0
+            };
+
+            // Очередь запросов для предотвращения дублирования
+            this.requestQueue = new Map();
+
+            // Таймаут попытки и параметры повторов
+            this.requestTimeout = options.timeout || 10000; // 10 секунд
+            this.retryOptions = { ...DaDataAPI.DEFAULT_RETRY_OPTIONS, ...(options.retry || {}) };
+
+            // Статистика запросов и повторов
+            this.stats = {
+                requests: 0,
+                retries: 0,
+                retryDelay: 0,
+                failures: 0,
+                lastRetries: []
+            };
+        }
 
-    /**
-     * Поиск банков по запросу
-     * @param {string} query - Поисковый запрос (БИК, название, адрес)
-     * @param {Object} options - Дополнительные параметры поиска
-     * @returns {Promise<Object>} - Результат поиска
-     */
-    async searchBank(query, options = {}) {
-        if (!this.apiKey) {
-            throw new Error('API key is not configured');
-        }
-
-        if (!query || query.trim().length < 3) {
-            return { suggestions: [] };
-        }
-
-        // Проверяем кэш
-        const cacheKey = this.getCacheKey(query, options);
-        const cachedResult = this.getFromCache(cacheKey);
-        if (cachedResult) {
-            return cachedResult;
-        }
-
-        // Проверяем очередь запросов
-        if (this.requestQueue.has(cacheKey)) {
-            return this.requestQueue.get(cacheKey);
-        }
-
-        const requestBody = {
-            query: query.trim(),
-            count: options.count || 10,
-            status: options.status || ['ACTIVE'],
-            type: options.type || ['BANK'],
-            locations: options.locations || [],
-            locations_boost: options.locations_boost || []
-        };
-
-        // Создаем промис для запроса
-        const requestPromise = this.makeRequest(requestBody);
-        
-        // Добавляем в очередь
-        this.requestQueue.set(cacheKey, requestPromise);
-
-        try {
-            const result = await requestPromise;
-            
-            // Сохраняем в кэш
-            this.saveToCache(cacheKey, result);
-            
-            return result;
-        } catch (error) {
-            console.error('API request failed:', error);
-            throw error;
-        } finally {
-            // Удаляем из очереди
-            this.requestQueue.delete(cacheKey);
+        /**
+         * Параметры повторов по умолчанию
+         * retries - максимум повторов, baseDelay/maxDelay - границы задержки (мс),
+         * factor - множитель экспоненты, jitter - доля случайного разброса (0..1),
+         * deadline - общее время на запрос со всеми повторами (мс)
+         */
+        static get DEFAULT_RETRY_OPTIONS() {
+            return {
+                retries: 3,
+                baseDelay: 300,
+                maxDelay: 5000,
+                factor: 2,
+                jitter: 0.5,
+                deadline: 30000
+            };
         }
-    }
 
-    /**
-     * Поиск банка по БИК
-     * @param {string} bic - БИК банка
-     * @returns {Promise<Object>} - Результат поиска
-     */
-    async searchByBIC(bic) {
-        if (!Utils.validateBIC(bic)) {
-            return { suggestions: [] };
+        /**
+         * Получение глобальной конфигурации приложения (window.APP_CONFIG)
+         * @returns {Object} - Конфигурация или пустой объект
+         */
+        static getAppConfig() {
+            if (typeof window !== 'undefined' && window.APP_CONFIG) {
+                return window.APP_CONFIG;
+            }
+
+            return {};
         }
 
-        return this.searchBank(bic, {
-            count: 1,
-            status: ['ACTIVE', 'LIQUIDATING', 'LIQUIDATED']
-        });
-    }
+        /**
+         * Получение API ключа из переменных окружения или конфигурации
+         * @returns {string} - API ключ
+         */
+        getApiKey() {
+            // В Node.js ключ берется из переменной окружения, как у прокси-сервера
+            if (typeof process !== 'undefined' && process.env && process.env.DADATA_API_KEY) {
+                return process.env.DADATA_API_KEY;
+            }
 
-    /**
-     * Поиск банков по названию
-     * @param {string} name - Название банка
-     * @param {Object} options - Дополнительные параметры
-     * @returns {Promise<Object>} - Результат поиска
-     */
-    async searchByName(name, options = {}) {
-        return this.searchBank(name, {
-            count: options.count || 10,
-            status: options.status || ['ACTIVE'],
-            type: options.type || ['BANK']
-        });
-    }
+            // В реальном приложении API ключ должен быть получен с сервера
+            // или из переменных окружения для безопасности
+            const apiKey = 'YOUR_DADATA_API_KEY_HERE';
 
-    /**
-     * Поиск банков по адресу
-     * @param {string} address - Адрес банка
-     * @param {Object} options - Дополнительные параметры
-     * @returns {Promise<Object>} - Результат поиска
-     */
-    async searchByAddress(address, options = {}) {
-        return this.searchBank(address, {
-            count: options.count || 10,
-            status: options.status || ['ACTIVE'],
-            type: options.type || ['BANK']
-        });
-    }
+            if (apiKey === 'YOUR_DADATA_API_KEY_HERE') {
+                this.logger.warn('DaData API key not configured. Please set your API key.');
+                return null;
+            }
+
+            return apiKey;
+        }
+
+        /**
+         * Проверка, настроен ли доступ к API (ключ или прокси)
+         * @returns {boolean} - true если запросы к API возможны
+         */
+        isConfigured() {
+            return Boolean(this.apiKey || this.useProxy);
+        }
+
+        /**
+         * Проверка, имеет ли смысл обращаться к API (BankDataProvider)
+         * @returns {boolean} - true если доступ настроен и браузер не в офлайне
+         */
+        isAvailable() {
+            const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+            return this.isConfigured() && !isOffline;
+        }
+
+        /**
+         * Проверка работоспособности API (BankDataProvider)
+         * @returns {Promise<boolean>} - true если API отвечает
+         */
+        async healthCheck() {
+            return this.checkAvailability();
+        }
+
+        /**
+         * Поиск банков с пометкой источника (BankDataProvider)
+         * @param {string} query - Поисковый запрос
+         * @param {Object} options - Параметры поиска (см. searchBank)
+         * @returns {Promise<Object>} - Результат поиска
+         */
+        async search(query, options = {}) {
+            return this.tagResult(await this.searchBank(query, options));
+        }
+
+        /**
+         * Поиск банков по запросу
+         * @param {string} query - Поисковый запрос (БИК, название, адрес)
+         * @param {Object} options - Дополнительные параметры поиска
+         * @param {AbortSignal} options.signal - Сигнал отмены запроса
+         * @returns {Promise<Object>} - Результат поиска
+         */
+        async searchBank(query, options = {}) {
+            if (!this.apiKey && !this.useProxy) {
+                throw new AuthError('API key is not configured');
+            }
+
+            if (!query || query.trim().length < 3) {
+                return { suggestions: [] };
+            }
+
+            const requestBody = {
+                query: query.trim(),
+                count: options.count || 10,
+                status: options.status || ['ACTIVE'],
+                type: options.type || ['BANK'],
+                locations: options.locations || [],
+                locations_boost: options.locations_boost || []
+            };
+
+            return this.cachedRequest(this.getCacheKey(query, options), this.baseURL, requestBody, options.signal);
+        }
+
+        /**
+         * Точный поиск банка по идентификатору (endpoint findById/bank)
+         * @param {string} id - БИК, SWIFT, ИНН, ИНН + КПП или регистрационный номер
+         * @param {Object} options - Дополнительные параметры
+         * @param {number} options.count - Количество результатов
+         * @param {string} options.kpp - КПП для выбора конкретного филиала по ИНН
+         * @param {string} options.branch_type - Тип подразделения (MAIN, BRANCH)
+         * @param {Array<string>} options.type - Типы организаций
+         * @param {AbortSignal} options.signal - Сигнал отмены запроса
+         * @param {boolean} options.force - Запросить DaData в обход кэша (ответ все равно сохраняется в кэш)
+         * @returns {Promise<Object>} - Результат поиска с пометкой источника
+         */
+        async findById(id, options = {}) {
+            if (!this.apiKey && !this.useProxy) {
+                throw new AuthError('API key is not configured');
+            }
+
+            const query = id ? String(id).trim() : '';
+            if (!query) {
+                return { suggestions: [] };
+            }
 
-    /**
-     * Выполнение HTTP запроса к API
-     * @param {Object} requestBody - Тело запроса
-     * @returns {Promise<Object>} - Ответ API
-     */
-    async makeRequest(requestBody) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 секунд таймаут
-
-        try {
-            const response = await fetch(this.baseURL, {
-                method: 'POST',
-                headers: this.defaultHeaders,
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
+            const requestBody = { query: query };
+            ['count', 'kpp', 'branch_type', 'type'].forEach(key => {
+                if (options[key]) {
+                    requestBody[key] = options[key];
+                }
             });
 
-            clearTimeout(timeoutId);
+            const cacheKey = this.getCacheKey(`findById:${query}`, options);
+            const result = await this.cachedRequest(cacheKey, this.findByIdURL, requestBody, options.signal, options.force);
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            return this.tagResult(result);
+        }
+
+        /**
+         * Точный поиск банка по БИК
+         * @param {string} bic - БИК банка
+         * @param {Object} options - Дополнительные параметры (signal)
+         * @returns {Promise<Object>} - Результат поиска (не более одного банка)
+         */
+        async findByBIC(bic, options = {}) {
+            if (!Utils.validateBIC(bic)) {
+                return { suggestions: [] };
             }
 
-            const result = await response.json();
-            
-            // Валидация ответа
-            if (!result || typeof result !== 'object') {
-                throw new Error('Invalid response format');
+            return this.findById(bic.trim(), { ...options, count: 1 });
+        }
+
+        /**
+         * Точный поиск банка по SWIFT коду
+         * @param {string} swift - SWIFT (BIC ISO 9362) код
+         * @param {Object} options - Дополнительные параметры (signal)
+         * @returns {Promise<Object>} - Результат поиска
+         */
+        async findBySWIFT(swift, options = {}) {
+            if (!Utils.validateSWIFT(swift)) {
+                return { suggestions: [] };
             }
 
-            return result;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout');
+            return this.findById(swift.trim().toUpperCase(), { ...options, count: 1 });
+        }
+
+        /**
+         * Точный поиск банка по ИНН
+         * @param {string} inn - ИНН банка
+         * @param {Object} options - Дополнительные параметры (kpp, branch_type, count, signal)
+         * @returns {Promise<Object>} - Головной банк и его филиалы с этим ИНН
+         */
+        async findByINN(inn, options = {}) {
+            if (!Utils.validateINN(inn)) {
+                return { suggestions: [] };
             }
-            
-            throw error;
+
+            return this.findById(Utils.getCleanINN(inn), options);
         }
-    }
 
-    /**
-     * Генерация ключа для кэша
-     * @param {string} query - Поисковый запрос
-     * @param {Object} options - Параметры поиска
-     * @returns {string} - Ключ кэша
-     */
-    getCacheKey(query, options) {
-        const optionsStr = JSON.stringify(options);
-        return `${query.toLowerCase()}_${optionsStr}`;
-    }
+        /**
+         * Точный поиск банка по регистрационному номеру в ЦБ РФ
+         * @param {string} regNumber - Регистрационный номер (например, 1481 или 1481/1234)
+         * @param {Object} options - Дополнительные параметры
+         * @returns {Promise<Object>} - Результат поиска
+         */
+        async findByRegNumber(regNumber, options = {}) {
+            if (!regNumber || !/^\d+(\/\d+)?$/.test(String(regNumber).trim())) {
+                return { suggestions: [] };
+            }
 
-    /**
-     * Получение данных из кэша
-     * @param {string} key - Ключ кэша
-     * @returns {Object|null} - Кэшированные данные или null
-     */
-    getFromCache(key) {
-        const cached = this.cache.get(key);
-        
-        if (!cached) {
-            return null;
+            return this.findById(String(regNumber).trim(), options);
         }
 
-        // Проверяем время жизни кэша
-        if (Date.now() - cached.timestamp > this.cacheTimeout) {
-            this.cache.delete(key);
-            return null;
+        /**
+         * Выполнение запроса с использованием кэша и очереди запросов
+         * Одинаковые запросы разделяют один HTTP запрос. Отмена запроса одним
+         * вызывающим не затрагивает остальных; HTTP запрос прерывается, только
+         * когда от него отказались все, и в кэш при этом ничего не попадает
+         * @param {string} cacheKey - Ключ кэша
+         * @param {string} url - Адрес endpoint
+         * @param {Object} requestBody - Тело запроса
+         * @param {AbortSignal} signal - Сигнал отмены запроса
+         * @param {boolean} force - Не читать кэш: запросить свежие данные и перезаписать запись кэша
+         * @returns {Promise<Object>} - Ответ API
+         */
+        async cachedRequest(cacheKey, url, requestBody, signal = null, force = false) {
+            if (signal && signal.aborted) {
+                throw new CancelError();
+            }
+
+            // Проверяем кэш
+            const cached = force ? null : await this.getFromCache(cacheKey);
+
+            if (cached && cached.fresh) {
+                return cached.data;
+            }
+
+            // Устаревший ответ отдаем сразу, а в фоне запрашиваем свежий
+            if (cached) {
+                this.revalidate(cacheKey, url, requestBody);
+                return cached.data;
+            }
+
+            if (signal && signal.aborted) {
+                throw new CancelError();
+            }
+
+            const entry = this.getQueuedRequest(cacheKey, url, requestBody);
+            return this.subscribeToRequest(cacheKey, entry, signal);
         }
 
-        return cached.data;
-    }
+        /**
+         * Получение общего запроса из очереди или создание нового
+         * @param {string} cacheKey - Ключ кэша
+         * @param {string} url - Адрес endpoint
+         * @param {Object} requestBody - Тело запроса
+         * @returns {Object} - Запись очереди ({ controller, subscribers, promise })
+         */
+        getQueuedRequest(cacheKey, url, requestBody) {
+            // Проверяем очередь запросов
+            let entry = this.requestQueue.get(cacheKey);
+
+            if (entry) {
+                return entry;
+            }
 
-    /**
-     * Сохранение данных в кэш
-     * @param {string} key - Ключ кэша
-     * @param {Object} data - Данные для кэширования
-     */
-    saveToCache(key, data) {
-        this.cache.set(key, {
-            data: data,
-            timestamp: Date.now()
-        });
-
-        // Ограничиваем размер кэша
-        if (this.cache.size > 100) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
+            const controller = new AbortController();
+            entry = { controller: controller, subscribers: 0, promise: null };
+
+            entry.promise = this.makeRequest(requestBody, url, { signal: controller.signal })
+                .then(async result => {
+                    // Сохраняем в кэш
+                    await this.saveToCache(cacheKey, result);
+                    return result;
+                })
+                .catch(error => {
+                    if (!(error instanceof CancelError)) {
+                        this.logger.error('API request failed:', error);
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    // Удаляем из очереди
+                    if (this.requestQueue.get(cacheKey) === entry) {
+                        this.requestQueue.delete(cacheKey);
+                    }
+                });
+
+            // Добавляем в очередь
+            this.requestQueue.set(cacheKey, entry);
+
+            return entry;
         }
-    }
 
-    /**
-     * Очистка кэша
-     */
-    clearCache() {
-        this.cache.clear();
-    }
+        /**
+         * Фоновое обновление устаревшей записи кэша
+         * @param {string} cacheKey - Ключ кэша
+         * @param {string} url - Адрес endpoint
+         * @param {Object} requestBody - Тело запроса
+         */
+        revalidate(cacheKey, url, requestBody) {
+            if (this.requestQueue.has(cacheKey)) {
+                return;
+            }
 
-    /**
-     * Получение статистики кэша
-     * @returns {Object} - Статистика кэша
-     */
-    getCacheStats() {
-        return {
-            size: this.cache.size,
-            maxSize: 100,
-            timeout: this.cacheTimeout
-        };
-    }
+            this.cacheStats.revalidations++;
 
-    /**
-     * Проверка доступности API
-     * @returns {Promise<boolean>} - true если API доступен
-     */
-    async checkAvailability() {
-        try {
-            await this.searchBank('044525225', { count: 1 });
-            return true;
-        } catch (error) {
-            console.warn('API availability check failed:', error);
-            return false;
+            // Фоновое обновление считается подписчиком, чтобы отмена
+            // пользовательского запроса с тем же ключом его не прерывала
+            const entry = this.getQueuedRequest(cacheKey, url, requestBody);
+            this.subscribeToRequest(cacheKey, entry, null).catch(() => {
+                // Ошибка фонового обновления не мешает работе с устаревшими данными
+            });
         }
-    }
 
-    /**
-     * Получение информации об ошибке API
-     * @param {Error} error - Ошибка
-     * @returns {Object} - Информация об ошибке
-     */
-    getErrorInfo(error) {
-        const errorInfo = {
-            message: 'Произошла ошибка при поиске банка',
-            type: 'unknown',
-            canRetry: true
-        };
-
-        if (error.message.includes('timeout')) {
-            errorInfo.message = 'Превышено время ожидания ответа от сервера';
-            errorInfo.type = 'timeout';
-        } else if (error.message.includes('401')) {
-            errorInfo.message = 'Неверный API ключ';
-            errorInfo.type = 'auth';
-            errorInfo.canRetry = false;
-        } else if (error.message.includes('403')) {
-            errorInfo.message = 'Доступ запрещен. Проверьте API ключ и лимиты';
-            errorInfo.type = 'forbidden';
-            errorInfo.canRetry = false;
-        } else if (error.message.includes('429')) {
-            errorInfo.message = 'Превышен лимит запросов. Попробуйте позже';
-            errorInfo.type = 'rate_limit';
-            errorInfo.canRetry = true;
-        } else if (error.message.includes('500')) {
-            errorInfo.message = 'Временная ошибка сервера';
-            errorInfo.type = 'server_error';
-        } else if (!navigator.onLine) {
-            errorInfo.message = 'Отсутствует подключение к интернету';
-            errorInfo.type = 'network';
-        }
-
-        return errorInfo;
-    }
+        /**
+         * Подписка вызывающего на общий запрос из очереди
+         * @param {string} cacheKey - Ключ кэша
+         * @param {Object} entry - Запись очереди ({ controller, subscribers, promise })
+         * @param {AbortSignal} signal - Сигнал отмены для этого вызывающего
+         * @returns {Promise<Object>} - Ответ API
+         */
+        subscribeToRequest(cacheKey, entry, signal) {
+            entry.subscribers++;
+
+            return new Promise((resolve, reject) => {
+                let settled = false;
+
+                const settle = () => {
+                    settled = true;
+                    entry.subscribers--;
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                };
+
+                const onAbort = () => {
+                    if (settled) return;
+                    settle();
+                    reject(new CancelError());
+
+                    // Никто больше не ждет ответа - прерываем запрос и освобождаем очередь
+                    if (entry.subscribers === 0) {
+                        entry.controller.abort();
+                        if (this.requestQueue.get(cacheKey) === entry) {
+                            this.requestQueue.delete(cacheKey);
+                        }
+                    }
+                };
+
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+
+                entry.promise.then(result => {
+                    if (settled) return;
+                    settle();
+                    resolve(result);
+                }, error => {
+                    if (settled) return;
+                    settle();
+                    reject(error);
+                });
+            });
+        }
 
-    /**
-     * Настройка параметров по умолчанию
-     * @param {Object} defaults - Параметры по умолчанию
-     */
-    setDefaults(defaults) {
-        this.defaultOptions = {
-            count: 10,
-            status: ['ACTIVE'],
-            type: ['BANK'],
-            ...defaults
-        };
-    }
+        /**
+         * Выполнение HTTP запроса к API с повторами
+         * Идемпотентные запросы повторяются с экспоненциальной задержкой и разбросом,
+         * с учетом заголовка Retry-After и общего срока retry.deadline
+         * @param {Object} requestBody - Тело запроса
+         * @param {string} url - Адрес endpoint (по умолчанию suggest/bank)
+         * @param {Object} options - Параметры запроса
+         * @param {boolean} options.idempotent - Можно ли повторять запрос (по умолчанию true)
+         * @param {Object} options.retry - Переопределение параметров повторов
+         * @param {AbortSignal} options.signal - Сигнал отмены запроса (отмененные запросы не повторяются)
+         * @returns {Promise<Object>} - Ответ API
+         */
+        async makeRequest(requestBody, url = this.baseURL, options = {}) {
+            const retry = { ...this.retryOptions, ...(options.retry || {}) };
+            const idempotent = options.idempotent !== false;
+            const startedAt = Date.now();
+            let attempt = 0;
+
+            while (true) {
+                const remaining = retry.deadline - (Date.now() - startedAt);
+
+                try {
+                    this.stats.requests++;
+                    return await this.executeRequest(requestBody, url, Math.min(this.requestTimeout, remaining), options.signal);
+                } catch (error) {
+                    const delay = this.getRetryDelay(error, attempt + 1, retry);
+                    const elapsed = Date.now() - startedAt;
+
+                    if (!idempotent || !this.shouldRetry(error) || attempt >= retry.retries || elapsed + delay >= retry.deadline) {
+                        this.stats.failures++;
+                        throw error;
+                    }
+
+                    attempt++;
+                    this.recordRetry(error, attempt, delay);
+                    await this.wait(delay, options.signal);
+                }
+            }
+        }
+
+        /**
+         * Проверка, можно ли повторить запрос после ошибки
+         * @param {Error} error - Ошибка запроса
+         * @returns {boolean} - true если запрос можно повторить
+         */
+        shouldRetry(error) {
+            if (error instanceof AuthError || error instanceof CancelError) {
+                return false;
+            }
+
+            return Boolean(error && error.retryable);
+        }
+
+        /**
+         * Расчет задержки перед повтором
+         * @param {Error} error - Ошибка запроса
+         * @param {number} attempt - Номер повтора (с 1)
+         * @param {Object} retry - Параметры повторов
+         * @returns {number} - Задержка в миллисекундах
+         */
+        getRetryDelay(error, attempt, retry) {
+            // Сервер сам указал, когда повторить
+            if (error && error.retryAfter !== null && error.retryAfter !== undefined) {
+                return error.retryAfter * 1000;
+            }
+
+            const delay = Math.min(retry.baseDelay * Math.pow(retry.factor, attempt - 1), retry.maxDelay);
+            const jitter = delay * retry.jitter * Math.random();
+
+            return Math.round(delay - jitter);
+        }
+
+        /**
+         * Учет повтора в статистике
+         * @param {Error} error - Ошибка, вызвавшая повтор
+         * @param {number} attempt - Номер повтора
+         * @param {number} delay - Задержка в миллисекундах
+         */
+        recordRetry(error, attempt, delay) {
+            this.stats.retries++;
+            this.stats.retryDelay += delay;
+            this.stats.lastRetries.unshift({
+                attempt: attempt,
+                delay: delay,
+                type: error.type || 'unknown',
+                status: error.status ?? null,
+                timestamp: Date.now()
+            });
+
+            // Храним только последние повторы
+            if (this.stats.lastRetries.length > 20) {
+                this.stats.lastRetries.splice(20);
+            }
+        }
+
+        /**
+         * Ожидание перед повтором
+         * @param {number} ms - Задержка в миллисекундах
+         * @param {AbortSignal} signal - Сигнал отмены ожидания
+         * @returns {Promise<void>}
+         */
+        wait(ms, signal = null) {
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(new CancelError());
+                    return;
+                }
+
+                const onAbort = () => {
+                    clearTimeout(timeoutId);
+                    reject(new CancelError());
+                };
+
+                const timeoutId = setTimeout(() => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    resolve();
+                }, ms);
+
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            });
+        }
+
+        /**
+         * Одна попытка HTTP запроса к API
+         * @param {Object} requestBody - Тело запроса
+         * @param {string} url - Адрес endpoint
+         * @param {number} timeout - Таймаут попытки в миллисекундах
+         * @param {AbortSignal} signal - Внешний сигнал отмены
+         * @returns {Promise<Object>} - Ответ API
+         */
+        async executeRequest(requestBody, url, timeout = this.requestTimeout, signal = null) {
+            const request = { url: url, method: 'POST', body: requestBody };
+
+            if (signal && signal.aborted) {
+                throw new CancelError('Request cancelled', { request });
+            }
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            const onAbort = () => controller.abort();
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: this.defaultHeaders,
+                    body: JSON.stringify(requestBody),
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw DaDataError.fromResponse(response, errorText, request);
+                }
+
+                let result = null;
+                try {
+                    result = await response.json();
+                } catch (e) {
+                    result = null;
+                }
+
+                // Валидация ответа
+                if (!result || typeof result !== 'object') {
+                    throw new ServerError('Invalid response format', {
+                        status: response.status,
+                        request: request,
+                        retryable: false
+                    });
+                }
+
+                return result;
+            } catch (error) {
+                // Прерывание внешним сигналом - отмена, а не таймаут
+                if (signal && signal.aborted) {
+                    throw new CancelError('Request cancelled', { request, cause: error });
+                }
+                throw DaDataError.from(error, request);
+            } finally {
+                clearTimeout(timeoutId);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            }
+        }
+
+        /**
+         * Генерация ключа для кэша
+         * @param {string} query - Поисковый запрос
+         * @param {Object} options - Параметры поиска
+         * @returns {string} - Ключ кэша
+         */
+        getCacheKey(query, options) {
+            // Сигнал отмены и обход кэша не влияют на результат запроса
+            const { signal, force, ...cacheOptions } = options;
+
+            // Фильтры, выбранные в другом порядке, дают тот же ответ и тот же ключ
+            const normalized = {};
+            Object.keys(cacheOptions).sort().forEach(key => {
+                const value = cacheOptions[key];
+                normalized[key] = Array.isArray(value) && value.every(item => typeof item === 'string')
+                    ? [...value].sort()
+                    : value;
+            });
+
+            const optionsStr = JSON.stringify(normalized);
+            return `${query.toLowerCase()}_${optionsStr}`;
+        }
 
-    /**
-     * Получение текущих настроек
-     * @returns {Object} - Текущие настройки
-     */
-    getSettings() {
-        return {
-            apiKey: this.apiKey ? '***' + this.apiKey.slice(-4) : null,
-            baseURL: this.baseURL,
-            cacheTimeout: this.cacheTimeout,
-            cacheSize: this.cache.size,
-            requestQueueSize: this.requestQueue.size
-        };
+        /**
+         * Получение данных из кэша
+         * @param {string} key - Ключ кэша
+         * @returns {Promise<Object|null>} - { data, fresh } или null
+         */
+        async getFromCache(key) {
+            const cached = await this.cacheStore.get(key);
+
+            if (!cached) {
+                this.cacheStats.misses++;
+                return null;
+            }
+
+            // Проверяем время жизни кэша
+            const age = Date.now() - cached.timestamp;
+
+            if (age > this.cacheTTL.stale) {
+                await this.cacheStore.delete(key);
+                this.cacheStats.misses++;
+                return null;
+            }
+
+            const fresh = age <= this.cacheTTL.fresh;
+
+            if (fresh) {
+                this.cacheStats.hits++;
+            } else {
+                this.cacheStats.staleHits++;
+            }
+
+            return { data: cached.data, fresh: fresh };
+        }
+
+        /**
+         * Сохранение данных в кэш
+         * @param {string} key - Ключ кэша
+         * @param {Object} data - Данные для кэширования
+         */
+        async saveToCache(key, data) {
+            await this.cacheStore.set(key, {
+                data: data,
+                timestamp: Date.now()
+            });
+        }
+
+        /**
+         * Очистка кэша
+         * @returns {Promise<void>}
+         */
+        async clearCache() {
+            await this.cacheStore.clear();
+        }
+
+        /**
+         * Получение статистики кэша
+         * @returns {Promise<Object>} - Статистика кэша
+         */
+        async getCacheStats() {
+            return {
+                backend: this.cacheStore.backend || 'custom',
+                size: await this.cacheStore.size(),
+                maxSize: this.cacheStore.maxSize ?? null,
+                freshTTL: this.cacheTTL.fresh,
+                staleTTL: this.cacheTTL.stale,
+                ...this.cacheStats
+            };
+        }
+
+        /**
+         * Получение статистики запросов, повторов и кэша
+         * @returns {Object} - Статистика
+         */
+        getStats() {
+            return {
+                requests: this.stats.requests,
+                retries: this.stats.retries,
+                retryDelay: this.stats.retryDelay,
+                failures: this.stats.failures,
+                lastRetries: [...this.stats.lastRetries],
+                cache: {
+                    backend: this.cacheStore.backend || 'custom',
+                    ...this.cacheStats
+                }
+            };
+        }
+
+        /**
+         * Проверка доступности API
+         * @returns {Promise<boolean>} - true если API доступен
+         */
+        async checkAvailability() {
+            try {
+                await this.searchBank('044525225', { count: 1 });
+                return true;
+            } catch (error) {
+                this.logger.warn('API availability check failed:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Получение информации об ошибке API
+         * @param {Error} error - Ошибка
+         * @returns {Object} - Информация об ошибке
+         */
+        getErrorInfo(error) {
+            const errorInfo = {
+                message: 'Произошла ошибка при поиске банка',
+                type: 'unknown',
+                canRetry: true,
+                retryAfter: null
+            };
+
+            if (error instanceof DaDataError) {
+                errorInfo.type = error.type;
+                errorInfo.canRetry = error.retryable;
+                errorInfo.retryAfter = error.retryAfter;
+            }
+
+            if (error instanceof TimeoutError) {
+                errorInfo.message = 'Превышено время ожидания ответа от сервера';
+            } else if (error instanceof AuthError) {
+                errorInfo.message = error.status === 401
+                    ? 'Неверный API ключ'
+                    : error.status === 403
+                        ? 'Доступ запрещен. Проверьте API ключ'
+                        : 'API ключ не настроен';
+            } else if (error instanceof QuotaError) {
+                errorInfo.message = 'Исчерпан дневной лимит запросов к DaData';
+            } else if (error instanceof RateLimitError) {
+                errorInfo.message = 'Превышен лимит запросов. Попробуйте позже';
+            } else if (error instanceof ServerError) {
+                errorInfo.message = 'Временная ошибка сервера';
+            } else if (error instanceof ValidationError) {
+                errorInfo.message = 'Некорректный запрос к сервису';
+            } else if (error instanceof NetworkError || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+                errorInfo.message = 'Отсутствует подключение к интернету';
+                errorInfo.type = 'network';
+                errorInfo.canRetry = true;
+            }
+
+            return errorInfo;
+        }
+
+        /**
+         * Настройка параметров по умолчанию
+         * @param {Object} defaults - Параметры по умолчанию
+         */
+        setDefaults(defaults) {
+            this.defaultOptions = {
+                count: 10,
+                status: ['ACTIVE'],
+                type: ['BANK'],
+                ...defaults
+            };
+        }
+
+        /**
+         * Получение текущих настроек
+         * @returns {Object} - Текущие настройки
+         */
+        getSettings() {
+            return {
+                apiKey: this.apiKey ? '***' + this.apiKey.slice(-4) : null,
+                baseURL: this.baseURL,
+                useProxy: this.useProxy,
+                requestTimeout: this.requestTimeout,
+                retry: { ...this.retryOptions },
+                cacheBackend: this.cacheStore.backend || 'custom',
+                cacheTTL: { ...this.cacheTTL },
+                requestQueueSize: this.requestQueue.size
+            };
+        }
     }
-}
 
-// Экспорт для использования в других модулях
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = DaDataAPI;
-}
+    return DaDataAPI;
+});
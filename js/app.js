@@ -4,9 +4,39 @@
 
 class BankSearchApp {
     constructor() {
-        this.apiClient = new DaDataAPI();
+        this.apiClient = new DaDataAPI(null, {
+            cache: {
+                // Реквизиты банков меняются редко - храним ответы между сессиями
+                store: IndexedDBCacheStore.isSupported() ? new IndexedDBCacheStore() : new MemoryCacheStore()
+            }
+        });
+        this.directory = new LocalBankDirectory({
+            store: IndexedDBCacheStore.isSupported()
+                ? new IndexedDBCacheStore({ dbName: 'bank_directory', maxSize: 10 })
+                : new MemoryCacheStore({ maxSize: 10 })
+        });
+
+        // Источники данных в порядке приоритета: DaData, затем офлайн-справочник
+        this.provider = new CompositeProvider([
+            this.apiClient,
+            new LocalDirectoryProvider(this.directory)
+        ]);
+        this.favorites = new FavoritesStore({
+            storage: DOMUtils.isLocalStorageSupported() ? window.localStorage : null
+        });
+        // Конфликты последнего импорта избранного, ожидающие решения пользователя
+        this.favoriteConflicts = [];
         this.debounceTimer = null;
+        this.searchController = null;
+        this.searchSequence = 0;
+        this.batchController = null;
+        this.batchRows = [];
+        this.decodeController = null;
+        this.smartPasteController = null;
         this.currentQuery = '';
+        this.searchMode = 'auto';
+        // Пустой фильтр - ограничения режима поиска по умолчанию
+        this.filters = { status: [], type: [], region: '' };
         this.selectedBank = null;
         this.selectedIndex = -1;
         this.suggestions = [];
@@ -14,13 +44,51 @@ class BankSearchApp {
         // DOM элементы
         this.elements = {
             input: null,
+            inputLabel: null,
+            inputHint: null,
+            searchMode: null,
+            filters: null,
+            filtersCount: null,
+            filtersReset: null,
+            filterRegion: null,
+            filterRegionError: null,
+            preferredRegion: null,
+            preferredRegionNote: null,
+            history: null,
+            historyList: null,
+            historyClear: null,
+            favoritesCount: null,
+            favoritesSearch: null,
+            favoritesTag: null,
+            favoritesList: null,
+            favoritesExport: null,
+            favoritesImport: null,
+            favoritesStatus: null,
+            favoritesConflicts: null,
             suggestionsContainer: null,
             suggestionsList: null,
             loadingIndicator: null,
             errorMessage: null,
             bankDetails: null,
             bankDetailsContent: null,
-            emptyState: null
+            emptyState: null,
+            directoryFile: null,
+            directoryStatus: null,
+            smartPasteInput: null,
+            smartPasteRun: null,
+            smartPasteStatus: null,
+            smartPasteResult: null,
+            paymentDecodeInput: null,
+            paymentDecodeSeparator: null,
+            paymentDecodeRun: null,
+            paymentDecodeStatus: null,
+            paymentDecodeResult: null,
+            batchInput: null,
+            batchFile: null,
+            batchRun: null,
+            batchExport: null,
+            batchProgress: null,
+            batchResults: null
         };
         
         // Настройки
@@ -40,6 +108,82 @@ class BankSearchApp {
         };
     }
 
+    /**
+     * Режимы поиска: подписи поля ввода и параметры запроса к источникам данных
+     * identifier - режим точного поиска по идентификатору (findById),
+     * searchParams - параметры подсказок (search) для остальных запросов
+     */
+    static get SEARCH_MODES() {
+        const allStatuses = ['ACTIVE', 'LIQUIDATING', 'LIQUIDATED'];
+
+        return {
+            auto: {
+                title: 'Авто',
+                label: 'Введите БИК, ИНН, SWIFT или название банка',
+                placeholder: 'Например: 044525225 или Сбербанк',
+                hint: 'Тип запроса определяется автоматически',
+                inputMode: 'text',
+                identifier: false,
+                searchParams: { status: allStatuses }
+            },
+            bic: {
+                title: 'БИК',
+                label: 'Введите БИК банка',
+                placeholder: 'Например: 044525225',
+                hint: 'БИК состоит из 9 цифр, подсказки появляются после первых 3',
+                inputMode: 'numeric',
+                identifier: true,
+                searchParams: { status: allStatuses }
+            },
+            name: {
+                title: 'Название',
+                label: 'Введите название банка',
+                placeholder: 'Например: Сбербанк',
+                hint: 'Полное или краткое наименование, можно часть слова',
+                inputMode: 'text',
+                identifier: false,
+                searchParams: { status: allStatuses, type: ['BANK', 'NKO'] }
+            },
+            inn: {
+                title: 'ИНН',
+                label: 'Введите ИНН банка',
+                placeholder: 'Например: 7707083893',
+                hint: 'ИНН банка состоит из 10 цифр',
+                inputMode: 'numeric',
+                identifier: true,
+                searchParams: null
+            },
+            swift: {
+                title: 'SWIFT',
+                label: 'Введите SWIFT-код банка',
+                placeholder: 'Например: SABRRUMM',
+                hint: 'SWIFT-код состоит из 8 или 11 латинских букв и цифр',
+                inputMode: 'text',
+                identifier: true,
+                searchParams: null
+            },
+            address: {
+                title: 'Адрес',
+                label: 'Введите адрес банка или филиала',
+                placeholder: 'Например: Москва, Вавилова 19',
+                hint: 'Город, улица или дом - в результатах будут и филиалы',
+                inputMode: 'text',
+                identifier: false,
+                searchParams: { status: allStatuses, type: ['BANK', 'BANK_BRANCH', 'NKO', 'NKO_BRANCH'] }
+            }
+        };
+    }
+
+    /**
+     * Значения фильтров результатов
+     */
+    static get FILTER_OPTIONS() {
+        return {
+            status: ['ACTIVE', 'LIQUIDATING', 'LIQUIDATED'],
+            type: ['BANK', 'BANK_BRANCH', 'NKO', 'NKO_BRANCH', 'RKC', 'CBR', 'TREASURY', 'OTHER']
+        };
+    }
+
     /**
      * Инициализация приложения
      */
@@ -47,13 +191,23 @@ class BankSearchApp {
         try {
             this.bindElements();
             this.bindEvents();
+            this.setupSearchModes();
+            this.setupFilters();
+            this.setupPreferredRegion();
+            this.renderHistory();
+            this.renderFavorites();
             this.setupValidation();
             this.setupKeyboardNavigation();
+            await this.loadDirectory();
             
             // Проверяем доступность API
-            const isApiAvailable = await this.apiClient.checkAvailability();
-            if (!isApiAvailable) {
-                this.showError('API сервиса DaData.ru недоступен');
+            if (this.apiClient.isConfigured()) {
+                const isApiAvailable = await this.apiClient.checkAvailability();
+                if (!isApiAvailable) {
+                    this.showError('API сервиса DaData.ru недоступен');
+                }
+            } else if (!this.directory.isLoaded()) {
+                this.showError('API ключ не настроен. Настройте ключ (SETUP.md) или загрузите офлайн-справочник ED807');
             }
             
             console.log('Bank Search App initialized successfully');
@@ -68,6 +222,27 @@ class BankSearchApp {
      */
     bindElements() {
         this.elements.input = document.getElementById('bic-input');
+        this.elements.inputLabel = document.querySelector('.search-input__label');
+        this.elements.inputHint = document.getElementById('search-hint');
+        this.elements.searchMode = document.getElementById('search-mode');
+        this.elements.filters = document.getElementById('search-filters');
+        this.elements.filtersCount = document.getElementById('filters-count');
+        this.elements.filtersReset = document.getElementById('filters-reset');
+        this.elements.filterRegion = document.getElementById('filter-region');
+        this.elements.filterRegionError = document.getElementById('filter-region-error');
+        this.elements.preferredRegion = document.getElementById('preferred-region');
+        this.elements.preferredRegionNote = document.getElementById('preferred-region-note');
+        this.elements.history = document.getElementById('search-history');
+        this.elements.historyList = document.getElementById('history-list');
+        this.elements.historyClear = document.getElementById('history-clear');
+        this.elements.favoritesCount = document.getElementById('favorites-count');
+        this.elements.favoritesSearch = document.getElementById('favorites-search');
+        this.elements.favoritesTag = document.getElementById('favorites-tag');
+        this.elements.favoritesList = document.getElementById('favorites-list');
+        this.elements.favoritesExport = document.getElementById('favorites-export');
+        this.elements.favoritesImport = document.getElementById('favorites-import');
+        this.elements.favoritesStatus = document.getElementById('favorites-status');
+        this.elements.favoritesConflicts = document.getElementById('favorites-conflicts');
         this.elements.suggestionsContainer = document.getElementById('suggestions-container');
         this.elements.suggestionsList = document.getElementById('suggestions-list');
         this.elements.loadingIndicator = document.getElementById('loading-indicator');
@@ -75,6 +250,23 @@ class BankSearchApp {
         this.elements.bankDetails = document.getElementById('bank-details');
         this.elements.bankDetailsContent = document.getElementById('bank-details-content');
         this.elements.emptyState = document.getElementById('empty-state');
+        this.elements.directoryFile = document.getElementById('directory-file');
+        this.elements.directoryStatus = document.getElementById('directory-status');
+        this.elements.smartPasteInput = document.getElementById('smart-paste-input');
+        this.elements.smartPasteRun = document.getElementById('smart-paste-run');
+        this.elements.smartPasteStatus = document.getElementById('smart-paste-status');
+        this.elements.smartPasteResult = document.getElementById('smart-paste-result');
+        this.elements.paymentDecodeInput = document.getElementById('payment-decode-input');
+        this.elements.paymentDecodeSeparator = document.getElementById('payment-decode-separator');
+        this.elements.paymentDecodeRun = document.getElementById('payment-decode-run');
+        this.elements.paymentDecodeStatus = document.getElementById('payment-decode-status');
+        this.elements.paymentDecodeResult = document.getElementById('payment-decode-result');
+        this.elements.batchInput = document.getElementById('batch-input');
+        this.elements.batchFile = document.getElementById('batch-file');
+        this.elements.batchRun = document.getElementById('batch-run');
+        this.elements.batchExport = document.getElementById('batch-export');
+        this.elements.batchProgress = document.getElementById('batch-progress');
+        this.elements.batchResults = document.getElementById('batch-results');
 
         if (!this.elements.input) {
             throw new Error('Required DOM elements not found');
@@ -115,30 +307,479 @@ class BankSearchApp {
             }
         });
 
+        // Импорт офлайн-справочника
+        if (this.elements.directoryFile) {
+            this.elements.directoryFile.addEventListener('change', (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.importDirectory(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        // Реквизиты из текста: распознаем по кнопке и сразу после вставки
+        if (this.elements.smartPasteRun) {
+            this.elements.smartPasteRun.addEventListener('click', () => {
+                this.extractRequisites(this.elements.smartPasteInput.value);
+            });
+
+            this.elements.smartPasteInput.addEventListener('paste', () => {
+                // Значение поля обновляется после события вставки
+                setTimeout(() => this.extractRequisites(this.elements.smartPasteInput.value), 0);
+            });
+        }
+
+        // Расшифровка платежной строки
+        if (this.elements.paymentDecodeRun) {
+            this.elements.paymentDecodeRun.addEventListener('click', () => {
+                this.decodePaymentString(this.elements.paymentDecodeInput.value, this.elements.paymentDecodeSeparator.value);
+            });
+        }
+
+        // Пакетная проверка
+        if (this.elements.batchRun) {
+            this.elements.batchRun.addEventListener('click', () => {
+                this.runBatch(this.elements.batchInput.value);
+            });
+
+            this.elements.batchFile.addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.elements.batchInput.value = await file.text();
+                    this.runBatch(this.elements.batchInput.value);
+                }
+                e.target.value = '';
+            });
+
+            this.elements.batchExport.addEventListener('click', () => {
+                this.exportBatch();
+            });
+        }
+
+        // История поиска
+        if (this.elements.historyClear) {
+            this.elements.historyClear.addEventListener('click', () => {
+                this.clearHistory();
+            });
+        }
+
+        // Избранное
+        if (this.elements.favoritesList) {
+            this.elements.favoritesSearch.addEventListener('input', () => {
+                this.renderFavorites();
+            });
+
+            this.elements.favoritesTag.addEventListener('change', () => {
+                this.renderFavorites();
+            });
+
+            this.elements.favoritesExport.addEventListener('click', () => {
+                this.exportFavorites();
+            });
+
+            this.elements.favoritesImport.addEventListener('change', (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.importFavorites(file);
+                }
+                e.target.value = '';
+            });
+        }
+
         // Изменение размера окна
         window.addEventListener('resize', Utils.debounce(() => {
             this.handleResize();
         }, 250));
     }
 
+    /**
+     * Переключатель режимов поиска
+     * Выбранный режим сохраняется между сессиями
+     */
+    setupSearchModes() {
+        const modes = BankSearchApp.SEARCH_MODES;
+        const savedMode = DOMUtils.loadFromStorage('bank_search_mode', 'auto');
+
+        if (this.elements.searchMode) {
+            Object.entries(modes).forEach(([mode, config]) => {
+                const button = DOMUtils.createElement('button', 'search-mode__option', config.title, {
+                    type: 'button',
+                    role: 'radio',
+                    'data-mode': mode
+                });
+                button.addEventListener('click', () => this.setSearchMode(mode));
+                this.elements.searchMode.appendChild(button);
+            });
+        }
+
+        this.setSearchMode(modes[savedMode] ? savedMode : 'auto', { silent: true });
+    }
+
+    /**
+     * Смена режима поиска
+     * @param {string} mode - Режим из SEARCH_MODES
+     * @param {Object} options - Параметры
+     * @param {boolean} options.silent - Не сохранять режим и не повторять поиск
+     */
+    setSearchMode(mode, options = {}) {
+        const config = BankSearchApp.SEARCH_MODES[mode];
+        if (!config) {
+            return;
+        }
+
+        this.searchMode = mode;
+
+        const input = this.elements.input;
+        input.placeholder = config.placeholder;
+        input.setAttribute('inputmode', config.inputMode);
+
+        if (this.elements.inputLabel) {
+            this.elements.inputLabel.textContent = config.label;
+        }
+        if (this.elements.inputHint) {
+            this.elements.inputHint.textContent = config.hint;
+        }
+
+        if (this.elements.searchMode) {
+            this.elements.searchMode.querySelectorAll('.search-mode__option').forEach(button => {
+                const isActive = button.dataset.mode === mode;
+                button.classList.toggle('search-mode__option--active', isActive);
+                button.setAttribute('aria-checked', String(isActive));
+            });
+        }
+
+        if (options.silent) {
+            return;
+        }
+
+        DOMUtils.saveToStorage('bank_search_mode', mode);
+
+        // Повторяем поиск по уже введенному запросу в новом режиме
+        this.handleInputChange(input.value);
+        this.validateInput(input.value);
+        input.focus();
+    }
+
+    /**
+     * Панель фильтров результатов
+     * Начальные значения берутся из адресной строки (?status=...&type=...&region=...)
+     */
+    setupFilters() {
+        if (!this.elements.filters) {
+            return;
+        }
+
+        const options = BankSearchApp.FILTER_OPTIONS;
+        const labels = { status: Utils.getStatusText, type: Utils.getBankTypeText };
+
+        Object.keys(options).forEach(filter => {
+            const group = this.elements.filters.querySelector(`[data-filter="${filter}"]`);
+
+            options[filter].forEach(value => {
+                const label = DOMUtils.createElement('label', 'search-filters__option');
+                const checkbox = DOMUtils.createElement('input', 'search-filters__checkbox', '', {
+                    type: 'checkbox',
+                    name: filter,
+                    value: value
+                });
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(labels[filter].call(Utils, value)));
+                group.appendChild(label);
+            });
+        });
+
+        this.filters = this.readFiltersFromURL();
+        this.renderFilters();
+
+        this.elements.filters.addEventListener('change', (e) => {
+            // «Мой регион» не фильтр, а предпочтение - у него свой обработчик
+            if (e.target === this.elements.preferredRegion) {
+                return;
+            }
+
+            this.filters = this.readFiltersFromForm();
+            this.handleFiltersChange();
+        });
+
+        this.elements.filtersReset.addEventListener('click', () => {
+            this.resetFilters();
+        });
+    }
+
+    /**
+     * Фильтры из адресной строки; неизвестные значения отбрасываются
+     * @returns {Object} - { status, type, region }
+     */
+    readFiltersFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const options = BankSearchApp.FILTER_OPTIONS;
+        const readList = (name) => (params.get(name) || '')
+            .split(',')
+            .map(value => value.trim().toUpperCase())
+            .filter(value => options[name].includes(value));
+
+        return {
+            status: readList('status'),
+            type: readList('type'),
+            region: (params.get('region') || '').trim()
+        };
+    }
+
+    /**
+     * Фильтры из отмеченных флажков и поля региона
+     * @returns {Object} - { status, type, region }
+     */
+    readFiltersFromForm() {
+        const checked = (name) => [...this.elements.filters.querySelectorAll(`input[name="${name}"]:checked`)]
+            .map(checkbox => checkbox.value);
+
+        return {
+            status: checked('status'),
+            type: checked('type'),
+            region: this.elements.filterRegion.value.trim()
+        };
+    }
+
+    /**
+     * Отображение текущих фильтров: флажки, счетчик, кнопка сброса и ошибки в кодах регионов
+     */
+    renderFilters() {
+        this.elements.filters.querySelectorAll('.search-filters__checkbox').forEach(checkbox => {
+            checkbox.checked = this.filters[checkbox.name].includes(checkbox.value);
+        });
+        this.elements.filterRegion.value = this.filters.region;
+
+        const count = this.countActiveFilters();
+        this.elements.filtersCount.textContent = count > 0 ? String(count) : '';
+        this.elements.filtersCount.classList.toggle('search-filters__count--active', count > 0);
+        this.elements.filtersReset.disabled = count === 0;
+
+        const { invalid } = Utils.parseRegionCodes(this.filters.region);
+        this.elements.filterRegion.classList.toggle('invalid', invalid.length > 0);
+        this.elements.filterRegionError.textContent = invalid.length > 0
+            ? `Неверный код региона: ${invalid.join(', ')}. Укажите код КЛАДР (цифры) или ФИАС (UUID)`
+            : '';
+    }
+
+    /**
+     * Количество выбранных значений фильтров
+     * @returns {number}
+     */
+    countActiveFilters() {
+        return this.filters.status.length +
+            this.filters.type.length +
+            Utils.parseRegionCodes(this.filters.region).locations.length;
+    }
+
+    /**
+     * Параметры запроса подсказок из фильтров
+     * Невыбранный фильтр не передается, чтобы действовали ограничения режима поиска
+     * @returns {Object} - { status, type, locations }
+     */
+    getFilterParams() {
+        const params = {};
+        const { locations } = Utils.parseRegionCodes(this.filters.region);
+
+        if (this.filters.status.length) {
+            params.status = this.filters.status;
+        }
+        if (this.filters.type.length) {
+            params.type = this.filters.type;
+        }
+        if (locations.length) {
+            params.locations = locations;
+        }
+
+        return params;
+    }
+
+    /**
+     * Фильтрация результатов точного поиска: findById не принимает статус,
+     * а офлайн-справочник - тип организации
+     * @param {Array<Object>} suggestions - Подсказки
+     * @returns {Array<Object>} - Подсказки, подходящие под фильтры
+     */
+    filterSuggestions(suggestions) {
+        const { status, type } = this.filters;
+
+        return suggestions.filter(({ data = {} }) =>
+            (!status.length || status.includes(data.state?.status)) &&
+            (!type.length || type.includes(data.opf?.type || data.type))
+        );
+    }
+
+    /**
+     * Применение измененных фильтров: адресная строка, счетчик и повтор поиска
+     */
+    handleFiltersChange() {
+        this.renderFilters();
+        this.updateFiltersURL();
+
+        // Открытую карточку банка не закрываем - фильтры влияют только на подсказки
+        if (!this.state.isBankDetailsVisible) {
+            this.handleInputChange(this.elements.input.value);
+        }
+    }
+
+    /**
+     * Сохранение фильтров в адресной строке, чтобы ссылкой можно было поделиться
+     */
+    updateFiltersURL() {
+        const url = new URL(window.location.href);
+        const { status, type, region } = this.filters;
+
+        [['status', status.join(',')], ['type', type.join(',')], ['region', region]].forEach(([name, value]) => {
+            if (value) {
+                url.searchParams.set(name, value);
+            } else {
+                url.searchParams.delete(name);
+            }
+        });
+
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * Сброс всех фильтров
+     */
+    resetFilters() {
+        this.filters = { status: [], type: [], region: '' };
+        this.handleFiltersChange();
+    }
+
+    /**
+     * Предпочтительный регион («Мой регион»)
+     * Задается вручную или определяется по регионам недавно выбранных банков
+     */
+    setupPreferredRegion() {
+        if (!this.elements.preferredRegion) {
+            return;
+        }
+
+        this.elements.preferredRegion.value = DOMUtils.loadFromStorage('bank_preferred_region', '');
+        this.renderPreferredRegion();
+
+        this.elements.preferredRegion.addEventListener('change', (e) => {
+            const value = e.target.value.trim();
+
+            if (value && !Utils.getRegionCode(value)) {
+                this.renderPreferredRegion('Укажите код КЛАДР цифрами, например: 77');
+                return;
+            }
+
+            if (value) {
+                DOMUtils.saveToStorage('bank_preferred_region', value);
+            } else {
+                DOMUtils.clearFromStorage('bank_preferred_region');
+            }
+
+            this.renderPreferredRegion();
+
+            if (!this.state.isBankDetailsVisible) {
+                this.handleInputChange(this.elements.input.value);
+            }
+        });
+    }
+
+    /**
+     * Текущий предпочтительный регион
+     * @returns {Object|null} - { code, name, source: 'manual' | 'history' }
+     */
+    getPreferredRegion() {
+        const history = this.loadHistory();
+        const manualCode = Utils.getRegionCode(DOMUtils.loadFromStorage('bank_preferred_region', ''));
+
+        if (manualCode) {
+            // Название региона подставляем из истории, если банк из него уже выбирали
+            const known = history.find(entry => Utils.getRegionCode(entry.regionKladrId) === manualCode);
+            return { code: manualCode, name: known ? known.region : '', source: 'manual' };
+        }
+
+        const inferred = Utils.inferPreferredRegion(history);
+        return inferred ? { ...inferred, source: 'history' } : null;
+    }
+
+    /**
+     * Пояснение под полем «Мой регион»
+     * @param {string|null} error - Ошибка ввода кода
+     */
+    renderPreferredRegion(error = null) {
+        const note = this.elements.preferredRegionNote;
+        if (!note) {
+            return;
+        }
+
+        const region = this.getPreferredRegion();
+        const title = region && (region.name ? `${region.name} (${region.code})` : region.code);
+
+        this.elements.preferredRegion.classList.toggle('invalid', Boolean(error));
+        this.elements.preferredRegion.placeholder = region && region.source === 'history'
+            ? `Определен автоматически: ${region.code}`
+            : 'Код КЛАДР, например: 77';
+
+        if (error) {
+            note.textContent = error;
+        } else if (!region) {
+            note.textContent = 'Не задан - определится по регионам выбранных банков';
+        } else if (region.source === 'history') {
+            note.textContent = `${title} - по недавно выбранным банкам. Банки региона показываются первыми`;
+        } else {
+            note.textContent = `${title} - банки региона показываются первыми`;
+        }
+    }
+
+    /**
+     * Параметры приоритета региона для подсказок
+     * @returns {Object} - { locations_boost } или пустой объект
+     */
+    getBoostParams() {
+        const region = this.getPreferredRegion();
+        return region ? { locations_boost: [{ kladr_id: region.code }] } : {};
+    }
+
+    /**
+     * Находится ли банк из подсказки в предпочтительном регионе
+     * @param {Object} suggestion - Подсказка
+     * @param {Object|null} region - Предпочтительный регион
+     * @returns {boolean}
+     */
+    isInPreferredRegion(suggestion, region) {
+        const kladrId = suggestion.data && suggestion.data.address && suggestion.data.address.data
+            ? suggestion.data.address.data.region_kladr_id
+            : '';
+
+        return Boolean(region) && Utils.getRegionCode(kladrId) === region.code;
+    }
+
     /**
      * Настройка валидации
      */
     setupValidation() {
         this.elements.input.addEventListener('input', (e) => {
-            const value = e.target.value;
-            const isValid = Utils.validateBIC(value) || value.length === 0;
-            
-            this.elements.input.classList.toggle('invalid', !isValid && value.length > 0);
-            
-            if (!isValid && value.length > 0) {
-                this.showInputError('БИК должен состоять из 9 цифр');
-            } else {
-                this.hideInputError();
-            }
+            this.validateInput(e.target.value);
         });
     }
 
+    /**
+     * Проверка ввода в текущем режиме поиска
+     * @param {string} value - Значение поля ввода
+     * @returns {Object} - Результат Utils.validateSearchQuery
+     */
+    validateInput(value) {
+        const validation = Utils.validateSearchQuery(value, this.searchMode);
+
+        this.elements.input.classList.toggle('invalid', !validation.valid);
+
+        if (!validation.valid) {
+            this.showInputError(validation.error);
+        } else {
+            this.hideInputError();
+        }
+
+        return validation;
+    }
+
     /**
      * Настройка навигации с клавиатуры
      */
@@ -158,11 +799,17 @@ class BankSearchApp {
             clearTimeout(this.debounceTimer);
         }
 
+        // Предыдущий поиск больше не актуален
+        this.cancelSearch();
+
         // Скрываем ошибки и детали банка
         this.hideError();
         this.hideBankDetails();
         this.hideEmptyState();
 
+        // История показывается только при пустом поле ввода
+        this.renderHistory();
+
         if (this.currentQuery.length === 0) {
             this.hideSuggestions();
             this.showEmptyState();
@@ -174,6 +821,15 @@ class BankSearchApp {
             return;
         }
 
+        // Запрос не подходит к режиму (ошибку показывает валидация)
+        // или идентификатор еще не введен полностью
+        const validation = Utils.validateSearchQuery(this.currentQuery, this.searchMode);
+        const mode = BankSearchApp.SEARCH_MODES[this.searchMode];
+        if (!validation.valid || (!validation.complete && !mode.searchParams)) {
+            this.hideSuggestions();
+            return;
+        }
+
         // Debounced поиск
         this.debounceTimer = setTimeout(() => {
             this.performSearch(this.currentQuery);
@@ -182,84 +838,487 @@ class BankSearchApp {
 
     /**
      * Выполнение поиска
+     * Предыдущий незавершенный поиск отменяется, а ответы,
+     * пришедшие не по порядку, игнорируются
      * @param {string} query - Поисковый запрос
      */
     async performSearch(query) {
+        this.cancelSearch();
+
+        const controller = new AbortController();
+        const searchId = this.searchSequence;
+        const options = { signal: controller.signal };
+        this.searchController = controller;
+
         try {
             this.setLoadingState(true);
             this.selectedIndex = -1;
 
-            const result = await this.apiClient.searchBank(query, {
-                count: this.settings.maxSuggestions,
-                status: ['ACTIVE', 'LIQUIDATING', 'LIQUIDATED']
-            });
+            const mode = BankSearchApp.SEARCH_MODES[this.searchMode];
+            const isAuto = this.searchMode === 'auto';
+            const identifierType = isAuto
+                ? Utils.detectIdentifierType(query)
+                : (mode.identifier && Utils.validateSearchQuery(query, this.searchMode).complete ? this.searchMode : null);
+
+            let result = identifierType
+                ? await this.findByIdentifier(identifierType, query, options)
+                : null;
+
+            if (result) {
+                result = { ...result, suggestions: this.filterSuggestions(result.suggestions || []) };
+            }
+
+            // В автоматическом режиме SWIFT может оказаться названием - ищем подсказки
+            const retryAsText = isAuto && identifierType === 'swift' && !(result.suggestions || []).length;
+
+            if ((!result || retryAsText) && mode.searchParams) {
+                result = await this.provider.search(query, {
+                    count: this.settings.maxSuggestions,
+                    ...mode.searchParams,
+                    ...this.getFilterParams(),
+                    ...this.getBoostParams(),
+                    ...options
+                });
+            }
+
+            // Пока ждали ответ, начался новый поиск
+            if (searchId !== this.searchSequence) {
+                return;
+            }
 
             this.suggestions = result.suggestions || [];
             this.displaySuggestions();
 
         } catch (error) {
+            if (error instanceof CancelError || searchId !== this.searchSequence) {
+                return;
+            }
+
             console.error('Search failed:', error);
-            const errorInfo = this.apiClient.getErrorInfo(error);
-            this.showError(errorInfo.message);
+            this.showError(error, () => this.performSearch(query));
             this.hideSuggestions();
         } finally {
-            this.setLoadingState(false);
+            if (searchId === this.searchSequence) {
+                this.searchController = null;
+                this.setLoadingState(false);
+            }
         }
     }
 
     /**
-     * Отображение подсказок
+     * Загрузка сохраненного офлайн-справочника
      */
-    displaySuggestions() {
-        if (this.suggestions.length === 0) {
-            this.hideSuggestions();
-            return;
+    async loadDirectory() {
+        try {
+            await this.directory.load();
+        } catch (error) {
+            console.warn('Failed to load offline directory:', error);
         }
 
-        this.clearSuggestions();
-        
-        this.suggestions.forEach((suggestion, index) => {
-            const suggestionElement = this.createSuggestionElement(suggestion, index);
-            this.elements.suggestionsList.appendChild(suggestionElement);
-        });
+        this.updateDirectoryStatus();
+    }
 
-        this.showSuggestions();
+    /**
+     * Импорт офлайн-справочника из файла ED807
+     * @param {File} file - XML файл справочника
+     */
+    async importDirectory(file) {
+        try {
+            this.elements.directoryStatus.textContent = 'Импорт справочника...';
+            const buffer = await file.arrayBuffer();
+            await this.directory.importED807(buffer);
+            this.hideError();
+        } catch (error) {
+            console.error('Directory import failed:', error);
+            this.showError(`Не удалось импортировать справочник: ${error.message}`);
+        }
+
+        this.updateDirectoryStatus();
     }
 
     /**
-     * Создание элемента подсказки
-     * @param {Object} suggestion - Данные подсказки
-     * @param {number} index - Индекс подсказки
-     * @returns {HTMLElement} - Элемент подсказки
+     * Обновление статуса офлайн-справочника
      */
-    createSuggestionElement(suggestion, index) {
-        const formattedData = Utils.formatBankData(suggestion);
-        if (!formattedData) return null;
+    updateDirectoryStatus() {
+        if (!this.elements.directoryStatus) {
+            return;
+        }
 
-        const item = Utils.createElement('div', 'suggestion-item');
-        item.setAttribute('data-index', index);
-        item.setAttribute('tabindex', '0');
+        const info = this.directory.getInfo();
+        const isLoaded = this.directory.isLoaded() && info;
 
-        // Иконка банка
-        const icon = Utils.createElement('div', 'suggestion-item__icon');
-        icon.textContent = Utils.getBankInitials(formattedData.name);
+        this.elements.directoryStatus.textContent = isLoaded
+            ? `Загружено записей: ${info.count}${info.edDate ? `, справочник от ${info.edDate}` : ''}`
+            : 'Справочник не загружен';
+        this.elements.directoryStatus.classList.toggle('directory-import__status--loaded', Boolean(isLoaded));
+    }
+
+    /**
+     * Пакетная проверка списка БИК
+     * @param {string} text - Вставленный список или содержимое CSV файла
+     */
+    async runBatch(text) {
+        if (this.batchController) {
+            this.batchController.abort();
+        }
+
+        const rows = BatchResolver.parseInput(text);
+        this.batchRows = rows;
+        this.elements.batchExport.disabled = true;
+
+        if (rows.length === 0) {
+            this.elements.batchResults.innerHTML = '';
+            this.elements.batchProgress.textContent = 'В списке не найдено ни одного БИК';
+            return;
+        }
+
+        const controller = new AbortController();
+        this.batchController = controller;
+
+        const resolver = new BatchResolver(this.provider, {
+            formatError: error => this.apiClient.getErrorInfo(error).message
+        });
+        const rowElements = this.renderBatchTable(rows);
+
+        await resolver.run(rows, {
+            signal: controller.signal,
+            onProgress: (row, done, total) => {
+                this.updateBatchRow(rowElements[row.index], row);
+                this.elements.batchProgress.textContent = `Проверено ${done} из ${total}`;
+            }
+        });
+
+        // Результаты устаревшего запуска не показываем
+        if (this.batchController !== controller) {
+            return;
+        }
+
+        this.batchController = null;
+        this.elements.batchExport.disabled = false;
+
+        const found = rows.filter(row => row.status === 'found').length;
+        this.elements.batchProgress.textContent = `Готово: найдено ${found} из ${rows.length}`;
+    }
+
+    /**
+     * Отрисовка таблицы результатов пакетной проверки
+     * @param {Array<Object>} rows - Строки пакетной проверки
+     * @returns {Array<HTMLElement>} - Строки таблицы в порядке rows
+     */
+    renderBatchTable(rows) {
+        const table = DOMUtils.createElement('table', 'batch-table');
+        const head = DOMUtils.createElement('thead');
+        const headRow = DOMUtils.createElement('tr');
+
+        ['БИК', 'Статус', 'Наименование', 'Корр. счет', 'Ошибка'].forEach(title => {
+            headRow.appendChild(DOMUtils.createElement('th', '', title));
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+
+        const body = DOMUtils.createElement('tbody');
+        const rowElements = rows.map(row => {
+            const tr = DOMUtils.createElement('tr', 'batch-table__row');
+            for (let i = 0; i < 5; i++) {
+                tr.appendChild(DOMUtils.createElement('td'));
+            }
+            this.updateBatchRow(tr, row);
+            body.appendChild(tr);
+            return tr;
+        });
+        table.appendChild(body);
+
+        this.elements.batchResults.innerHTML = '';
+        this.elements.batchResults.appendChild(table);
+
+        return rowElements;
+    }
+
+    /**
+     * Обновление строки таблицы пакетной проверки
+     * @param {HTMLElement} tr - Строка таблицы
+     * @param {Object} row - Строка пакетной проверки
+     */
+    updateBatchRow(tr, row) {
+        const cells = tr.children;
+
+        cells[0].textContent = row.bic || row.input;
+        cells[1].textContent = BatchResolver.STATUS_TEXT[row.status] || row.status;
+        cells[2].textContent = row.bank ? row.bank.name : '';
+        cells[3].textContent = row.bank ? Utils.formatAccount(row.bank.correspondentAccount) : '';
+        cells[4].textContent = row.error || '';
+
+        tr.className = `batch-table__row batch-table__row--${row.status}`;
+    }
+
+    /**
+     * Выгрузка результатов пакетной проверки в CSV
+     */
+    exportBatch() {
+        if (this.batchRows.length === 0) {
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        DOMUtils.downloadFile(BatchResolver.toCSV(this.batchRows), `bic-check-${date}.csv`, 'text/csv;charset=utf-8');
+    }
+
+    /**
+     * Распознавание реквизитов во вставленном тексте и сверка со справочником по БИК
+     * @param {string} text - Произвольный текст с реквизитами
+     */
+    async extractRequisites(text) {
+        if (this.smartPasteController) {
+            this.smartPasteController.abort();
+            this.smartPasteController = null;
+        }
+
+        const status = this.elements.smartPasteStatus;
+        const resultEl = this.elements.smartPasteResult;
+        const { fields, sources } = RequisitesParser.extract(text);
+        resultEl.innerHTML = '';
+
+        if (Object.keys(fields).length === 0) {
+            status.textContent = 'Реквизиты в тексте не найдены';
+            return;
+        }
+
+        let bankData = null;
+        let suggestion = null;
+
+        if (Utils.validateBIC(fields.bic || '')) {
+            const controller = new AbortController();
+            this.smartPasteController = controller;
+            status.textContent = `Поиск банка с БИК ${fields.bic}...`;
+
+            try {
+                const result = await this.findByIdentifier('bic', fields.bic, { signal: controller.signal });
+                suggestion = (result.suggestions || [])[0] || null;
+            } catch (error) {
+                if (!(error instanceof CancelError) && this.smartPasteController === controller) {
+                    status.textContent = this.apiClient.getErrorInfo(error).message;
+                    this.smartPasteController = null;
+                }
+                return;
+            }
+
+            // Результаты устаревшего запуска не показываем
+            if (this.smartPasteController !== controller) {
+                return;
+            }
+            this.smartPasteController = null;
+            bankData = Utils.formatBankData(suggestion);
+        }
+
+        const rows = RequisitesParser.check(fields, bankData);
+        const errors = rows.filter(row => row.valid === false).length;
+
+        if (!fields.bic) {
+            status.textContent = 'БИК в тексте не найден - реквизиты банка не сверены';
+        } else if (!bankData) {
+            status.textContent = `Банк с БИК ${fields.bic} не найден в справочнике`;
+        } else {
+            status.textContent = errors > 0 ? `Ошибок в реквизитах: ${errors}` : 'Реквизиты проверены, ошибок нет';
+        }
+
+        const block = RequisitesParser.format(fields, bankData);
+        SmartPasteView.render(resultEl, { rows, sources, block, bankData }, {
+            onCopy: async text => {
+                if (await DOMUtils.copyToClipboard(text)) {
+                    this.showCopyNotification('Реквизиты');
+                }
+            },
+            onOpen: () => this.openBankCard(bankData, suggestion)
+        });
+    }
+
+    /**
+     * Открытие карточки банка, найденного вне основного поиска
+     * @param {Object} bankData - Данные банка (Utils.formatBankData)
+     * @param {Object} raw - Исходная подсказка API
+     */
+    openBankCard(bankData, raw) {
+        this.selectedBank = bankData;
+        this.currentQuery = bankData.bic;
+        this.elements.input.value = bankData.bic;
+        this.hideEmptyState();
+        this.renderHistory();
+        this.displayBankDetails(bankData, { raw });
+        this.saveToHistory(bankData);
+    }
+
+    /**
+     * Расшифровка платежной строки ST0001x и сверка банка получателя со справочником
+     * @param {string} text - Платежная строка или текст, содержащий ее
+     * @param {string} separator - Разделитель реквизитов (пусто - из строки)
+     */
+    async decodePaymentString(text, separator = '') {
+        if (this.decodeController) {
+            this.decodeController.abort();
+        }
+
+        const status = this.elements.paymentDecodeStatus;
+        const resultEl = this.elements.paymentDecodeResult;
+        resultEl.innerHTML = '';
+
+        let parsed;
+        try {
+            parsed = PaymentQR.parse(text, { separator: separator || undefined });
+        } catch (error) {
+            status.textContent = `Не удалось разобрать строку: ${error.message}`;
+            return;
+        }
+
+        resultEl.appendChild(PaymentView.createFieldsTable(parsed));
+
+        const bic = parsed.fields.BIC || '';
+        if (!Utils.validateBIC(bic)) {
+            status.textContent = 'В строке нет корректного БИК банка получателя';
+            return;
+        }
+
+        const controller = new AbortController();
+        this.decodeController = controller;
+        status.textContent = `Поиск банка с БИК ${bic}...`;
+
+        let suggestion;
+        try {
+            const result = await this.findByIdentifier('bic', bic, { signal: controller.signal });
+            suggestion = (result.suggestions || [])[0] || null;
+        } catch (error) {
+            if (!(error instanceof CancelError) && this.decodeController === controller) {
+                status.textContent = this.apiClient.getErrorInfo(error).message;
+                this.decodeController = null;
+            }
+            return;
+        }
+
+        // Результаты устаревшего запуска не показываем
+        if (this.decodeController !== controller) {
+            return;
+        }
+        this.decodeController = null;
+
+        const bankData = Utils.formatBankData(suggestion);
+        const rows = PaymentQR.reconcile(parsed.fields, bankData);
+        const mismatches = rows.filter(row => !row.match).length;
+
+        if (!bankData) {
+            status.textContent = `Банк с БИК ${bic} не найден в справочнике`;
+        } else {
+            status.textContent = mismatches > 0
+                ? `Расхождений со справочником: ${mismatches}`
+                : 'Реквизиты банка совпадают со справочником';
+        }
+
+        resultEl.appendChild(PaymentView.createReconciliationTable(rows));
+
+        if (bankData) {
+            const open = DOMUtils.createElement('button', 'payment-decode__button payment-decode__button--secondary',
+                'Открыть карточку банка', { type: 'button' });
+            open.addEventListener('click', () => this.openBankCard(bankData, suggestion));
+            resultEl.appendChild(open);
+        }
+    }
+
+    /**
+     * Отмена текущего поиска
+     */
+    cancelSearch() {
+        this.searchSequence++;
+
+        if (this.searchController) {
+            this.searchController.abort();
+            this.searchController = null;
+            this.setLoadingState(false);
+        }
+    }
+
+    /**
+     * Точный поиск банка по идентификатору через доступные источники данных
+     * @param {string} identifierType - Тип идентификатора ('bic', 'inn', 'swift')
+     * @param {string} query - Значение идентификатора
+     * @param {Object} options - Параметры запроса (signal)
+     * @returns {Promise<Object>} - Результат поиска
+     */
+    async findByIdentifier(identifierType, query, options = {}) {
+        const id = query.trim();
+
+        switch (identifierType) {
+            case 'bic':
+                return this.provider.findById(id, { ...options, count: 1 });
+            case 'inn':
+                return this.provider.findById(id, { ...options, count: this.settings.maxSuggestions });
+            case 'swift':
+                return this.provider.findById(id.toUpperCase(), { ...options, count: 1 });
+            default:
+                return { suggestions: [] };
+        }
+    }
+
+    /**
+     * Отображение подсказок
+     */
+    displaySuggestions() {
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.clearSuggestions();
+
+        const region = this.getPreferredRegion();
+
+        this.suggestions.forEach((suggestion, index) => {
+            const suggestionElement = this.createSuggestionElement(suggestion, index, region);
+            this.elements.suggestionsList.appendChild(suggestionElement);
+        });
+
+        this.showSuggestions();
+    }
+
+    /**
+     * Создание элемента подсказки
+     * @param {Object} suggestion - Данные подсказки
+     * @param {number} index - Индекс подсказки
+     * @param {Object|null} region - Предпочтительный регион для отметки
+     * @returns {HTMLElement} - Элемент подсказки
+     */
+    createSuggestionElement(suggestion, index, region = null) {
+        const formattedData = Utils.formatBankData(suggestion);
+        if (!formattedData) return null;
+
+        const item = DOMUtils.createElement('div', 'suggestion-item');
+        item.setAttribute('data-index', index);
+        item.setAttribute('tabindex', '0');
+
+        // Иконка банка
+        const icon = DOMUtils.createElement('div', 'suggestion-item__icon');
+        icon.textContent = Utils.getBankInitials(formattedData.name);
 
         // Контент
-        const content = Utils.createElement('div', 'suggestion-item__content');
+        const content = DOMUtils.createElement('div', 'suggestion-item__content');
         
-        const name = Utils.createElement('div', 'suggestion-item__name');
+        const name = DOMUtils.createElement('div', 'suggestion-item__name');
         name.textContent = formattedData.name;
         
-        const bic = Utils.createElement('div', 'suggestion-item__bic');
+        const bic = DOMUtils.createElement('div', 'suggestion-item__bic');
         bic.textContent = `БИК: ${formattedData.bic}`;
         
-        const status = Utils.createElement('div', `suggestion-item__status suggestion-item__status--${Utils.getStatusClass(formattedData.status)}`);
+        const status = DOMUtils.createElement('div', `suggestion-item__status suggestion-item__status--${Utils.getStatusClass(formattedData.status)}`);
         status.textContent = Utils.getStatusText(formattedData.status);
 
         content.appendChild(name);
         content.appendChild(bic);
         content.appendChild(status);
 
+        if (this.isInPreferredRegion(suggestion, region)) {
+            item.classList.add('suggestion-item--preferred');
+            const badge = DOMUtils.createElement('div', 'suggestion-item__region', 'Мой регион');
+            badge.title = region.name || region.code;
+            content.appendChild(badge);
+        }
+
         item.appendChild(icon);
         item.appendChild(content);
 
@@ -273,103 +1332,408 @@ class BankSearchApp {
             this.updateSelectedSuggestion();
         });
 
-        return item;
+        return item;
+    }
+
+    /**
+     * Обновление выбранной подсказки
+     */
+    updateSelectedSuggestion() {
+        const items = this.elements.suggestionsList.querySelectorAll('.suggestion-item');
+        items.forEach((item, index) => {
+            item.classList.toggle('selected', index === this.selectedIndex);
+        });
+    }
+
+    /**
+     * Выбор подсказки
+     * @param {number} index - Индекс подсказки
+     */
+    selectSuggestion(index) {
+        if (index < 0 || index >= this.suggestions.length) {
+            return;
+        }
+
+        const suggestion = this.suggestions[index];
+        const formattedData = Utils.formatBankData(suggestion);
+        
+        if (!formattedData) {
+            return;
+        }
+
+        this.selectedBank = formattedData;
+        this.elements.input.value = formattedData.bic;
+        this.hideSuggestions();
+        this.displayBankDetails(formattedData, { raw: suggestion });
+        
+        // Сохраняем в историю поиска
+        this.saveToHistory(formattedData);
+    }
+
+    /**
+     * Отображение детальной информации о банке
+     * @param {Object} bankData - Данные банка
+     * @param {Object} options - Параметры
+     * @param {number} options.snapshotDate - Время сохранения данных, если они открыты из истории
+     * @param {Object} options.raw - Исходная подсказка источника данных для выгрузки в JSON
+     */
+    displayBankDetails(bankData, options = {}) {
+        this.clearBankDetails();
+
+        // Данные из истории могли устареть - предлагаем обновить их
+        if (options.snapshotDate) {
+            const snapshot = this.createSnapshotElement(bankData, options.snapshotDate);
+            this.elements.bankDetailsContent.appendChild(snapshot);
+        }
+        
+        // Основная информация
+        const bankInfo = this.createBankInfoElement(bankData);
+        this.elements.bankDetailsContent.appendChild(bankInfo);
+
+        // Выгрузка реквизитов
+        const exportMenu = this.createExportElement(bankData, options.raw || null);
+        this.elements.bankDetailsContent.appendChild(exportMenu);
+
+        // Метка, теги и заметки избранного
+        if (bankData.bic) {
+            const favoriteEditor = this.createFavoriteEditor(bankData);
+            this.elements.bankDetailsContent.appendChild(favoriteEditor);
+        }
+
+        // Реквизиты
+        const requisites = this.createRequisitesElement(bankData);
+        this.elements.bankDetailsContent.appendChild(requisites);
+
+        // Даты, телефоны и вышестоящие организации
+        const profile = this.createProfileElement(bankData);
+        if (profile) {
+            this.elements.bankDetailsContent.appendChild(profile);
+        }
+
+        // Казначейские счета ТОФК
+        if (this.isTreasury(bankData)) {
+            const treasury = this.createTreasuryAccountsElement(bankData);
+            this.elements.bankDetailsContent.appendChild(treasury);
+        }
+
+        // Проверка счета контрагента
+        if (bankData.bic) {
+            const accountCheck = this.createAccountCheckElement();
+            this.elements.bankDetailsContent.appendChild(accountCheck);
+
+            // QR-код для оплаты на счет в этом банке
+            const paymentQR = PaymentView.createQRForm(bankData);
+            this.elements.bankDetailsContent.appendChild(paymentQR);
+        }
+
+        // Адрес
+        if (bankData.address) {
+            const address = this.createAddressElement(bankData);
+            this.elements.bankDetailsContent.appendChild(address);
+        }
+
+        this.showBankDetails();
+    }
+
+    /**
+     * Создание отметки о данных из истории с кнопкой обновления
+     * @param {Object} bankData - Данные банка
+     * @param {number} snapshotDate - Время сохранения данных
+     * @returns {HTMLElement} - Элемент отметки
+     */
+    createSnapshotElement(bankData, snapshotDate) {
+        const section = DOMUtils.createElement('div', 'bank-details__section history-snapshot');
+
+        const text = DOMUtils.createElement('span', 'history-snapshot__text');
+        text.textContent = `Сохраненные данные от ${Utils.formatDateTime(snapshotDate, 'ru-RU')}`;
+
+        const refresh = DOMUtils.createElement('button', 'history-snapshot__refresh', 'Обновить с сервера', { type: 'button' });
+        refresh.addEventListener('click', () => {
+            refresh.disabled = true;
+            refresh.textContent = 'Обновление...';
+            this.refreshBankDetails(bankData.bic).finally(() => {
+                refresh.disabled = false;
+                refresh.textContent = 'Обновить с сервера';
+            });
+        });
+
+        section.appendChild(text);
+        section.appendChild(refresh);
+
+        return section;
+    }
+
+    /**
+     * Создание элемента основной информации о банке
+     * @param {Object} bankData - Данные банка
+     * @returns {HTMLElement} - Элемент информации
+     */
+    createBankInfoElement(bankData) {
+        const section = DOMUtils.createElement('div', 'bank-details__section');
+        
+        const bankInfo = DOMUtils.createElement('div', 'bank-info');
+        
+        // Иконка
+        const icon = DOMUtils.createElement('div', 'bank-info__icon');
+        icon.textContent = Utils.getBankInitials(bankData.name);
+        
+        // Контент
+        const content = DOMUtils.createElement('div', 'bank-info__content');
+        
+        const name = DOMUtils.createElement('div', 'bank-info__name');
+        name.textContent = bankData.name;
+        
+        const bic = DOMUtils.createElement('div', 'bank-info__bic');
+        bic.textContent = `БИК: ${bankData.bic}`;
+        
+        const status = DOMUtils.createElement('div', `bank-info__status bank-info__status--${Utils.getStatusClass(bankData.status)}`);
+        status.textContent = Utils.getStatusText(bankData.status);
+
+        content.appendChild(name);
+        content.appendChild(bic);
+        content.appendChild(status);
+
+        // Источник данных
+        if (bankData.provider) {
+            const source = DOMUtils.createElement('div', 'bank-info__source');
+            source.textContent = `Источник: ${bankData.provider.title}`;
+            content.appendChild(source);
+        }
+
+        bankInfo.appendChild(icon);
+        bankInfo.appendChild(content);
+
+        if (bankData.bic) {
+            const favorite = DOMUtils.createElement('button', 'bank-info__favorite', '', { type: 'button' });
+            favorite.addEventListener('click', () => this.toggleFavorite(bankData));
+            bankInfo.appendChild(favorite);
+        }
+
+        section.appendChild(bankInfo);
+
+        return section;
+    }
+
+    /**
+     * Создание меню выгрузки реквизитов банка
+     * @param {Object} bankData - Данные банка
+     * @param {Object|null} raw - Исходная подсказка (для карточек из истории и избранного ее нет)
+     * @returns {HTMLElement} - Элемент меню
+     */
+    createExportElement(bankData, raw) {
+        const section = DOMUtils.createElement('div', 'bank-details__section bank-export');
+        const menu = DOMUtils.createElement('details', 'bank-export__menu');
+        const toggle = DOMUtils.createElement('summary', 'bank-export__toggle', 'Экспорт реквизитов');
+        const list = DOMUtils.createElement('div', 'bank-export__list');
+
+        const formats = [
+            ['json', 'JSON'],
+            ['csv', 'CSV'],
+            ['vcard', 'vCard'],
+            ['print', 'Печать карточки']
+        ];
+
+        formats.forEach(([format, title]) => {
+            const button = DOMUtils.createElement('button', 'bank-export__button', title, {
+                type: 'button',
+                'data-format': format
+            });
+            button.addEventListener('click', () => {
+                this.exportBank(bankData, format, raw);
+                menu.open = false;
+            });
+            list.appendChild(button);
+        });
+
+        menu.appendChild(toggle);
+        menu.appendChild(list);
+        section.appendChild(menu);
+
+        return section;
+    }
+
+    /**
+     * Выгрузка реквизитов банка в выбранном формате
+     * @param {Object} bankData - Данные банка
+     * @param {string} format - 'json', 'csv', 'vcard' или 'print'
+     * @param {Object|null} raw - Исходная подсказка для JSON
+     */
+    exportBank(bankData, format, raw = null) {
+        const filename = `bank-${bankData.bic || 'requisites'}`;
+
+        switch (format) {
+            case 'json':
+                DOMUtils.downloadFile(Utils.bankToJSON(bankData, raw), `${filename}.json`, 'application/json;charset=utf-8');
+                break;
+            case 'csv':
+                DOMUtils.downloadFile(Utils.bankToCSV(bankData), `${filename}.csv`, 'text/csv;charset=utf-8');
+                break;
+            case 'vcard':
+                DOMUtils.downloadFile(Utils.bankToVCard(bankData), `${filename}.vcf`, 'text/vcard;charset=utf-8');
+                break;
+            case 'print':
+                this.printBankCard(bankData);
+                break;
+        }
+    }
+
+    /**
+     * Печать карточки банка в отдельном окне
+     * Если браузер заблокировал окно, карточка скачивается HTML файлом
+     * @param {Object} bankData - Данные банка
+     */
+    printBankCard(bankData) {
+        const html = Utils.bankToPrintHTML(bankData);
+        const printWindow = window.open('', '_blank');
+
+        if (!printWindow) {
+            DOMUtils.downloadFile(html, `bank-${bankData.bic}-card.html`, 'text/html;charset=utf-8');
+            return;
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    /**
+     * Создание формы метки, тегов и заметок избранного банка
+     * @param {Object} bankData - Данные банка
+     * @returns {HTMLElement} - Элемент формы
+     */
+    createFavoriteEditor(bankData) {
+        const section = FavoritesView.createEditor((name, value) => {
+            this.favorites.update(bankData.bic, { [name]: value });
+            this.renderFavorites();
+        });
+
+        this.updateFavoriteControls(bankData.bic, section);
+        return section;
+    }
+
+    /**
+     * Добавление банка в избранное или удаление из него
+     * @param {Object} bankData - Данные банка
+     */
+    toggleFavorite(bankData) {
+        if (this.favorites.has(bankData.bic)) {
+            this.favorites.remove(bankData.bic);
+        } else {
+            this.favorites.add(bankData);
+        }
+
+        this.updateFavoriteControls(bankData.bic);
+        this.renderFavorites();
     }
 
     /**
-     * Обновление выбранной подсказки
+     * Обновление звездочки и формы избранного в карточке банка
+     * @param {string} bic - БИК банка
+     * @param {HTMLElement} editor - Форма избранного (по умолчанию - в открытой карточке)
      */
-    updateSelectedSuggestion() {
-        const items = this.elements.suggestionsList.querySelectorAll('.suggestion-item');
-        items.forEach((item, index) => {
-            item.classList.toggle('selected', index === this.selectedIndex);
-        });
+    updateFavoriteControls(bic, editor = null) {
+        if (!this.selectedBank || this.selectedBank.bic !== bic) {
+            return;
+        }
+
+        const content = this.elements.bankDetailsContent;
+        FavoritesView.updateControls(
+            content.querySelector('.bank-info__favorite'),
+            editor || content.querySelector('.favorite-editor'),
+            this.favorites.get(bic)
+        );
     }
 
     /**
-     * Выбор подсказки
-     * @param {number} index - Индекс подсказки
+     * Отображение списка избранного с учетом поиска и выбранного тега
      */
-    selectSuggestion(index) {
-        if (index < 0 || index >= this.suggestions.length) {
+    renderFavorites() {
+        if (!this.elements.favoritesList) {
             return;
         }
 
-        const suggestion = this.suggestions[index];
-        const formattedData = Utils.formatBankData(suggestion);
-        
-        if (!formattedData) {
-            return;
-        }
+        const tag = FavoritesView.renderTags(this.elements.favoritesTag, this.favorites.getTags());
+        const entries = this.favorites.search(this.elements.favoritesSearch.value, { tag });
 
-        this.selectedBank = formattedData;
-        this.elements.input.value = formattedData.bic;
-        this.hideSuggestions();
-        this.displayBankDetails(formattedData);
-        
-        // Сохраняем в историю поиска
-        this.saveToHistory(formattedData);
+        FavoritesView.renderList(this.elements.favoritesList, entries, this.favorites.size, {
+            onOpen: entry => this.openSnapshot(entry.bank, entry.updatedAt),
+            onRemove: bic => {
+                this.favorites.remove(bic);
+                this.updateFavoriteControls(bic);
+                this.renderFavorites();
+            }
+        });
+
+        this.elements.favoritesCount.textContent = this.favorites.size > 0 ? String(this.favorites.size) : '';
+        this.elements.favoritesExport.disabled = this.favorites.size === 0;
     }
 
     /**
-     * Отображение детальной информации о банке
-     * @param {Object} bankData - Данные банка
+     * Отображение конфликтов импорта избранного
      */
-    displayBankDetails(bankData) {
-        this.clearBankDetails();
-        
-        // Основная информация
-        const bankInfo = this.createBankInfoElement(bankData);
-        this.elements.bankDetailsContent.appendChild(bankInfo);
-
-        // Реквизиты
-        const requisites = this.createRequisitesElement(bankData);
-        this.elements.bankDetailsContent.appendChild(requisites);
+    renderFavoriteConflicts() {
+        FavoritesView.renderConflicts(this.elements.favoritesConflicts, this.favoriteConflicts,
+            (conflict, choice) => this.resolveFavoriteConflict(conflict, choice));
+    }
 
-        // Адрес
-        if (bankData.address) {
-            const address = this.createAddressElement(bankData);
-            this.elements.bankDetailsContent.appendChild(address);
+    /**
+     * Выгрузка избранного в JSON файл
+     */
+    exportFavorites() {
+        if (this.favorites.size === 0) {
+            return;
         }
 
-        this.showBankDetails();
+        const date = new Date().toISOString().slice(0, 10);
+        DOMUtils.downloadFile(this.favorites.export(), `bank-favorites-${date}.json`, 'application/json;charset=utf-8');
     }
 
     /**
-     * Создание элемента основной информации о банке
-     * @param {Object} bankData - Данные банка
-     * @returns {HTMLElement} - Элемент информации
+     * Импорт избранного из JSON файла с объединением по БИК
+     * @param {File} file - Файл, выгруженный exportFavorites
      */
-    createBankInfoElement(bankData) {
-        const section = Utils.createElement('div', 'bank-details__section');
-        
-        const bankInfo = Utils.createElement('div', 'bank-info');
-        
-        // Иконка
-        const icon = Utils.createElement('div', 'bank-info__icon');
-        icon.textContent = Utils.getBankInitials(bankData.name);
-        
-        // Контент
-        const content = Utils.createElement('div', 'bank-info__content');
-        
-        const name = Utils.createElement('div', 'bank-info__name');
-        name.textContent = bankData.name;
-        
-        const bic = Utils.createElement('div', 'bank-info__bic');
-        bic.textContent = `БИК: ${bankData.bic}`;
-        
-        const status = Utils.createElement('div', `bank-info__status bank-info__status--${Utils.getStatusClass(bankData.status)}`);
-        status.textContent = Utils.getStatusText(bankData.status);
+    async importFavorites(file) {
+        try {
+            const report = this.favorites.merge(await file.text());
+            const parts = [
+                `добавлено: ${report.added.length}`,
+                `обновлено: ${report.updated.length}`,
+                `без изменений: ${report.unchanged.length}`,
+                `конфликтов: ${report.conflicts.length}`
+            ];
+            if (report.skipped > 0) {
+                parts.push(`пропущено без БИК: ${report.skipped}`);
+            }
 
-        content.appendChild(name);
-        content.appendChild(bic);
-        content.appendChild(status);
+            this.elements.favoritesStatus.textContent = `Импорт завершен: ${parts.join(', ')}`;
+            this.favoriteConflicts = report.conflicts;
+            this.hideError();
+        } catch (error) {
+            console.error('Favorites import failed:', error);
+            this.showError(`Не удалось импортировать избранное: ${error.message}`);
+        }
 
-        bankInfo.appendChild(icon);
-        bankInfo.appendChild(content);
-        section.appendChild(bankInfo);
+        this.renderFavoriteConflicts();
+        this.renderFavorites();
+        if (this.selectedBank) {
+            this.updateFavoriteControls(this.selectedBank.bic);
+        }
+    }
 
-        return section;
+    /**
+     * Разрешение конфликта импорта избранного
+     * @param {Object} conflict - Конфликт из отчета импорта
+     * @param {string} choice - 'local' или 'incoming'
+     */
+    resolveFavoriteConflict(conflict, choice) {
+        this.favorites.resolveConflict(conflict, choice);
+        this.favoriteConflicts = this.favoriteConflicts.filter(item => item !== conflict);
+
+        this.renderFavoriteConflicts();
+        this.renderFavorites();
+        this.updateFavoriteControls(conflict.bic);
     }
 
     /**
@@ -378,13 +1742,20 @@ class BankSearchApp {
      * @returns {HTMLElement} - Элемент реквизитов
      */
     createRequisitesElement(bankData) {
-        const section = Utils.createElement('div', 'bank-details__section');
+        const section = DOMUtils.createElement('div', 'bank-details__section');
         
-        const title = Utils.createElement('h3', 'bank-details__section-title');
+        const title = DOMUtils.createElement('h3', 'bank-details__section-title');
         title.textContent = 'Реквизиты банка';
         section.appendChild(title);
 
-        const grid = Utils.createElement('div', 'bank-details__grid');
+        const grid = DOMUtils.createElement('div', 'bank-details__grid');
+
+        // Наименование для платежных поручений - с отдельной кнопкой копирования
+        if (bankData.paymentName) {
+            const paymentNameItem = this.createDetailItem('Наименование для платежей', bankData.paymentName, true);
+            paymentNameItem.appendChild(this.createCopyButton(bankData.paymentName, 'Наименование для платежей'));
+            grid.appendChild(paymentNameItem);
+        }
 
         // БИК
         if (bankData.bic) {
@@ -413,6 +1784,7 @@ class BankSearchApp {
         // Корреспондентский счет
         if (bankData.correspondentAccount) {
             const corrItem = this.createDetailItem('Корр. счет', Utils.formatAccount(bankData.correspondentAccount), true, Utils.getCleanAccount(bankData.correspondentAccount));
+            this.flagCorrespondentAccount(corrItem, bankData);
             grid.appendChild(corrItem);
         }
 
@@ -422,23 +1794,289 @@ class BankSearchApp {
             grid.appendChild(regItem);
         }
 
+        // ОКПО
+        if (bankData.okpo) {
+            const okpoItem = this.createDetailItem('ОКПО', bankData.okpo, true);
+            grid.appendChild(okpoItem);
+        }
+
+        section.appendChild(grid);
+        return section;
+    }
+
+    /**
+     * Создание раздела сведений о банке: даты, телефоны, вышестоящие РКЦ и подразделение Банка России
+     * @param {Object} bankData - Данные банка
+     * @returns {HTMLElement|null} - Элемент раздела или null, если сведений нет
+     */
+    createProfileElement(bankData) {
+        const grid = DOMUtils.createElement('div', 'bank-details__grid');
+
+        if (bankData.fullName && bankData.fullName !== bankData.name) {
+            grid.appendChild(this.createDetailItem('Полное наименование', bankData.fullName));
+        }
+
+        // Даты - в локали пользователя
+        [
+            ['registrationDate', 'Дата регистрации'],
+            ['liquidationDate', 'Дата ликвидации'],
+            ['actualityDate', 'Сведения актуальны на']
+        ].forEach(([key, label]) => {
+            const date = Utils.formatDate(bankData[key]);
+            if (date) {
+                grid.appendChild(this.createDetailItem(label, date));
+            }
+        });
+
+        if (bankData.phones && bankData.phones.length > 0) {
+            const item = this.createDetailItem('Телефоны', '');
+            const value = item.querySelector('.bank-detail-item__value');
+            bankData.phones.forEach(phone => {
+                value.appendChild(DOMUtils.createElement('a', 'bank-details__phone', phone, {
+                    href: `tel:${phone.replace(/[^\d+]/g, '')}`
+                }));
+            });
+            grid.appendChild(item);
+        }
+
+        [
+            ['rkc', 'Расчетно-кассовый центр'],
+            ['cbr', 'Подразделение Банка России']
+        ].forEach(([key, label]) => {
+            const parent = bankData[key];
+            if (!parent || !parent.bic) {
+                return;
+            }
+
+            const item = this.createDetailItem(label, '');
+            const link = DOMUtils.createElement('button', 'bank-details__parent', `${parent.name} (БИК ${parent.bic})`, {
+                type: 'button',
+                title: 'Открыть карточку'
+            });
+            const status = DOMUtils.createElement('div', 'bank-details__parent-status', '', { 'aria-live': 'polite' });
+            link.addEventListener('click', () => this.openParentEntry(parent, link, status));
+            item.querySelector('.bank-detail-item__value').appendChild(link);
+            item.appendChild(status);
+            grid.appendChild(item);
+        });
+
+        if (grid.children.length === 0) {
+            return null;
+        }
+
+        const section = DOMUtils.createElement('div', 'bank-details__section bank-profile');
+        section.appendChild(DOMUtils.createElement('h3', 'bank-details__section-title', 'Сведения о банке'));
         section.appendChild(grid);
         return section;
     }
 
+    /**
+     * Открытие карточки вышестоящей организации (РКЦ, подразделение Банка России)
+     * Во вложенных данных DaData нет счетов, статуса и адреса, поэтому запись
+     * загружается по БИК, как при обычном поиске
+     * @param {Object} parent - Вложенные данные организации (bankData.rkc или bankData.cbr)
+     * @param {HTMLElement} link - Ссылка на организацию
+     * @param {HTMLElement} statusEl - Элемент для состояния загрузки и ошибок
+     */
+    async openParentEntry(parent, link, statusEl) {
+        link.disabled = true;
+        statusEl.className = 'bank-details__parent-status';
+        statusEl.textContent = 'Загрузка...';
+
+        try {
+            const result = await this.findByIdentifier('bic', parent.bic);
+            const suggestion = (result.suggestions || [])[0] || null;
+
+            if (!suggestion) {
+                statusEl.textContent = `Организация с БИК ${parent.bic} не найдена`;
+                statusEl.classList.add('bank-details__parent-status--error');
+                return;
+            }
+
+            statusEl.textContent = '';
+            this.openBankCard(Utils.formatBankData(suggestion), suggestion);
+        } catch (error) {
+            if (!(error instanceof CancelError)) {
+                statusEl.textContent = this.apiClient.getErrorInfo(error).message;
+                statusEl.classList.add('bank-details__parent-status--error');
+            }
+        } finally {
+            link.disabled = false;
+        }
+    }
+
+    /**
+     * Проверка, что банк - территориальный орган Федерального казначейства (ТОФК)
+     * Тип приходит в opf.type от DaData и в type из офлайн-справочника
+     * @param {Object} bankData - Данные банка
+     * @returns {boolean} - true для ТОФК или банка с казначейскими счетами
+     */
+    isTreasury(bankData) {
+        if (!bankData) {
+            return false;
+        }
+
+        return (bankData.opf?.type || bankData.type) === 'TREASURY'
+            || (bankData.treasuryAccounts || []).length > 0;
+    }
+
+    /**
+     * Создание раздела казначейских счетов (ТОФК)
+     * @param {Object} bankData - Данные банка
+     * @returns {HTMLElement} - Элемент раздела
+     */
+    createTreasuryAccountsElement(bankData) {
+        const section = DOMUtils.createElement('div', 'bank-details__section treasury-accounts');
+        section.appendChild(DOMUtils.createElement('h3', 'bank-details__section-title', 'Казначейские счета'));
+
+        section.appendChild(DOMUtils.createElement('p', 'treasury-accounts__hint',
+            'Единый казначейский счет (ЕКС, начинается с 40102) указывается в платежном поручении '
+            + 'как счет банка получателя - вместо корр. счета. Казначейский счет (КС, начинается с 03) - '
+            + 'счет самого получателя: его сообщает госорган, он указывается в поле счета получателя.'));
+
+        const accounts = bankData.treasuryAccounts || [];
+
+        if (accounts.length === 0) {
+            section.appendChild(DOMUtils.createElement('p', 'treasury-accounts__empty', 'Казначейские счета в справочнике не указаны'));
+            return section;
+        }
+
+        const titles = {
+            single: 'Единый казначейский счет (ЕКС)',
+            treasury: 'Казначейский счет (КС)'
+        };
+        const list = DOMUtils.createElement('div', 'bank-details__grid treasury-accounts__list');
+
+        accounts.forEach(account => {
+            const check = Utils.validateTreasuryAccount(bankData.bic, account);
+            const item = this.createDetailItem(titles[check.type] || 'Казначейский счет', Utils.formatAccount(account));
+            item.classList.add('treasury-accounts__item');
+            item.appendChild(this.createCopyButton(Utils.getCleanAccount(account), check.type === 'single' ? 'ЕКС' : 'Казначейский счет'));
+
+            if (!check.valid) {
+                item.classList.add('bank-detail-item--warning');
+                check.errors.forEach(message => {
+                    item.appendChild(DOMUtils.createElement('div', 'bank-detail-item__warning', `⚠ ${message}`));
+                });
+            }
+
+            list.appendChild(item);
+        });
+
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * Кнопка копирования значения в буфер обмена
+     * @param {string} value - Значение для копирования
+     * @param {string} label - Название значения для уведомления
+     * @returns {HTMLElement} - Кнопка
+     */
+    createCopyButton(value, label) {
+        const button = DOMUtils.createElement('button', 'bank-detail-item__copy', 'Копировать', {
+            type: 'button',
+            'aria-label': `Копировать: ${label}`
+        });
+
+        button.addEventListener('click', async () => {
+            if (await DOMUtils.copyToClipboard(value)) {
+                this.showCopyNotification(label);
+            }
+        });
+
+        return button;
+    }
+
+    /**
+     * Пометка корр. счета, не прошедшего проверку по БИК
+     * @param {HTMLElement} item - Элемент поля корр. счета
+     * @param {Object} bankData - Данные банка
+     */
+    flagCorrespondentAccount(item, bankData) {
+        const report = Utils.checkCorrespondentAccount(bankData.bic, bankData.correspondentAccount);
+
+        if (report.valid) {
+            return;
+        }
+
+        item.classList.add('bank-detail-item--warning');
+
+        report.checks
+            .filter(check => !check.passed)
+            .forEach(check => {
+                item.appendChild(DOMUtils.createElement('div', 'bank-detail-item__warning', `⚠ ${check.message}`));
+            });
+    }
+
+    /**
+     * Создание поля проверки расчетного счета по БИК выбранного банка
+     * @returns {HTMLElement} - Элемент проверки счета
+     */
+    createAccountCheckElement() {
+        const section = DOMUtils.createElement('div', 'bank-details__section account-check');
+
+        const title = DOMUtils.createElement('h3', 'bank-details__section-title');
+        title.textContent = 'Проверка счета';
+        section.appendChild(title);
+
+        const input = DOMUtils.createElement('input', 'account-check__input', '', {
+            type: 'text',
+            id: 'account-check-input',
+            inputmode: 'numeric',
+            autocomplete: 'off',
+            placeholder: 'Расчетный счет, 20 цифр',
+            'aria-label': 'Расчетный счет для проверки'
+        });
+        const result = DOMUtils.createElement('div', 'account-check__result', '', { 'aria-live': 'polite' });
+
+        input.addEventListener('input', () => {
+            this.updateAccountCheck(input.value, result);
+        });
+
+        section.appendChild(input);
+        section.appendChild(result);
+        return section;
+    }
+
+    /**
+     * Проверка введенного счета по БИК выбранного банка
+     * @param {string} account - Введенный номер счета
+     * @param {HTMLElement} resultEl - Элемент для вывода результата
+     */
+    updateAccountCheck(account, resultEl) {
+        resultEl.className = 'account-check__result';
+
+        if (!account.trim() || !this.selectedBank) {
+            resultEl.textContent = '';
+            return;
+        }
+
+        // Счета в ТОФК проверяются по правилам для казначейских счетов
+        const treasury = this.isTreasury(this.selectedBank) && Utils.getTreasuryAccountType(account) !== null;
+        const check = treasury
+            ? Utils.validateTreasuryAccount(this.selectedBank.bic, account)
+            : Utils.validateAccount(this.selectedBank.bic, account);
+
+        resultEl.textContent = check.valid
+            ? `${treasury ? 'Казначейский счет' : 'Счет'} ${Utils.formatAccount(check.account)} соответствует БИК ${this.selectedBank.bic}`
+            : check.errors.join('. ');
+        resultEl.classList.add(check.valid ? 'account-check__result--valid' : 'account-check__result--invalid');
+    }
+
     /**
      * Создание элемента адреса
      * @param {Object} bankData - Данные банка
      * @returns {HTMLElement} - Элемент адреса
      */
     createAddressElement(bankData) {
-        const section = Utils.createElement('div', 'bank-details__section');
+        const section = DOMUtils.createElement('div', 'bank-details__section');
         
-        const title = Utils.createElement('h3', 'bank-details__section-title');
+        const title = DOMUtils.createElement('h3', 'bank-details__section-title');
         title.textContent = 'Адрес';
         section.appendChild(title);
 
-        const grid = Utils.createElement('div', 'bank-details__grid');
+        const grid = DOMUtils.createElement('div', 'bank-details__grid');
 
         if (bankData.address) {
             const addressItem = this.createDetailItem('Адрес', bankData.address);
@@ -450,6 +2088,23 @@ class BankSearchApp {
             grid.appendChild(cityItem);
         }
 
+        // Части адреса (в сохраненных ранее карточках их нет)
+        const parts = bankData.addressParts || {};
+        const building = [parts.house, parts.block, parts.flat].filter(Boolean).join(', ');
+        [
+            ['Индекс', parts.postalCode],
+            ['Регион', parts.region],
+            ['Район', parts.area],
+            ['Город', parts.city],
+            ['Населенный пункт', parts.settlement],
+            ['Улица', parts.street],
+            ['Дом', building]
+        ].forEach(([label, value]) => {
+            if (value) {
+                grid.appendChild(this.createDetailItem(label, value));
+            }
+        });
+
         section.appendChild(grid);
         return section;
     }
@@ -463,12 +2118,12 @@ class BankSearchApp {
      * @returns {HTMLElement} - Элемент детальной информации
      */
     createDetailItem(label, value, copyable = false, cleanValue = null) {
-        const item = Utils.createElement('div', 'bank-detail-item');
+        const item = DOMUtils.createElement('div', 'bank-detail-item');
         
-        const labelEl = Utils.createElement('div', 'bank-detail-item__label');
+        const labelEl = DOMUtils.createElement('div', 'bank-detail-item__label');
         labelEl.textContent = label;
         
-        const valueEl = Utils.createElement('div', 'bank-detail-item__value');
+        const valueEl = DOMUtils.createElement('div', 'bank-detail-item__value');
         valueEl.textContent = value;
         
         if (copyable) {
@@ -477,7 +2132,7 @@ class BankSearchApp {
             valueEl.addEventListener('click', async () => {
                 // Используем чистое значение для копирования, если оно предоставлено
                 const valueToCopy = cleanValue !== null ? cleanValue : value;
-                const success = await Utils.copyToClipboard(valueToCopy);
+                const success = await DOMUtils.copyToClipboard(valueToCopy);
                 if (success) {
                     this.showCopyNotification(label);
                 }
@@ -544,12 +2199,30 @@ class BankSearchApp {
         // Но можно добавить логику для динамического позиционирования
     }
 
+    /**
+     * Загрузка истории поиска
+     * Раньше повторный выбор банка сохранялся отдельной записью - оставляем самую новую
+     * @returns {Array<Object>} - Записи (Utils.formatBankData + timestamp), новые первыми
+     */
+    loadHistory() {
+        const seen = new Set();
+
+        return DOMUtils.loadFromStorage('bank_search_history', []).filter(entry => {
+            if (!entry || !entry.bic || seen.has(entry.bic)) {
+                return false;
+            }
+            seen.add(entry.bic);
+            return true;
+        });
+    }
+
     /**
      * Сохранение в историю поиска
+     * Повторно выбранный банк переносится в начало истории
      * @param {Object} bankData - Данные банка
      */
     saveToHistory(bankData) {
-        const history = Utils.loadFromStorage('bank_search_history', []);
+        const history = this.loadHistory().filter(entry => entry.bic !== bankData.bic);
         
         // Добавляем в начало истории
         history.unshift({
@@ -562,7 +2235,116 @@ class BankSearchApp {
             history.splice(20);
         }
 
-        Utils.saveToStorage('bank_search_history', history);
+        DOMUtils.saveToStorage('bank_search_history', history);
+
+        // Регион, определяемый по истории, мог измениться
+        this.renderPreferredRegion();
+        this.renderHistory();
+    }
+
+    /**
+     * Удаление банка из истории
+     * @param {string} bic - БИК банка
+     */
+    removeFromHistory(bic) {
+        const history = this.loadHistory().filter(entry => entry.bic !== bic);
+
+        DOMUtils.saveToStorage('bank_search_history', history);
+        this.renderPreferredRegion();
+        this.renderHistory();
+    }
+
+    /**
+     * Очистка истории поиска
+     */
+    clearHistory() {
+        DOMUtils.clearFromStorage('bank_search_history');
+        this.renderPreferredRegion();
+        this.renderHistory();
+    }
+
+    /**
+     * Отображение панели истории (только при пустом поле ввода)
+     */
+    renderHistory() {
+        if (!this.elements.history) {
+            return;
+        }
+
+        const history = this.elements.input.value.trim() === '' ? this.loadHistory() : [];
+
+        HistoryView.render(this.elements.history, this.elements.historyList, history, {
+            onOpen: entry => this.openFromHistory(entry),
+            onRemove: bic => this.removeFromHistory(bic)
+        });
+    }
+
+    /**
+     * Открытие карточки банка из истории без запроса к API
+     * @param {Object} entry - Запись истории
+     */
+    openFromHistory(entry) {
+        const { timestamp, ...bankData } = entry;
+        this.openSnapshot(bankData, timestamp);
+    }
+
+    /**
+     * Открытие карточки банка из сохраненных данных (история, избранное)
+     * @param {Object} bankData - Данные банка
+     * @param {number} snapshotDate - Время сохранения данных
+     */
+    openSnapshot(bankData, snapshotDate) {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+        this.cancelSearch();
+
+        this.selectedBank = bankData;
+        this.currentQuery = bankData.bic;
+        this.elements.input.value = bankData.bic;
+
+        this.hideError();
+        this.hideSuggestions();
+        this.hideEmptyState();
+        this.renderHistory();
+        this.displayBankDetails(bankData, { snapshotDate });
+    }
+
+    /**
+     * Обновление карточки банка данными из источников
+     * @param {string} bic - БИК банка
+     * @returns {Promise<void>}
+     */
+    async refreshBankDetails(bic) {
+        try {
+            // Кэш API хранит ответы до недели - обновление должно дойти до сервера
+            const result = await this.findByIdentifier('bic', bic, { force: true });
+            const suggestion = (result.suggestions || [])[0];
+            const bankData = Utils.formatBankData(suggestion);
+
+            if (!bankData) {
+                this.showError(`Банк с БИК ${bic} не найден`);
+                return;
+            }
+
+            // Пользователь мог открыть другой банк, пока ждали ответ
+            if (!this.selectedBank || this.selectedBank.bic !== bic) {
+                return;
+            }
+
+            this.selectedBank = bankData;
+            this.displayBankDetails(bankData, { raw: suggestion });
+            this.saveToHistory(bankData);
+
+            // Избранное хранит реквизиты вместе с заметками - обновляем и их
+            if (this.favorites.has(bic)) {
+                this.favorites.update(bic, { bank: bankData });
+                this.renderFavorites();
+            }
+        } catch (error) {
+            console.error('Refresh failed:', error);
+            this.showError(error, () => this.refreshBankDetails(bic));
+        }
     }
 
     /**
@@ -571,7 +2353,7 @@ class BankSearchApp {
      */
     showCopyNotification(field) {
         // Простое уведомление (можно заменить на toast)
-        const notification = Utils.createElement('div', 'copy-notification');
+        const notification = DOMUtils.createElement('div', 'copy-notification');
         notification.textContent = `${field} скопирован в буфер обмена`;
         notification.style.cssText = `
             position: fixed;
@@ -603,7 +2385,7 @@ class BankSearchApp {
     showSuggestions() {
         this.state.isSuggestionsVisible = true;
         this.elements.suggestionsContainer.classList.add('active');
-        Utils.showElement(this.elements.suggestionsContainer, 'slide-down');
+        DOMUtils.showElement(this.elements.suggestionsContainer, 'slide-down');
     }
 
     hideSuggestions() {
@@ -620,7 +2402,7 @@ class BankSearchApp {
     showBankDetails() {
         this.state.isBankDetailsVisible = true;
         this.elements.bankDetails.classList.add('active');
-        Utils.showElement(this.elements.bankDetails, 'fade-in');
+        DOMUtils.showElement(this.elements.bankDetails, 'fade-in');
     }
 
     hideBankDetails() {
@@ -635,7 +2417,7 @@ class BankSearchApp {
 
     showEmptyState() {
         this.elements.emptyState.classList.add('active');
-        Utils.showElement(this.elements.emptyState, 'fade-in');
+        DOMUtils.showElement(this.elements.emptyState, 'fade-in');
     }
 
     hideEmptyState() {
@@ -643,15 +2425,44 @@ class BankSearchApp {
         this.elements.emptyState.style.display = 'none';
     }
 
-    showError(message) {
+    /**
+     * Показать ошибку
+     * @param {string|Error} error - Текст ошибки или ошибка API
+     * @param {Function|null} onRetry - Повтор действия для ошибок, допускающих повтор
+     */
+    showError(error, onRetry = null) {
+        const errorInfo = typeof error === 'string'
+            ? { message: error, type: 'message', canRetry: false, retryAfter: null }
+            : this.apiClient.getErrorInfo(error);
+
+        let message = errorInfo.message;
+
+        if (error instanceof AuthError) {
+            message += '. Инструкция по настройке ключа - в файле SETUP.md';
+        } else if (error instanceof RateLimitError && errorInfo.retryAfter) {
+            message += ` (повтор возможен через ${errorInfo.retryAfter} с)`;
+        }
+
         this.state.hasError = true;
         this.elements.errorMessage.textContent = message;
+        this.elements.errorMessage.dataset.errorType = errorInfo.type;
+
+        if (errorInfo.canRetry && onRetry) {
+            const retryButton = DOMUtils.createElement('button', 'search-input__retry', 'Повторить', { type: 'button' });
+            retryButton.addEventListener('click', () => {
+                this.hideError();
+                onRetry();
+            });
+            this.elements.errorMessage.appendChild(retryButton);
+        }
+
         this.elements.errorMessage.classList.add('active');
     }
 
     hideError() {
         this.state.hasError = false;
         this.elements.errorMessage.classList.remove('active');
+        delete this.elements.errorMessage.dataset.errorType;
     }
 
     showInputError(message) {
@@ -672,7 +2483,7 @@ class BankSearchApp {
             ...this.state,
             suggestionsCount: this.suggestions.length,
             selectedBank: this.selectedBank ? this.selectedBank.name : null,
-            apiStats: this.apiClient.getCacheStats()
+            apiStats: this.apiClient.getStats()
         };
     }
 
@@ -680,6 +2491,7 @@ class BankSearchApp {
      * Сброс состояния приложения
      */
     reset() {
+        this.cancelSearch();
         this.currentQuery = '';
         this.selectedBank = null;
         this.selectedIndex = -1;
@@ -690,17 +2502,20 @@ class BankSearchApp {
         this.hideBankDetails();
         this.hideError();
         this.showEmptyState();
+        this.renderHistory();
     }
 }
 
-// Инициализация приложения при загрузке DOM
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new BankSearchApp();
-    app.init();
-    
-    // Делаем приложение доступным глобально для отладки
-    window.bankSearchApp = app;
-});
+// Инициализация приложения при загрузке DOM (в Node.js модуль только экспортирует класс)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const app = new BankSearchApp();
+        app.init();
+
+        // Делаем приложение доступным глобально для отладки
+        window.bankSearchApp = app;
+    });
+}
 
 // Экспорт для использования в других модулях
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,211 @@
+/**
+ * Пакетная проверка БИК из списка или CSV файла
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./utils.js'), require('./errors.js'));
+    } else {
+        root.BatchResolver = factory(root.Utils, root);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Utils, errors) {
+    const { CancelError } = errors;
+
+    class BatchResolver {
+        /**
+         * @param {Object} provider - Источник данных с методом findById (DaDataAPI, CompositeProvider)
+         * @param {Object} options - Параметры
+         * @param {number} options.concurrency - Максимум одновременных запросов
+         * @param {Function} options.formatError - (error) => string, текст ошибки для таблицы
+         */
+        constructor(provider, options = {}) {
+            this.provider = provider;
+            this.concurrency = options.concurrency || 4;
+            this.formatError = options.formatError || (error => error.message);
+        }
+
+        /**
+         * Текстовые статусы строк
+         */
+        static get STATUS_TEXT() {
+            return {
+                pending: 'В очереди',
+                loading: 'Проверяется',
+                found: 'Найден',
+                not_found: 'Не найден',
+                invalid: 'Неверный формат',
+                error: 'Ошибка',
+                cancelled: 'Отменена'
+            };
+        }
+
+        /**
+         * Результат строки, проверка которой отменена
+         */
+        static get CANCELLED() {
+            return { status: 'cancelled', bank: null, error: 'Проверка отменена' };
+        }
+
+        /**
+         * Разбор вставленного списка или CSV файла
+         * Значения разделяются переводом строки, запятой, точкой с запятой,
+         * табуляцией или пробелом. Ячейки без цифр (заголовки, названия) пропускаются.
+         * В строке из нескольких ячеек БИК считаются только числа из 8-9 цифр,
+         * чтобы не принять за БИК номер счета или ИНН из соседней колонки
+         * @param {string} text - Текст списка или CSV
+         * @returns {Array<Object>} - Строки { index, input, bic, status, bank, error }
+         */
+        static parseInput(text) {
+            const rows = [];
+
+            (text || '').split(/\r?\n/).forEach(line => {
+                const cells = line.split(/[;,\t ]+/)
+                    .map(cell => cell.replace(/["']/g, '').trim())
+                    .filter(Boolean);
+
+                cells.forEach(value => {
+                    if (!/^\d+$/.test(value)) {
+                        return;
+                    }
+
+                    if (cells.length > 1 && value.length !== 8 && value.length !== 9) {
+                        return;
+                    }
+
+                    // Excel отбрасывает ведущий ноль: 44525225 вместо 044525225
+                    const bic = value.length === 8 ? `0${value}` : value;
+                    const isValid = Utils.validateBIC(bic);
+
+                    rows.push({
+                        index: rows.length,
+                        input: value,
+                        bic: isValid ? bic : '',
+                        status: isValid ? 'pending' : 'invalid',
+                        bank: null,
+                        error: isValid ? '' : 'БИК должен состоять из 9 цифр'
+                    });
+                });
+            });
+
+            return rows;
+        }
+
+        /**
+         * Проверка строк с ограничением числа одновременных запросов
+         * Повторяющиеся БИК запрашиваются один раз. После отмены строки,
+         * до которых очередь не дошла, получают статус cancelled
+         * @param {Array<Object>} rows - Строки из parseInput
+         * @param {Object} options - Параметры
+         * @param {Function} options.onProgress - (row, done, total) => void, вызывается для каждой строки
+         * @param {AbortSignal} options.signal - Сигнал отмены
+         * @returns {Promise<Array<Object>>} - Строки с результатами
+         */
+        async run(rows, options = {}) {
+            const onProgress = options.onProgress || (() => {});
+            const groups = new Map();
+
+            rows.forEach(row => {
+                if (row.status === 'invalid') {
+                    return;
+                }
+                if (!groups.has(row.bic)) {
+                    groups.set(row.bic, []);
+                }
+                groups.get(row.bic).push(row);
+            });
+
+            const queue = [...groups.keys()];
+            const total = rows.length;
+            let done = rows.length - [...groups.values()].reduce((sum, group) => sum + group.length, 0);
+
+            const worker = async () => {
+                while (queue.length > 0) {
+                    if (options.signal && options.signal.aborted) {
+                        return;
+                    }
+
+                    const bic = queue.shift();
+                    const group = groups.get(bic);
+
+                    group.forEach(row => {
+                        row.status = 'loading';
+                        onProgress(row, done, total);
+                    });
+
+                    const outcome = await this.resolve(bic, options.signal);
+
+                    group.forEach(row => {
+                        Object.assign(row, outcome);
+                        done++;
+                        onProgress(row, done, total);
+                    });
+                }
+            };
+
+            const workers = Array.from({ length: Math.min(this.concurrency, queue.length) }, () => worker());
+            await Promise.all(workers);
+
+            queue.forEach(bic => {
+                groups.get(bic).forEach(row => {
+                    Object.assign(row, BatchResolver.CANCELLED);
+                    done++;
+                    onProgress(row, done, total);
+                });
+            });
+
+            return rows;
+        }
+
+        /**
+         * Проверка одного БИК
+         * @param {string} bic - БИК
+         * @param {AbortSignal} signal - Сигнал отмены
+         * @returns {Promise<Object>} - { status, bank, error }
+         */
+        async resolve(bic, signal) {
+            try {
+                const result = await this.provider.findById(bic, { count: 1, signal: signal });
+                const bank = Utils.formatBankData((result.suggestions || [])[0]);
+
+                return bank
+                    ? { status: 'found', bank: bank, error: '' }
+                    : { status: 'not_found', bank: null, error: '' };
+            } catch (error) {
+                return error instanceof CancelError
+                    ? { ...BatchResolver.CANCELLED }
+                    : { status: 'error', bank: null, error: this.formatError(error) };
+            }
+        }
+
+        /**
+         * Выгрузка результатов в CSV (разделитель ";", как ожидает Excel с русской локалью)
+         * @param {Array<Object>} rows - Строки с результатами
+         * @returns {string} - Текст CSV
+         */
+        static toCSV(rows) {
+            const header = ['БИК', 'Статус', 'Наименование', 'Корр. счет', 'Ошибка'];
+            const lines = rows.map(row => [
+                row.bic || row.input,
+                BatchResolver.STATUS_TEXT[row.status] || row.status,
+                row.bank ? row.bank.name : '',
+                row.bank ? row.bank.correspondentAccount : '',
+                row.error || ''
+            ]);
+
+            return [header, ...lines]
+                .map(cells => cells.map(cell => BatchResolver.escapeCSV(cell)).join(';'))
+                .join('\r\n');
+        }
+
+        /**
+         * Экранирование значения для CSV
+         * @param {string} value - Значение
+         * @returns {string} - Экранированное значение
+         */
+        static escapeCSV(value) {
+            return Utils.escapeCSV(value);
+        }
+    }
+
+    return BatchResolver;
+});
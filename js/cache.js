@@ -0,0 +1,281 @@
+/**
+ * Хранилища кэша ответов API
+ *
+ * Все хранилища реализуют один асинхронный интерфейс:
+ * get(key), set(key, entry), delete(key), clear(), size().
+ * Запись кэша имеет вид { data, timestamp }. Вытеснение - по давности
+ * последнего обращения (LRU).
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    /**
+     * Кэш в памяти (теряется при перезагрузке страницы)
+     */
+    class MemoryCacheStore {
+        /**
+         * @param {Object} options - Параметры хранилища
+         * @param {number} options.maxSize - Максимум записей
+         */
+        constructor(options = {}) {
+            this.backend = 'memory';
+            this.maxSize = options.maxSize || 100;
+            this.entries = new Map();
+        }
+
+        /**
+         * Получение записи с отметкой об обращении
+         * @param {string} key - Ключ
+         * @returns {Promise<Object|null>} - Запись или null
+         */
+        async get(key) {
+            const entry = this.entries.get(key);
+
+            if (!entry) {
+                return null;
+            }
+
+            // Map хранит порядок вставки: переносим запись в конец как самую свежую
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+
+            return entry;
+        }
+
+        /**
+         * Сохранение записи
+         * @param {string} key - Ключ
+         * @param {Object} entry - Запись { data, timestamp }
+         */
+        async set(key, entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+
+            // Вытесняем давно не использованные записи
+            while (this.entries.size > this.maxSize) {
+                const oldestKey = this.entries.keys().next().value;
+                this.entries.delete(oldestKey);
+            }
+        }
+
+        /**
+         * Удаление записи
+         * @param {string} key - Ключ
+         */
+        async delete(key) {
+            this.entries.delete(key);
+        }
+
+        /**
+         * Очистка хранилища
+         */
+        async clear() {
+            this.entries.clear();
+        }
+
+        /**
+         * Количество записей
+         * @returns {Promise<number>} - Количество записей
+         */
+        async size() {
+            return this.entries.size;
+        }
+    }
+
+    /**
+     * Постоянный кэш в IndexedDB (переживает перезагрузку страницы)
+     */
+    class IndexedDBCacheStore {
+        /**
+         * @param {Object} options - Параметры хранилища
+         * @param {string} options.dbName - Имя базы данных
+         * @param {string} options.storeName - Имя хранилища объектов
+         * @param {number} options.maxSize - Максимум записей
+         * @param {IDBFactory} options.indexedDB - Реализация IndexedDB (по умолчанию глобальная)
+         * @param {Object} options.logger - Журнал предупреждений ({ warn }), по умолчанию console
+         */
+        constructor(options = {}) {
+            this.backend = 'indexeddb';
+            this.dbName = options.dbName || 'bank_search_cache';
+            this.storeName = options.storeName || 'responses';
+            this.maxSize = options.maxSize || 1000;
+            this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+            this.logger = options.logger || console;
+            this.dbPromise = null;
+        }
+
+        /**
+         * Проверка поддержки IndexedDB
+         * @returns {boolean} - true если IndexedDB доступна
+         */
+        static isSupported() {
+            try {
+                return typeof indexedDB !== 'undefined' && indexedDB !== null;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        /**
+         * Открытие базы данных (однократно)
+         * @returns {Promise<IDBDatabase>} - База данных
+         */
+        open() {
+            if (this.dbPromise) {
+                return this.dbPromise;
+            }
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.indexedDB) {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+
+                const request = this.indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Не кэшируем неудачное открытие, чтобы можно было попробовать снова
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+
+            return this.dbPromise;
+        }
+
+        /**
+         * Выполнение операции в транзакции
+         * @param {string} mode - Режим транзакции ('readonly' или 'readwrite')
+         * @param {Function} operation - Функция (store) => IDBRequest|undefined
+         * @returns {Promise<any>} - Результат запроса после завершения транзакции
+         */
+        async transaction(mode, operation) {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(this.storeName, mode);
+                const request = operation(tx.objectStore(this.storeName));
+
+                tx.oncomplete = () => resolve(request ? request.result : undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        /**
+         * Получение записи с отметкой об обращении
+         * @param {string} key - Ключ
+         * @returns {Promise<Object|null>} - Запись или null
+         */
+        async get(key) {
+            try {
+                const record = await this.transaction('readwrite', store => {
+                    const request = store.get(key);
+                    request.onsuccess = () => {
+                        if (request.result) {
+                            store.put({ ...request.result, lastAccess: Date.now() });
+                        }
+                    };
+                    return request;
+                });
+
+                return record ? { data: record.data, timestamp: record.timestamp } : null;
+            } catch (e) {
+                this.logger.warn('Failed to read from IndexedDB cache:', e);
+                return null;
+            }
+        }
+
+        /**
+         * Сохранение записи
+         * @param {string} key - Ключ
+         * @param {Object} entry - Запись { data, timestamp }
+         */
+        async set(key, entry) {
+            try {
+                await this.transaction('readwrite', store => {
+                    store.put({ key: key, data: entry.data, timestamp: entry.timestamp, lastAccess: Date.now() });
+                });
+                await this.evict();
+            } catch (e) {
+                this.logger.warn('Failed to write to IndexedDB cache:', e);
+            }
+        }
+
+        /**
+         * Вытеснение давно не использованных записей сверх maxSize
+         */
+        async evict() {
+            const count = await this.size();
+            let excess = count - this.maxSize;
+
+            if (excess <= 0) {
+                return;
+            }
+
+            await this.transaction('readwrite', store => {
+                const request = store.index('lastAccess').openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    }
+                };
+            });
+        }
+
+        /**
+         * Удаление записи
+         * @param {string} key - Ключ
+         */
+        async delete(key) {
+            try {
+                await this.transaction('readwrite', store => {
+                    store.delete(key);
+                });
+            } catch (e) {
+                this.logger.warn('Failed to delete from IndexedDB cache:', e);
+            }
+        }
+
+        /**
+         * Очистка хранилища
+         */
+        async clear() {
+            try {
+                await this.transaction('readwrite', store => {
+                    store.clear();
+                });
+            } catch (e) {
+                this.logger.warn('Failed to clear IndexedDB cache:', e);
+            }
+        }
+
+        /**
+         * Количество записей
+         * @returns {Promise<number>} - Количество записей
+         */
+        async size() {
+            try {
+                return await this.transaction('readonly', store => store.count());
+            } catch (e) {
+                return 0;
+            }
+        }
+    }
+
+    return { MemoryCacheStore, IndexedDBCacheStore };
+});
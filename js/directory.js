@@ -0,0 +1,464 @@
+/**
+ * Офлайн справочник БИК на основе электронного сообщения ED807 Банка России
+ *
+ * ED807 - полный справочник участников платежной системы: участники,
+ * их счета, SWIFT коды и ограничения. Все данные хранятся в атрибутах
+ * XML элементов, поэтому для разбора достаточно простого токенизатора,
+ * который работает и в браузере, и в Node.js.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./utils.js'), require('./cache.js'));
+    } else {
+        Object.assign(root, factory(root.Utils, root));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Utils, cache) {
+    const { MemoryCacheStore } = cache;
+
+    /**
+     * Разбор XML файла ED807
+     */
+    class ED807Parser {
+        /**
+         * Декодирование файла в строку с учетом кодировки из XML декларации
+         * Справочник ЦБ РФ публикуется в windows-1251
+         * @param {ArrayBuffer|Uint8Array} buffer - Содержимое файла
+         * @returns {string} - Текст XML
+         */
+        static decode(buffer) {
+            const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+            const head = String.fromCharCode(...bytes.subarray(0, 200));
+            const match = head.match(/encoding\s*=\s*["']([\w-]+)["']/i);
+            const encoding = match ? match[1].toLowerCase() : 'utf-8';
+
+            return new TextDecoder(encoding).decode(bytes);
+        }
+
+        /**
+         * Разбор текста ED807
+         * @param {string} xml - Текст XML
+         * @returns {Object} - { edDate, entries: [...] } с сырыми записями справочника
+         */
+        static parse(xml) {
+            if (!xml || typeof xml !== 'string') {
+                throw new Error('ED807 content is empty');
+            }
+
+            const tagRegex = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+            const result = { edDate: null, entries: [] };
+            let hasRoot = false;
+            let entry = null;
+            let account = null;
+            let inParticipant = false;
+            let match;
+
+            while ((match = tagRegex.exec(xml)) !== null) {
+                const isClosing = match[1] === '/';
+                const isSelfClosing = match[4] === '/';
+                const name = match[2].replace(/^.*:/, '');
+
+                if (isClosing) {
+                    if (name === 'BICDirectoryEntry' && entry) {
+                        result.entries.push(entry);
+                        entry = null;
+                    } else if (name === 'ParticipantInfo') {
+                        inParticipant = false;
+                    } else if (name === 'Accounts') {
+                        account = null;
+                    }
+                    continue;
+                }
+
+                const attrs = this.parseAttributes(match[3]);
+
+                switch (name) {
+                    case 'ED807':
+                        hasRoot = true;
+                        result.edDate = attrs.EDDate || null;
+                        break;
+
+                    case 'BICDirectoryEntry':
+                        entry = {
+                            bic: attrs.BIC || '',
+                            changeType: attrs.ChangeType || null,
+                            participant: {},
+                            restrictions: [],
+                            accounts: [],
+                            swifts: []
+                        };
+                        if (isSelfClosing) {
+                            result.entries.push(entry);
+                            entry = null;
+                        }
+                        break;
+
+                    case 'ParticipantInfo':
+                        if (entry) {
+                            entry.participant = attrs;
+                            inParticipant = !isSelfClosing;
+                        }
+                        break;
+
+                    case 'RstrList':
+                        if (entry && inParticipant) {
+                            entry.restrictions.push({ code: attrs.Rstr, date: attrs.RstrDate || null });
+                        }
+                        break;
+
+                    case 'Accounts':
+                        if (entry) {
+                            const newAccount = {
+                                account: attrs.Account || '',
+                                type: attrs.RegulationAccountType || '',
+                                controlKey: attrs.CK || '',
+                                cbrBic: attrs.AccountCBRBIC || '',
+                                dateIn: attrs.DateIn || null,
+                                dateOut: attrs.DateOut || null,
+                                status: attrs.AccountStatus || null,
+                                restrictions: []
+                            };
+                            entry.accounts.push(newAccount);
+                            account = isSelfClosing ? null : newAccount;
+                        }
+                        break;
+
+                    case 'AccRstrList':
+                        if (account) {
+                            account.restrictions.push({ code: attrs.AccRstr, date: attrs.AccRstrDate || null });
+                        }
+                        break;
+
+                    case 'SWBICS':
+                        if (entry && attrs.SWBIC) {
+                            entry.swifts.push({ swift: attrs.SWBIC, isDefault: attrs.DefaultSWBIC === '1' });
+                        }
+                        break;
+                }
+            }
+
+            if (!hasRoot) {
+                throw new Error('Not an ED807 document');
+            }
+
+            return result;
+        }
+
+        /**
+         * Разбор строки атрибутов XML элемента
+         * @param {string} source - Строка атрибутов
+         * @returns {Object} - Атрибуты
+         */
+        static parseAttributes(source) {
+            const attrs = {};
+            const attrRegex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let match;
+
+            while ((match = attrRegex.exec(source || '')) !== null) {
+                const name = match[1].replace(/^.*:/, '');
+                attrs[name] = this.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+            }
+
+            return attrs;
+        }
+
+        /**
+         * Замена XML сущностей
+         * @param {string} value - Значение атрибута
+         * @returns {string} - Декодированное значение
+         */
+        static decodeEntities(value) {
+            return value
+                .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+                .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+                .replace(/&quot;/g, '"')
+                .replace(/&apos;/g, '\'')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&');
+        }
+
+        /**
+         * Тип участника по коду PtType в терминах DaData
+         * @param {string} code - Код типа участника
+         * @returns {string} - Тип (BANK, BANK_BRANCH, RKC, CBR, TREASURY, OTHER)
+         */
+        static getParticipantType(code) {
+            const typeMap = {
+                '00': 'CBR',
+                '10': 'RKC',
+                '12': 'CBR',
+                '15': 'CBR',
+                '20': 'BANK',
+                '30': 'BANK_BRANCH',
+                '51': 'TREASURY',
+                '52': 'TREASURY'
+            };
+
+            return typeMap[code] || 'OTHER';
+        }
+
+        /**
+         * Приведение записи справочника к формату Utils.formatBankData
+         * @param {Object} entry - Сырая запись из parse()
+         * @returns {Object} - Данные банка
+         */
+        static normalizeEntry(entry) {
+            const participant = entry.participant || {};
+            const activeAccounts = entry.accounts.filter(account => account.status !== 'ACDL');
+            const correspondent = activeAccounts.find(account => account.type === 'CRSA');
+            const treasury = activeAccounts
+                .filter(account => account.type === 'UTRA' || account.type === 'TRSA')
+                .map(account => account.account);
+            const swift = entry.swifts.find(item => item.isDefault) || entry.swifts[0];
+
+            const settlementType = participant.Tnp ? participant.Tnp.replace(/\.?$/, '.') : '';
+            const paymentCity = [settlementType, participant.Nnp].filter(Boolean).join(' ');
+            const address = [participant.Ind, paymentCity, participant.Adr].filter(Boolean).join(', ');
+            const name = participant.NameP || 'Неизвестно';
+
+            return {
+                name: name,
+                fullName: name,
+                bic: entry.bic,
+                swift: swift ? swift.swift : '',
+                inn: '',
+                kpp: '',
+                correspondentAccount: correspondent ? correspondent.account : '',
+                address: address,
+                paymentCity: paymentCity,
+                status: participant.ParticipantStatus === 'PSDL' ? 'LIQUIDATED' : 'ACTIVE',
+                registrationNumber: participant.RegN || '',
+                treasuryAccounts: treasury.length > 0 ? treasury : null,
+                opf: {},
+                type: this.getParticipantType(participant.PtType),
+                englishName: participant.EnglName || '',
+                accounts: entry.accounts,
+                restrictions: entry.restrictions,
+                source: 'ed807'
+            };
+        }
+    }
+
+    /**
+     * Локальный справочник банков с поиском без доступа к сети
+     */
+    class LocalBankDirectory {
+        /**
+         * @param {Object} options - Параметры справочника
+         * @param {Object} options.store - Хранилище (интерфейс MemoryCacheStore / IndexedDBCacheStore)
+         */
+        constructor(options = {}) {
+            this.store = options.store || new MemoryCacheStore({ maxSize: 10 });
+            this.storageKey = 'ed807';
+            this.records = [];
+            this.byBIC = new Map();
+            this.info = null;
+        }
+
+        /**
+         * Импорт справочника из файла ED807
+         * @param {string|ArrayBuffer|Uint8Array} source - Текст XML или содержимое файла
+         * @returns {Promise<Object>} - Информация об импорте { count, edDate, importedAt }
+         */
+        async importED807(source) {
+            const xml = typeof source === 'string' ? source : ED807Parser.decode(source);
+            const parsed = ED807Parser.parse(xml);
+
+            const records = parsed.entries
+                .filter(entry => Utils.validateBIC(entry.bic))
+                .map(entry => ED807Parser.normalizeEntry(entry));
+
+            if (records.length === 0) {
+                throw new Error('ED807 contains no directory entries');
+            }
+
+            const info = {
+                count: records.length,
+                edDate: parsed.edDate,
+                importedAt: Date.now()
+            };
+
+            await this.store.set(this.storageKey, {
+                data: { info: info, records: records },
+                timestamp: info.importedAt
+            });
+
+            this.setRecords(records, info);
+            return info;
+        }
+
+        /**
+         * Загрузка сохраненного справочника из хранилища
+         * @returns {Promise<boolean>} - true если справочник найден
+         */
+        async load() {
+            const stored = await this.store.get(this.storageKey);
+
+            if (!stored || !stored.data || !Array.isArray(stored.data.records)) {
+                return false;
+            }
+
+            this.setRecords(stored.data.records, stored.data.info);
+            return true;
+        }
+
+        /**
+         * Установка записей и построение индекса
+         * @param {Array<Object>} records - Данные банков
+         * @param {Object} info - Информация об импорте
+         */
+        setRecords(records, info) {
+            this.records = records;
+            this.info = info;
+            this.byBIC = new Map(records.map(record => [record.bic, record]));
+        }
+
+        /**
+         * Проверка наличия загруженного справочника
+         * @returns {boolean} - true если справочник загружен
+         */
+        isLoaded() {
+            return this.records.length > 0;
+        }
+
+        /**
+         * Информация о загруженном справочнике
+         * @returns {Object|null} - { count, edDate, importedAt }
+         */
+        getInfo() {
+            return this.info;
+        }
+
+        /**
+         * Поиск банков по БИК, названию, городу или корреспондентскому счету
+         * @param {string} query - Поисковый запрос
+         * @param {Object} options - Параметры поиска (count, status, type)
+         * @returns {Promise<Object>} - Результат в формате ответа DaData { suggestions }
+         */
+        async search(query, options = {}) {
+            const value = (query || '').trim();
+            const count = options.count || 10;
+
+            if (value.length < 3) {
+                return { suggestions: [] };
+            }
+
+            const digits = value.replace(/\s/g, '');
+            let matches;
+
+            if (/^\d+$/.test(digits)) {
+                // Цифры: начало БИК или фрагмент корреспондентского счета
+                matches = this.records.filter(record =>
+                    record.bic.startsWith(digits) ||
+                    (digits.length >= 5 && record.correspondentAccount.includes(digits))
+                );
+            } else {
+                const words = LocalBankDirectory.normalizeText(value).split(' ').filter(Boolean);
+                matches = this.records.filter(record => {
+                    const haystack = LocalBankDirectory.normalizeText(
+                        `${record.name} ${record.englishName || ''} ${record.paymentCity} ${record.address}`
+                    );
+                    return words.every(word => haystack.includes(word));
+                });
+            }
+
+            matches = matches.filter(record =>
+                (!options.status || options.status.includes(record.status)) &&
+                (!options.type || options.type.includes(record.type))
+            );
+
+            return {
+                suggestions: matches.slice(0, count).map(record => LocalBankDirectory.toSuggestion(record))
+            };
+        }
+
+        /**
+         * Точный поиск банка по БИК
+         * @param {string} bic - БИК банка
+         * @returns {Promise<Object>} - Результат в формате ответа DaData { suggestions }
+         */
+        async findByBIC(bic) {
+            const record = Utils.validateBIC(bic) ? this.byBIC.get(bic.trim()) : null;
+            return { suggestions: record ? [LocalBankDirectory.toSuggestion(record)] : [] };
+        }
+
+        /**
+         * Точный поиск по идентификатору: БИК, SWIFT или регистрационный номер
+         * ИНН в справочнике ED807 отсутствует
+         * @param {string} id - Идентификатор
+         * @param {Object} options - Параметры поиска (count)
+         * @returns {Promise<Object>} - Результат в формате ответа DaData { suggestions }
+         */
+        async findById(id, options = {}) {
+            const value = (id || '').trim().toUpperCase();
+
+            if (Utils.validateBIC(value)) {
+                return this.findByBIC(value);
+            }
+
+            const matches = this.records.filter(record =>
+                // SWIFT из 8 символов совпадает с кодом головного офиса XXX
+                (record.swift && (record.swift === value || (value.length === 8 && record.swift.startsWith(value)))) ||
+                (record.registrationNumber && record.registrationNumber === value)
+            );
+
+            return {
+                suggestions: matches.slice(0, options.count || 10).map(record => LocalBankDirectory.toSuggestion(record))
+            };
+        }
+
+        /**
+         * Удаление справочника
+         */
+        async clear() {
+            await this.store.delete(this.storageKey);
+            this.setRecords([], null);
+        }
+
+        /**
+         * Нормализация текста для поиска
+         * @param {string} text - Текст
+         * @returns {string} - Текст в нижнем регистре без кавычек и знаков препинания
+         */
+        static normalizeText(text) {
+            return (text || '')
+                .toLowerCase()
+                .replace(/ё/g, 'е')
+                .replace(/["'«»().,\-]/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+        }
+
+        /**
+         * Представление записи в формате подсказки DaData,
+         * чтобы результаты обрабатывались так же, как ответы API
+         * @param {Object} record - Данные банка
+         * @returns {Object} - Подсказка { value, unrestricted_value, data }
+         */
+        static toSuggestion(record) {
+            return {
+                value: record.name,
+                unrestricted_value: record.fullName,
+                data: {
+                    bic: record.bic,
+                    swift: record.swift || null,
+                    inn: record.inn || null,
+                    kpp: record.kpp || null,
+                    correspondent_account: record.correspondentAccount || null,
+                    registration_number: record.registrationNumber || null,
+                    treasury_accounts: record.treasuryAccounts,
+                    payment_city: record.paymentCity || null,
+                    name: { payment: record.name, short: record.name, full: record.fullName },
+                    address: { value: record.address },
+                    state: { status: record.status },
+                    opf: record.opf,
+                    type: record.type,
+                    source: record.source
+                }
+            };
+        }
+    }
+
+    return { ED807Parser, LocalBankDirectory };
+});
@@ -0,0 +1,270 @@
+/**
+ * Вспомогательные функции для работы с DOM и хранилищем браузера
+ * Используются только в браузере; чистые функции - в utils.js
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DOMUtils = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    class DOMUtils {
+        /**
+         * Создание DOM элемента
+         * @param {string} tag - Тег элемента
+         * @param {string} className - CSS класс
+         * @param {string} content - Содержимое элемента
+         * @param {Object} attributes - Атрибуты элемента
+         * @returns {HTMLElement} - Созданный элемент
+         */
+        static createElement(tag, className = '', content = '', attributes = {}) {
+            const element = document.createElement(tag);
+
+            if (className) {
+                element.className = className;
+            }
+
+            if (content) {
+                element.textContent = content;
+            }
+
+            Object.keys(attributes).forEach(key => {
+                element.setAttribute(key, attributes[key]);
+            });
+
+            return element;
+        }
+
+        /**
+         * Создание SVG иконки
+         * @param {string} iconName - Название иконки
+         * @param {number} size - Размер иконки
+         * @returns {string} - SVG код иконки
+         */
+        static createSVGIcon(iconName, size = 24) {
+            const icons = {
+                search: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="11" cy="11" r="8"></circle>
+                    <path d="m21 21-4.35-4.35"></path>
+                </svg>`,
+                bank: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
+                    <line x1="16" y1="2" x2="16" y2="6"></line>
+                    <line x1="8" y1="2" x2="8" y2="6"></line>
+                    <line x1="3" y1="10" x2="21" y2="10"></line>
+                </svg>`,
+                check: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="20,6 9,17 4,12"></polyline>
+                </svg>`,
+                error: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="12" cy="12" r="10"></circle>
+                    <line x1="15" y1="9" x2="9" y1="15"></line>
+                    <line x1="9" y1="9" x2="15" y1="15"></line>
+                </svg>`
+            };
+
+            return icons[iconName] || icons.error;
+        }
+
+        /**
+         * Проверка поддержки localStorage
+         * @returns {boolean} - true если localStorage поддерживается
+         */
+        static isLocalStorageSupported() {
+            try {
+                const test = 'test';
+                localStorage.setItem(test, test);
+                localStorage.removeItem(test);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        /**
+         * Сохранение данных в localStorage
+         * @param {string} key - Ключ
+         * @param {any} data - Данные для сохранения
+         * @returns {boolean} - true если сохранение успешно
+         */
+        static saveToStorage(key, data) {
+            if (!this.isLocalStorageSupported()) {
+                return false;
+            }
+
+            try {
+                localStorage.setItem(key, JSON.stringify(data));
+                return true;
+            } catch (e) {
+                console.warn('Failed to save to localStorage:', e);
+                return false;
+            }
+        }
+
+        /**
+         * Загрузка данных из localStorage
+         * @param {string} key - Ключ
+         * @param {any} defaultValue - Значение по умолчанию
+         * @returns {any} - Загруженные данные или значение по умолчанию
+         */
+        static loadFromStorage(key, defaultValue = null) {
+            if (!this.isLocalStorageSupported()) {
+                return defaultValue;
+            }
+
+            try {
+                const data = localStorage.getItem(key);
+                return data ? JSON.parse(data) : defaultValue;
+            } catch (e) {
+                console.warn('Failed to load from localStorage:', e);
+                return defaultValue;
+            }
+        }
+
+        /**
+         * Очистка данных из localStorage
+         * @param {string} key - Ключ
+         * @returns {boolean} - true если очистка успешна
+         */
+        static clearFromStorage(key) {
+            if (!this.isLocalStorageSupported()) {
+                return false;
+            }
+
+            try {
+                localStorage.removeItem(key);
+                return true;
+            } catch (e) {
+                console.warn('Failed to clear from localStorage:', e);
+                return false;
+            }
+        }
+
+        /**
+         * Добавление CSS класса с анимацией
+         * @param {HTMLElement} element - Элемент
+         * @param {string} className - CSS класс
+         * @param {number} duration - Длительность анимации в мс
+         */
+        static addClassWithAnimation(element, className, duration = 300) {
+            if (!element) return;
+
+            element.classList.add(className);
+
+            setTimeout(() => {
+                element.classList.remove(className);
+            }, duration);
+        }
+
+        /**
+         * Показать элемент с анимацией
+         * @param {HTMLElement} element - Элемент
+         * @param {string} animationClass - CSS класс анимации
+         */
+        static showElement(element, animationClass = 'fade-in') {
+            if (!element) return;
+
+            element.style.display = 'block';
+            element.classList.add(animationClass);
+
+            setTimeout(() => {
+                element.classList.remove(animationClass);
+            }, 300);
+        }
+
+        /**
+         * Скрыть элемент с анимацией
+         * @param {HTMLElement} element - Элемент
+         * @param {string} animationClass - CSS класс анимации
+         */
+        static hideElement(element, animationClass = 'fade-out') {
+            if (!element) return;
+
+            element.classList.add(animationClass);
+
+            setTimeout(() => {
+                element.style.display = 'none';
+                element.classList.remove(animationClass);
+            }, 300);
+        }
+
+        /**
+         * Копирование текста в буфер обмена
+         * @param {string} text - Текст для копирования
+         * @returns {Promise<boolean>} - true если копирование успешно
+         */
+        static async copyToClipboard(text) {
+            try {
+                if (navigator.clipboard && window.isSecureContext) {
+                    await navigator.clipboard.writeText(text);
+                    return true;
+                } else {
+                    // Fallback для старых браузеров
+                    const textArea = document.createElement('textarea');
+                    textArea.value = text;
+                    textArea.style.position = 'fixed';
+                    textArea.style.left = '-999999px';
+                    textArea.style.top = '-999999px';
+                    document.body.appendChild(textArea);
+                    textArea.focus();
+                    textArea.select();
+
+                    const success = document.execCommand('copy');
+                    document.body.removeChild(textArea);
+                    return success;
+                }
+            } catch (e) {
+                console.warn('Failed to copy to clipboard:', e);
+                return false;
+            }
+        }
+
+        /**
+         * Сохранение текста в файл через браузерную загрузку
+         * Для CSV добавляется BOM, иначе Excel открывает UTF-8 как windows-1251
+         * @param {string} content - Содержимое файла
+         * @param {string} filename - Имя файла
+         * @param {string} mimeType - MIME тип
+         */
+        static downloadFile(content, filename, mimeType = 'text/plain;charset=utf-8') {
+            const prefix = mimeType.startsWith('text/csv') ? '\uFEFF' : '';
+            const blob = new Blob([prefix + content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
+
+        /**
+         * Проверка на мобильное устройство
+         * @returns {boolean} - true если мобильное устройство
+         */
+        static isMobile() {
+            return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        }
+
+        /**
+         * Получение размера экрана
+         * @returns {Object} - Объект с размерами экрана
+         */
+        static getScreenSize() {
+            return {
+                width: window.innerWidth,
+                height: window.innerHeight,
+                isMobile: this.isMobile(),
+                isTablet: window.innerWidth >= 768 && window.innerWidth < 1024,
+                isDesktop: window.innerWidth >= 1024
+            };
+        }
+    }
+
+    return DOMUtils;
+});
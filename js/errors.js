@@ -0,0 +1,246 @@
+/**
+ * Типы ошибок API DaData.ru
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    /**
+     * Базовая ошибка запроса к DaData
+     */
+    class DaDataError extends Error {
+        /**
+         * @param {string} message - Сообщение об ошибке
+         * @param {Object} details - Подробности ошибки
+         * @param {number|null} details.status - HTTP статус ответа
+         * @param {Object|string|null} details.body - Разобранное тело ответа DaData
+         * @param {number|null} details.retryAfter - Значение Retry-After в секундах
+         * @param {boolean} details.retryable - Можно ли повторить запрос
+         * @param {Object|null} details.request - Исходный запрос ({ url, method, body })
+         * @param {Error} details.cause - Исходная ошибка
+         */
+        constructor(message, details = {}) {
+            super(message);
+            this.name = this.constructor.name;
+            this.type = 'unknown';
+            this.status = details.status ?? null;
+            this.body = details.body ?? null;
+            this.retryAfter = details.retryAfter ?? null;
+            this.retryable = details.retryable ?? false;
+            this.request = details.request ?? null;
+
+            if (details.cause) {
+                this.cause = details.cause;
+            }
+        }
+
+        /**
+         * Код в теле ответа локального прокси, на котором не задан API ключ
+         * @returns {string}
+         */
+        static get API_KEY_MISSING() {
+            return 'API_KEY_MISSING';
+        }
+
+        /**
+         * Создание ошибки по HTTP ответу с неуспешным статусом
+         * @param {Response} response - Ответ fetch
+         * @param {string} bodyText - Текст тела ответа
+         * @param {Object} request - Исходный запрос
+         * @returns {DaDataError} - Ошибка соответствующего типа
+         */
+        static fromResponse(response, bodyText, request = null) {
+            const status = response.status;
+            const body = DaDataError.parseBody(bodyText);
+            const retryAfter = DaDataError.parseRetryAfter(response.headers && response.headers.get('retry-after'));
+            const reason = body && typeof body === 'object' ? (body.message || body.reason || '') : (body || '');
+            const message = `HTTP error! status: ${status}${reason ? `, message: ${reason}` : ''}`;
+            const details = { status, body, retryAfter, request };
+
+            // Прокси без ключа отвечает 503, но повтор запроса здесь не поможет
+            if (status === 401 || (body && body.code === DaDataError.API_KEY_MISSING)) {
+                return new AuthError(message, details);
+            }
+
+            if (status === 403) {
+                // DaData отвечает 403 и на неверный ключ, и на исчерпанный дневной лимит
+                return /лимит|limit|quota/i.test(reason)
+                    ? new QuotaError(message, details)
+                    : new AuthError(message, details);
+            }
+
+            if (status === 429) {
+                return new RateLimitError(message, details);
+            }
+
+            if (status >= 500) {
+                return new ServerError(message, details);
+            }
+
+            if (status >= 400) {
+                return new ValidationError(message, details);
+            }
+
+            return new DaDataError(message, details);
+        }
+
+        /**
+         * Приведение произвольной ошибки к DaDataError
+         * @param {Error} error - Исходная ошибка
+         * @param {Object} request - Исходный запрос
+         * @returns {DaDataError} - Ошибка соответствующего типа
+         */
+        static from(error, request = null) {
+            if (error instanceof DaDataError) {
+                return error;
+            }
+
+            if (error && error.name === 'AbortError') {
+                return new TimeoutError('Request timeout', { request, cause: error });
+            }
+
+            // fetch отклоняет промис с TypeError при сетевых сбоях
+            if (error instanceof TypeError) {
+                return new NetworkError(error.message || 'Network request failed', { request, cause: error });
+            }
+
+            return new DaDataError(error && error.message ? error.message : String(error), { request, cause: error });
+        }
+
+        /**
+         * Разбор тела ответа (JSON или текст)
+         * @param {string} bodyText - Текст тела ответа
+         * @returns {Object|string|null} - Разобранное тело
+         */
+        static parseBody(bodyText) {
+            if (!bodyText) {
+                return null;
+            }
+
+            try {
+                return JSON.parse(bodyText);
+            } catch (e) {
+                return bodyText;
+            }
+        }
+
+        /**
+         * Разбор заголовка Retry-After (секунды или HTTP дата)
+         * @param {string|null} value - Значение заголовка
+         * @returns {number|null} - Задержка в секундах
+         */
+        static parseRetryAfter(value) {
+            if (!value) {
+                return null;
+            }
+
+            const seconds = Number(value);
+            if (Number.isFinite(seconds)) {
+                return Math.max(0, seconds);
+            }
+
+            const date = Date.parse(value);
+            if (!Number.isNaN(date)) {
+                return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+            }
+
+            return null;
+        }
+    }
+
+    /**
+     * Ошибка авторизации: ключ не настроен, неверен или заблокирован (401, 403)
+     */
+    class AuthError extends DaDataError {
+        constructor(message, details = {}) {
+            super(message, { ...details, retryable: false });
+            this.type = 'auth';
+        }
+    }
+
+    /**
+     * Исчерпан дневной лимит запросов (403)
+     */
+    class QuotaError extends DaDataError {
+        constructor(message, details = {}) {
+            super(message, { ...details, retryable: false });
+            this.type = 'quota';
+        }
+    }
+
+    /**
+     * Слишком много запросов в секунду (429)
+     */
+    class RateLimitError extends DaDataError {
+        constructor(message, details = {}) {
+            super(message, { ...details, retryable: true });
+            this.type = 'rate_limit';
+        }
+    }
+
+    /**
+     * Превышено время ожидания ответа
+     */
+    class TimeoutError extends DaDataError {
+        constructor(message, details = {}) {
+            super(message, { ...details, retryable: true });
+            this.type = 'timeout';
+        }
+    }
+
+    /**
+     * Сетевая ошибка: нет соединения, DNS, CORS
+     */
+    class NetworkError extends DaDataError {
+        constructor(message, details = {}) {
+            super(message, { ...details, retryable: true });
+            this.type = 'network';
+        }
+    }
+
+    /**
+     * Ошибка на стороне сервера (5xx) или некорректный ответ
+     */
+    class ServerError extends DaDataError {
+        constructor(message, details = {}) {
+            super(message, { retryable: true, ...details });
+            this.type = 'server_error';
+        }
+    }
+
+    /**
+     * Запрос отменен вызывающей стороной через AbortSignal
+     */
+    class CancelError extends DaDataError {
+        constructor(message = 'Request cancelled', details = {}) {
+            super(message, { ...details, retryable: false });
+            this.type = 'cancelled';
+        }
+    }
+
+    /**
+     * Некорректный запрос (400, 405, 413)
+     */
+    class ValidationError extends DaDataError {
+        constructor(message, details = {}) {
+            super(message, { ...details, retryable: false });
+            this.type = 'validation';
+        }
+    }
+
+    return {
+        DaDataError,
+        AuthError,
+        QuotaError,
+        RateLimitError,
+        TimeoutError,
+        NetworkError,
+        ServerError,
+        CancelError,
+        ValidationError
+    };
+});
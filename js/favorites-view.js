@@ -0,0 +1,199 @@
+/**
+ * Панель избранного: список с тегами, конфликты импорта и форма избранного в карточке банка
+ * Используется только в браузере; записи хранит FavoritesStore (favorites.js)
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./utils.js'), require('./dom.js'), require('./favorites.js'));
+    } else {
+        root.FavoritesView = factory(root.Utils, root.DOMUtils, root.FavoritesStore);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Utils, DOMUtils, FavoritesStore) {
+    class FavoritesView {
+        /**
+         * Поля формы избранного в карточке банка
+         */
+        static get EDITOR_FIELDS() {
+            return [
+                { name: 'label', title: 'Метка', tag: 'input', placeholder: 'Например: Основной счет поставщика' },
+                { name: 'tags', title: 'Теги', tag: 'input', placeholder: 'Через запятую: поставщики, москва' },
+                { name: 'notes', title: 'Заметки', tag: 'textarea', placeholder: 'Контакты, договоренности, особенности платежей' }
+            ];
+        }
+
+        /**
+         * Создание формы метки, тегов и заметок избранного банка
+         * Форма скрыта, пока банк не добавлен в избранное (см. updateControls)
+         * @param {Function} onChange - (name, value) => void, вызывается при изменении поля
+         * @returns {HTMLElement} - Элемент формы
+         */
+        static createEditor(onChange) {
+            const section = DOMUtils.createElement('div', 'bank-details__section favorite-editor');
+
+            const title = DOMUtils.createElement('h3', 'bank-details__section-title favorite-editor__title', 'Избранное');
+            section.appendChild(title);
+
+            FavoritesView.EDITOR_FIELDS.forEach(field => {
+                const label = DOMUtils.createElement('label', `favorite-editor__field${field.tag === 'textarea' ? ' favorite-editor__field--wide' : ''}`, field.title);
+                const control = DOMUtils.createElement(field.tag, 'favorite-editor__input', '', {
+                    name: field.name,
+                    placeholder: field.placeholder
+                });
+                if (field.tag === 'textarea') {
+                    control.rows = 3;
+                }
+
+                control.addEventListener('change', () => onChange(field.name, control.value));
+
+                label.appendChild(control);
+                section.appendChild(label);
+            });
+
+            return section;
+        }
+
+        /**
+         * Обновление звездочки и формы избранного в карточке банка
+         * @param {HTMLElement|null} button - Кнопка-звездочка
+         * @param {HTMLElement|null} form - Форма избранного
+         * @param {Object|null} entry - Запись избранного или null, если банка в избранном нет
+         */
+        static updateControls(button, form, entry) {
+            if (button) {
+                button.textContent = entry ? '★' : '☆';
+                button.title = entry ? 'Убрать из избранного' : 'Добавить в избранное';
+                button.setAttribute('aria-pressed', String(Boolean(entry)));
+                button.classList.toggle('bank-info__favorite--active', Boolean(entry));
+            }
+
+            if (form) {
+                form.hidden = !entry;
+                form.querySelectorAll('.favorite-editor__input').forEach(control => {
+                    const value = entry ? entry[control.name] : '';
+                    control.value = Array.isArray(value) ? value.join(', ') : value;
+                });
+            }
+        }
+
+        /**
+         * Заполнение списка тегов; выбранный тег сохраняется, если он еще есть
+         * @param {HTMLSelectElement} select - Список тегов
+         * @param {Array<string>} tags - Теги избранного
+         * @returns {string} - Выбранный тег или пустая строка
+         */
+        static renderTags(select, tags) {
+            const selectedTag = tags.includes(select.value) ? select.value : '';
+
+            select.innerHTML = '';
+            select.appendChild(DOMUtils.createElement('option', '', 'Все теги', { value: '' }));
+            tags.forEach(tag => {
+                select.appendChild(DOMUtils.createElement('option', '', tag, { value: tag }));
+            });
+            select.value = selectedTag;
+
+            return selectedTag;
+        }
+
+        /**
+         * Отображение найденных записей избранного
+         * @param {HTMLElement} list - Список избранного
+         * @param {Array<Object>} entries - Найденные записи
+         * @param {number} total - Всего записей в избранном (для текста пустого списка)
+         * @param {Object} handlers - { onOpen(entry), onRemove(bic) }
+         */
+        static renderList(list, entries, total, handlers) {
+            list.innerHTML = '';
+            entries.forEach(entry => {
+                list.appendChild(FavoritesView.createItem(entry, handlers));
+            });
+
+            if (entries.length === 0) {
+                const text = total === 0
+                    ? 'Добавьте банк звездочкой в карточке банка'
+                    : 'В избранном ничего не найдено';
+                list.appendChild(DOMUtils.createElement('div', 'favorites-section__empty', text));
+            }
+        }
+
+        /**
+         * Создание элемента списка избранного
+         * @param {Object} entry - Запись избранного
+         * @param {Object} handlers - { onOpen(entry), onRemove(bic) }
+         * @returns {HTMLElement} - Элемент списка
+         */
+        static createItem(entry, handlers) {
+            const item = DOMUtils.createElement('div', 'favorites-section__item');
+
+            const open = DOMUtils.createElement('button', 'favorites-section__open', '', { type: 'button' });
+            const name = DOMUtils.createElement('span', 'favorites-section__name', FavoritesStore.getTitle(entry));
+            const meta = DOMUtils.createElement('span', 'favorites-section__meta');
+            meta.textContent = entry.label ? `БИК: ${entry.bic} · ${entry.bank.name}` : `БИК: ${entry.bic}`;
+            open.appendChild(name);
+            open.appendChild(meta);
+
+            if (entry.tags.length > 0) {
+                const tags = DOMUtils.createElement('span', 'favorites-section__tags');
+                entry.tags.forEach(tag => {
+                    tags.appendChild(DOMUtils.createElement('span', 'favorites-section__tag-item', tag));
+                });
+                open.appendChild(tags);
+            }
+
+            if (entry.notes) {
+                open.title = entry.notes;
+            }
+            open.addEventListener('click', () => handlers.onOpen(entry));
+
+            const remove = DOMUtils.createElement('button', 'favorites-section__remove', '×', {
+                type: 'button',
+                title: 'Удалить из избранного',
+                'aria-label': `Удалить ${FavoritesStore.getTitle(entry)} из избранного`
+            });
+            remove.addEventListener('click', () => handlers.onRemove(entry.bic));
+
+            item.appendChild(open);
+            item.appendChild(remove);
+
+            return item;
+        }
+
+        /**
+         * Отображение конфликтов импорта: для каждого банка можно оставить свои значения или взять из файла
+         * @param {HTMLElement} container - Элемент для конфликтов
+         * @param {Array<Object>} conflicts - Конфликты из отчета FavoritesStore.merge
+         * @param {Function} onResolve - (conflict, choice) => void, choice - 'local' или 'incoming'
+         */
+        static renderConflicts(container, conflicts, onResolve) {
+            container.innerHTML = '';
+
+            conflicts.forEach(conflict => {
+                const item = DOMUtils.createElement('div', 'favorites-conflict');
+                item.appendChild(DOMUtils.createElement('div', 'favorites-conflict__title',
+                    `${FavoritesStore.getTitle(conflict.local)} (БИК ${conflict.bic})`));
+
+                conflict.fields.forEach(field => {
+                    const format = value => field === 'status' ? Utils.getStatusText(value) : value;
+                    const mine = format(FavoritesStore.getFieldValue(conflict.local, field));
+                    const theirs = format(FavoritesStore.getFieldValue(conflict.incoming, field));
+
+                    item.appendChild(DOMUtils.createElement('div', 'favorites-conflict__field',
+                        `${FavoritesStore.FIELD_TITLES[field]}: «${mine}» → «${theirs}»`));
+                });
+
+                const actions = DOMUtils.createElement('div', 'favorites-conflict__actions');
+                [['local', 'Оставить мои'], ['incoming', 'Взять из файла']].forEach(([choice, text]) => {
+                    const className = `favorites-section__button${choice === 'local' ? ' favorites-section__button--secondary' : ''}`;
+                    const button = DOMUtils.createElement('button', className, text, { type: 'button' });
+                    button.addEventListener('click', () => onResolve(conflict, choice));
+                    actions.appendChild(button);
+                });
+                item.appendChild(actions);
+
+                container.appendChild(item);
+            });
+        }
+    }
+
+    return FavoritesView;
+});
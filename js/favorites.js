@@ -0,0 +1,427 @@
+/**
+ * Избранные банки контрагентов: метки, теги, заметки, импорт и экспорт
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./utils.js'));
+    } else {
+        root.FavoritesStore = factory(root.Utils);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Utils) {
+    class FavoritesStore {
+        /**
+         * @param {Object} options - Параметры
+         * @param {Storage|null} options.storage - Хранилище с интерфейсом Web Storage (localStorage);
+         *                                          без него записи хранятся только в памяти
+         * @param {string} options.key - Ключ в хранилище
+         */
+        constructor(options = {}) {
+            this.storage = options.storage || null;
+            this.key = options.key || 'bank_favorites';
+            this.entries = new Map();
+            this.load();
+        }
+
+        /**
+         * Версия формата файла экспорта
+         */
+        static get FORMAT_VERSION() {
+            return 1;
+        }
+
+        /**
+         * Реквизиты, расхождение в которых при импорте считается конфликтом
+         */
+        static get BANK_FIELDS() {
+            return ['name', 'correspondentAccount', 'inn', 'kpp', 'swift', 'status'];
+        }
+
+        /**
+         * Пользовательские поля, расхождение в которых при импорте считается конфликтом
+         */
+        static get NOTE_FIELDS() {
+            return ['label', 'notes'];
+        }
+
+        /**
+         * Названия полей для отображения конфликтов
+         */
+        static get FIELD_TITLES() {
+            return {
+                name: 'Наименование',
+                correspondentAccount: 'Корр. счет',
+                inn: 'ИНН',
+                kpp: 'КПП',
+                swift: 'SWIFT',
+                status: 'Статус',
+                label: 'Метка',
+                notes: 'Заметки'
+            };
+        }
+
+        /**
+         * Значение поля записи: реквизиты берутся из данных банка
+         * @param {Object} entry - Запись
+         * @param {string} field - Поле из BANK_FIELDS или NOTE_FIELDS
+         * @returns {*} - Значение поля
+         */
+        static getFieldValue(entry, field) {
+            return FavoritesStore.BANK_FIELDS.includes(field) ? entry.bank[field] : entry[field];
+        }
+
+        /**
+         * Приведение записи к единому виду
+         * @param {Object} raw - Запись из хранилища или файла импорта
+         * @returns {Object|null} - { bic, bank, label, tags, notes, createdAt, updatedAt } или null
+         */
+        static normalizeEntry(raw) {
+            if (!raw || typeof raw !== 'object') {
+                return null;
+            }
+
+            const bank = raw.bank && typeof raw.bank === 'object' ? raw.bank : {};
+            const bic = String(raw.bic || bank.bic || '').trim();
+
+            if (!Utils.validateBIC(bic)) {
+                return null;
+            }
+
+            // Метка времени выбора из истории к данным банка не относится
+            const { timestamp, ...bankData } = bank;
+            const now = Date.now();
+
+            return {
+                bic,
+                bank: { ...bankData, bic },
+                label: typeof raw.label === 'string' ? raw.label.trim() : '',
+                tags: FavoritesStore.normalizeTags(raw.tags),
+                notes: typeof raw.notes === 'string' ? raw.notes.trim() : '',
+                createdAt: Number(raw.createdAt) || now,
+                updatedAt: Number(raw.updatedAt) || now
+            };
+        }
+
+        /**
+         * Приведение тегов к списку без пустых значений и повторов (без учета регистра)
+         * @param {Array<string>|string} tags - Список или строка через запятую
+         * @returns {Array<string>} - Теги
+         */
+        static normalizeTags(tags) {
+            const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+            const seen = new Set();
+
+            return list
+                .map(tag => String(tag).trim())
+                .filter(tag => {
+                    const key = tag.toLowerCase();
+                    if (!tag || seen.has(key)) {
+                        return false;
+                    }
+                    seen.add(key);
+                    return true;
+                });
+        }
+
+        /**
+         * Разбор файла экспорта
+         * Принимает объект экспорта ({ favorites: [...] }) или просто массив записей
+         * @param {string} text - Содержимое JSON файла
+         * @returns {Object} - { entries, skipped }: skipped - записи без корректного БИК
+         */
+        static parseImport(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Favorites file is not valid JSON');
+            }
+
+            const list = Array.isArray(data) ? data : data && data.favorites;
+            if (!Array.isArray(list)) {
+                throw new Error('Favorites file contains no favorites list');
+            }
+
+            if (!Array.isArray(data) && data.version > FavoritesStore.FORMAT_VERSION) {
+                throw new Error(`Unsupported favorites file version: ${data.version}`);
+            }
+
+            const entries = list.map(raw => FavoritesStore.normalizeEntry(raw)).filter(Boolean);
+            return { entries, skipped: list.length - entries.length };
+        }
+
+        /**
+         * Загрузка записей из хранилища
+         */
+        load() {
+            this.entries.clear();
+
+            if (!this.storage) {
+                return;
+            }
+
+            try {
+                const saved = JSON.parse(this.storage.getItem(this.key) || '[]');
+                (Array.isArray(saved) ? saved : []).forEach(raw => {
+                    const entry = FavoritesStore.normalizeEntry(raw);
+                    if (entry) {
+                        this.entries.set(entry.bic, entry);
+                    }
+                });
+            } catch (error) {
+                console.warn('Failed to load favorites:', error);
+            }
+        }
+
+        /**
+         * Сохранение записей в хранилище
+         */
+        save() {
+            if (!this.storage) {
+                return;
+            }
+
+            try {
+                this.storage.setItem(this.key, JSON.stringify(this.list()));
+            } catch (error) {
+                console.warn('Failed to save favorites:', error);
+            }
+        }
+
+        /**
+         * Все записи, упорядоченные по метке или названию банка
+         * @returns {Array<Object>} - Записи
+         */
+        list() {
+            return [...this.entries.values()].sort((a, b) =>
+                FavoritesStore.getTitle(a).localeCompare(FavoritesStore.getTitle(b), 'ru')
+            );
+        }
+
+        /**
+         * Отображаемое название записи
+         * @param {Object} entry - Запись
+         * @returns {string} - Метка пользователя или название банка
+         */
+        static getTitle(entry) {
+            return entry.label || entry.bank.name || entry.bic;
+        }
+
+        get size() {
+            return this.entries.size;
+        }
+
+        has(bic) {
+            return this.entries.has(bic);
+        }
+
+        get(bic) {
+            return this.entries.get(bic) || null;
+        }
+
+        /**
+         * Добавление банка или обновление его данных
+         * @param {Object} bankData - Данные банка (Utils.formatBankData)
+         * @param {Object} details - { label, tags, notes }
+         * @returns {Object|null} - Сохраненная запись
+         */
+        add(bankData, details = {}) {
+            const existing = this.get(bankData && bankData.bic);
+            const entry = FavoritesStore.normalizeEntry({
+                ...existing,
+                ...details,
+                bic: bankData && bankData.bic,
+                bank: bankData,
+                createdAt: existing ? existing.createdAt : Date.now(),
+                updatedAt: Date.now()
+            });
+
+            if (!entry) {
+                return null;
+            }
+
+            this.entries.set(entry.bic, entry);
+            this.save();
+            return entry;
+        }
+
+        /**
+         * Изменение метки, тегов, заметок или данных банка
+         * @param {string} bic - БИК банка
+         * @param {Object} changes - { label, tags, notes, bank }
+         * @returns {Object|null} - Обновленная запись или null, если банка нет в избранном
+         */
+        update(bic, changes = {}) {
+            const existing = this.get(bic);
+            if (!existing) {
+                return null;
+            }
+
+            const allowed = {};
+            ['label', 'tags', 'notes', 'bank'].forEach(field => {
+                if (changes[field] !== undefined) {
+                    allowed[field] = changes[field];
+                }
+            });
+
+            const entry = FavoritesStore.normalizeEntry({ ...existing, ...allowed, bic, updatedAt: Date.now() });
+            this.entries.set(bic, entry);
+            this.save();
+            return entry;
+        }
+
+        /**
+         * Удаление банка из избранного
+         * @param {string} bic - БИК банка
+         * @returns {boolean} - true если запись была удалена
+         */
+        remove(bic) {
+            const removed = this.entries.delete(bic);
+            if (removed) {
+                this.save();
+            }
+            return removed;
+        }
+
+        /**
+         * Все теги в алфавитном порядке
+         * @returns {Array<string>} - Теги
+         */
+        getTags() {
+            const tags = FavoritesStore.normalizeTags([...this.entries.values()].flatMap(entry => entry.tags));
+            return tags.sort((a, b) => a.localeCompare(b, 'ru'));
+        }
+
+        /**
+         * Поиск по избранному без обращения к API
+         * Все слова запроса должны встречаться в метке, реквизитах, тегах или заметках
+         * @param {string} query - Поисковый запрос
+         * @param {Object} options - Параметры
+         * @param {string} options.tag - Показать только записи с этим тегом
+         * @returns {Array<Object>} - Найденные записи
+         */
+        search(query = '', options = {}) {
+            const normalize = text => String(text || '').toLowerCase().replace(/ё/g, 'е');
+            const words = normalize(query).split(/\s+/).filter(Boolean);
+            const tag = options.tag ? normalize(options.tag) : '';
+
+            return this.list().filter(entry => {
+                if (tag && !entry.tags.some(item => normalize(item) === tag)) {
+                    return false;
+                }
+
+                const bank = entry.bank;
+                const haystack = normalize([
+                    entry.label, bank.name, bank.fullName, bank.bic, bank.inn, bank.swift,
+                    bank.correspondentAccount, bank.paymentCity, bank.address,
+                    entry.tags.join(' '), entry.notes
+                ].join(' '));
+
+                return words.every(word => haystack.includes(word));
+            });
+        }
+
+        /**
+         * Экспорт всего избранного
+         * @returns {string} - JSON для сохранения в файл
+         */
+        export() {
+            return JSON.stringify({
+                version: FavoritesStore.FORMAT_VERSION,
+                exportedAt: new Date().toISOString(),
+                favorites: this.list()
+            }, null, 2);
+        }
+
+        /**
+         * Объединение с импортированными записями по БИК
+         * Новые банки добавляются, теги объединяются, пустые поля заполняются.
+         * Разные непустые значения реквизитов, метки или заметок считаются конфликтом:
+         * такие поля остаются прежними до resolveConflict
+         * @param {string|Array<Object>} source - Содержимое файла экспорта или записи
+         * @returns {Object} - { added, updated, unchanged, conflicts, skipped }
+         */
+        merge(source) {
+            const { entries, skipped } = typeof source === 'string'
+                ? FavoritesStore.parseImport(source)
+                : { entries: source.map(raw => FavoritesStore.normalizeEntry(raw)).filter(Boolean), skipped: 0 };
+
+            const report = { added: [], updated: [], unchanged: [], conflicts: [], skipped };
+
+            entries.forEach(incoming => {
+                const local = this.get(incoming.bic);
+
+                if (!local) {
+                    this.entries.set(incoming.bic, incoming);
+                    report.added.push(incoming.bic);
+                    return;
+                }
+
+                const merged = {
+                    ...local,
+                    bank: { ...local.bank },
+                    tags: FavoritesStore.normalizeTags([...local.tags, ...incoming.tags])
+                };
+                const fields = [];
+
+                [...FavoritesStore.BANK_FIELDS, ...FavoritesStore.NOTE_FIELDS].forEach(field => {
+                    const mine = FavoritesStore.getFieldValue(local, field);
+                    const theirs = FavoritesStore.getFieldValue(incoming, field);
+                    const target = FavoritesStore.BANK_FIELDS.includes(field) ? merged.bank : merged;
+
+                    if (!mine && theirs) {
+                        target[field] = theirs;
+                    } else if (mine && theirs && mine !== theirs) {
+                        fields.push(field);
+                    }
+                });
+
+                const changed = JSON.stringify(merged) !== JSON.stringify(local);
+                if (changed) {
+                    merged.updatedAt = Date.now();
+                    this.entries.set(local.bic, merged);
+                }
+
+                if (fields.length) {
+                    report.conflicts.push({ bic: local.bic, fields, local: merged, incoming });
+                } else if (changed) {
+                    report.updated.push(local.bic);
+                } else {
+                    report.unchanged.push(local.bic);
+                }
+            });
+
+            this.save();
+            return report;
+        }
+
+        /**
+         * Разрешение конфликта импорта
+         * @param {Object} conflict - Конфликт из отчета merge
+         * @param {string} choice - 'local' - оставить свои значения, 'incoming' - взять из файла
+         * @returns {Object|null} - Итоговая запись
+         */
+        resolveConflict(conflict, choice) {
+            if (choice !== 'incoming') {
+                return this.get(conflict.bic);
+            }
+
+            const entry = this.get(conflict.bic);
+            if (!entry) {
+                return null;
+            }
+
+            const bank = { ...entry.bank };
+            const changes = {};
+
+            conflict.fields.forEach(field => {
+                const target = FavoritesStore.BANK_FIELDS.includes(field) ? bank : changes;
+                target[field] = FavoritesStore.getFieldValue(conflict.incoming, field);
+            });
+
+            return this.update(conflict.bic, { ...changes, bank });
+        }
+    }
+
+    return FavoritesStore;
+});
@@ -0,0 +1,62 @@
+/**
+ * Панель истории поиска под полем ввода
+ * Используется только в браузере; записи хранит и обновляет приложение
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./utils.js'), require('./dom.js'));
+    } else {
+        root.HistoryView = factory(root.Utils, root.DOMUtils);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Utils, DOMUtils) {
+    class HistoryView {
+        /**
+         * Отображение списка истории; панель скрывается, если записей нет
+         * @param {HTMLElement} panel - Панель истории
+         * @param {HTMLElement} list - Список записей
+         * @param {Array<Object>} entries - Записи (Utils.formatBankData + timestamp), новые первыми
+         * @param {Object} handlers - { onOpen(entry), onRemove(bic) }
+         */
+        static render(panel, list, entries, handlers) {
+            list.innerHTML = '';
+            entries.forEach(entry => {
+                list.appendChild(HistoryView.createItem(entry, handlers));
+            });
+
+            panel.classList.toggle('active', entries.length > 0);
+        }
+
+        /**
+         * Создание элемента истории
+         * @param {Object} entry - Запись истории
+         * @param {Object} handlers - { onOpen(entry), onRemove(bic) }
+         * @returns {HTMLElement} - Элемент истории
+         */
+        static createItem(entry, handlers) {
+            const item = DOMUtils.createElement('div', 'search-history__item');
+
+            const open = DOMUtils.createElement('button', 'search-history__open', '', { type: 'button' });
+            const name = DOMUtils.createElement('span', 'search-history__name', entry.name);
+            const meta = DOMUtils.createElement('span', 'search-history__meta');
+            meta.textContent = `БИК: ${entry.bic} · ${Utils.formatDateTime(entry.timestamp, 'ru-RU')}`;
+            open.appendChild(name);
+            open.appendChild(meta);
+            open.addEventListener('click', () => handlers.onOpen(entry));
+
+            const remove = DOMUtils.createElement('button', 'search-history__remove', '×', {
+                type: 'button',
+                title: 'Удалить из истории',
+                'aria-label': `Удалить ${entry.name} из истории`
+            });
+            remove.addEventListener('click', () => handlers.onRemove(entry.bic));
+
+            item.appendChild(open);
+            item.appendChild(remove);
+
+            return item;
+        }
+    }
+
+    return HistoryView;
+});
@@ -0,0 +1,210 @@
+/**
+ * Панели платежных реквизитов: форма QR-кода для оплаты и таблицы расшифровки строки ST0001x
+ * Используются только в браузере; формирование и разбор строки - в payment.js
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./dom.js'), require('./payment.js'), require('./qrcode.js'));
+    } else {
+        root.PaymentView = factory(root.DOMUtils, root.PaymentQR, root.QRCode);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (DOMUtils, PaymentQR, QRCode) {
+    class PaymentView {
+        /**
+         * Поля формы QR-кода: реквизиты получателя, которые вводит пользователь
+         */
+        static get QR_FIELDS() {
+            return [
+                { name: 'Name', placeholder: 'ООО «Ромашка»' },
+                { name: 'PersonalAcc', placeholder: '20 цифр', inputmode: 'numeric' },
+                { name: 'PayeeINN', placeholder: '10 или 12 цифр', inputmode: 'numeric' },
+                { name: 'KPP', placeholder: '9 символов' },
+                { name: 'Purpose', placeholder: 'Оплата по счету № 1 от 01.01.2024', wide: true },
+                { name: 'Sum', title: 'Сумма, руб.', placeholder: '1500,00', inputmode: 'decimal' }
+            ];
+        }
+
+        /**
+         * Создание формы платежного QR-кода (ГОСТ Р 56042-2014)
+         * Реквизиты банка берутся из карточки, реквизиты получателя вводит пользователь
+         * @param {Object} bankData - Данные банка
+         * @returns {HTMLElement} - Элемент формы
+         */
+        static createQRForm(bankData) {
+            const section = DOMUtils.createElement('div', 'bank-details__section payment-qr');
+
+            const title = DOMUtils.createElement('h3', 'bank-details__section-title', 'QR-код для оплаты');
+            section.appendChild(title);
+
+            const bank = PaymentQR.fromBank(bankData);
+            const bankNote = DOMUtils.createElement('div', 'payment-qr__bank');
+            bankNote.textContent = `Банк получателя: ${bank.BankName}, БИК ${bank.BIC}, корр. счет ${bank.CorrespAcc}`;
+            section.appendChild(bankNote);
+
+            const form = DOMUtils.createElement('form', 'payment-qr__form', '', { novalidate: '' });
+
+            PaymentView.QR_FIELDS.forEach(field => {
+                const spec = PaymentQR.FIELDS[field.name];
+                const label = DOMUtils.createElement('label', `payment-qr__field${field.wide ? ' payment-qr__field--wide' : ''}`,
+                    `${field.title || spec.title}${spec.required ? ' *' : ''}`);
+                const attributes = { name: field.name, placeholder: field.placeholder, autocomplete: 'off' };
+                if (field.inputmode) {
+                    attributes.inputmode = field.inputmode;
+                }
+
+                label.appendChild(DOMUtils.createElement('input', 'payment-qr__input', '', attributes));
+                form.appendChild(label);
+            });
+
+            const submit = DOMUtils.createElement('button', 'payment-qr__submit', 'Сформировать QR-код', { type: 'submit' });
+            const errors = DOMUtils.createElement('ul', 'payment-qr__errors', '', { 'aria-live': 'polite' });
+            const output = DOMUtils.createElement('div', 'payment-qr__output');
+
+            form.appendChild(submit);
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                PaymentView.renderQR(bankData, form, errors, output);
+            });
+
+            section.appendChild(form);
+            section.appendChild(errors);
+            section.appendChild(output);
+
+            return section;
+        }
+
+        /**
+         * Проверка реквизитов и построение платежного QR-кода
+         * @param {Object} bankData - Данные банка
+         * @param {HTMLFormElement} form - Форма реквизитов получателя
+         * @param {HTMLElement} errorsEl - Список ошибок
+         * @param {HTMLElement} outputEl - Элемент для QR-кода
+         */
+        static renderQR(bankData, form, errorsEl, outputEl) {
+            const inputs = [...form.querySelectorAll('.payment-qr__input')];
+            const values = {};
+            inputs.forEach(input => {
+                values[input.name] = input.value.trim();
+            });
+
+            const sum = values.Sum ? PaymentQR.parseAmount(values.Sum) : '';
+            const result = PaymentQR.build({ ...values, ...PaymentQR.fromBank(bankData), Sum: sum || '' });
+            const errors = [...result.errors];
+
+            if (sum === null) {
+                errors.push({ field: 'Sum', message: 'Сумма: укажите рубли и копейки, например 1500,00' });
+            }
+
+            inputs.forEach(input => {
+                input.classList.toggle('payment-qr__input--invalid', errors.some(error => error.field === input.name));
+            });
+
+            errorsEl.innerHTML = '';
+            outputEl.innerHTML = '';
+
+            if (errors.length > 0) {
+                errors.forEach(error => {
+                    errorsEl.appendChild(DOMUtils.createElement('li', 'payment-qr__error', error.message));
+                });
+                return;
+            }
+
+            const svg = QRCode.toSVG(QRCode.encode(result.payload, { errorCorrection: 'M' }));
+
+            // SVG строится из координат модулей, пользовательских данных в разметке нет
+            const image = DOMUtils.createElement('div', 'payment-qr__image');
+            image.innerHTML = svg;
+
+            const payload = DOMUtils.createElement('code', 'payment-qr__payload', result.payload);
+
+            const download = DOMUtils.createElement('button', 'payment-qr__download', 'Скачать SVG', { type: 'button' });
+            download.addEventListener('click', () => {
+                DOMUtils.downloadFile(svg, `payment-qr-${bankData.bic}.svg`, 'image/svg+xml');
+            });
+
+            outputEl.appendChild(image);
+            outputEl.appendChild(payload);
+            outputEl.appendChild(download);
+        }
+
+        /**
+         * Таблица полей расшифрованной платежной строки с ошибками формата
+         * @param {Object} parsed - Результат PaymentQR.parse
+         * @returns {HTMLElement} - Таблица (с ошибками - обертка с таблицей и списком)
+         */
+        static createFieldsTable(parsed) {
+            const table = DOMUtils.createElement('table', 'payment-decode__table');
+            const body = DOMUtils.createElement('tbody');
+            const invalid = new Set(parsed.validation.errors.map(error => error.field));
+
+            const addRow = (title, value, className = '') => {
+                const tr = DOMUtils.createElement('tr', className);
+                tr.appendChild(DOMUtils.createElement('th', '', title));
+                tr.appendChild(DOMUtils.createElement('td', '', value));
+                body.appendChild(tr);
+            };
+
+            Object.entries(PaymentQR.FIELDS).forEach(([field, spec]) => {
+                if (parsed.fields[field] === undefined) {
+                    return;
+                }
+
+                const value = field === 'Sum'
+                    ? `${PaymentQR.formatAmount(parsed.fields.Sum) || parsed.fields.Sum} руб.`
+                    : parsed.fields[field];
+                addRow(spec.title, value, invalid.has(field) ? 'payment-decode__row--invalid' : '');
+            });
+
+            Object.entries(parsed.extra).forEach(([key, value]) => addRow(key, value));
+
+            table.appendChild(body);
+
+            if (parsed.validation.errors.length === 0) {
+                return table;
+            }
+
+            // Ошибки формата показываем под таблицей
+            const wrapper = DOMUtils.createElement('div');
+            const errors = DOMUtils.createElement('ul', 'payment-decode__errors');
+            parsed.validation.errors.forEach(error => {
+                errors.appendChild(DOMUtils.createElement('li', '', error.message));
+            });
+            wrapper.appendChild(table);
+            wrapper.appendChild(errors);
+            return wrapper;
+        }
+
+        /**
+         * Таблица сверки реквизитов банка из строки со справочником
+         * @param {Array<Object>} rows - Результат PaymentQR.reconcile
+         * @returns {HTMLElement} - Таблица
+         */
+        static createReconciliationTable(rows) {
+            const table = DOMUtils.createElement('table', 'payment-decode__table payment-decode__table--reconcile');
+            const head = DOMUtils.createElement('thead');
+            const headRow = DOMUtils.createElement('tr');
+
+            ['Реквизит', 'В строке', 'В справочнике', ''].forEach(title => {
+                headRow.appendChild(DOMUtils.createElement('th', '', title));
+            });
+            head.appendChild(headRow);
+            table.appendChild(head);
+
+            const body = DOMUtils.createElement('tbody');
+            rows.forEach(row => {
+                const tr = DOMUtils.createElement('tr', `payment-decode__row payment-decode__row--${row.match ? 'match' : 'mismatch'}`);
+                tr.appendChild(DOMUtils.createElement('td', '', row.title));
+                tr.appendChild(DOMUtils.createElement('td', '', row.payload || '—'));
+                tr.appendChild(DOMUtils.createElement('td', '', row.directory || '—'));
+                tr.appendChild(DOMUtils.createElement('td', 'payment-decode__mark', row.match ? '✓' : '✗'));
+                body.appendChild(tr);
+            });
+            table.appendChild(body);
+
+            return table;
+        }
+    }
+
+    return PaymentView;
+});
@@ -0,0 +1,329 @@
+/**
+ * Платежные реквизиты в формате ГОСТ Р 56042-2014 (строка ST00012 для QR-кодов)
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./utils.js'));
+    } else {
+        root.PaymentQR = factory(root.Utils);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Utils) {
+    class PaymentQR {
+        /**
+         * Идентификатор формата и версия стандарта
+         */
+        static get FORMAT_ID() {
+            return 'ST0001';
+        }
+
+        /**
+         * Признак набора символов - последний символ заголовка
+         */
+        static get ENCODINGS() {
+            return { '1': 'windows-1251', '2': 'utf-8', '3': 'koi8-r' };
+        }
+
+        /**
+         * Реквизиты в порядке записи: обязательные, затем дополнительные
+         */
+        static get FIELDS() {
+            return {
+                Name: { title: 'Получатель', maxLength: 160, required: true },
+                PersonalAcc: { title: 'Счет получателя', maxLength: 20, required: true },
+                BankName: { title: 'Банк получателя', maxLength: 45, required: true },
+                BIC: { title: 'БИК', maxLength: 9, required: true },
+                CorrespAcc: { title: 'Корр. счет', maxLength: 20, required: true },
+                PayeeINN: { title: 'ИНН получателя', maxLength: 12 },
+                KPP: { title: 'КПП получателя', maxLength: 9 },
+                Purpose: { title: 'Назначение платежа', maxLength: 210 },
+                Sum: { title: 'Сумма', maxLength: 18 }
+            };
+        }
+
+        /**
+         * Реквизиты банка получателя из карточки банка
+         * @param {Object} bankData - Данные банка (Utils.formatBankData)
+         * @returns {Object} - { BankName, BIC, CorrespAcc }
+         */
+        static fromBank(bankData) {
+            // У ТОФК вместо корр. счета указывается единый казначейский счет
+            const singleTreasuryAccount = (bankData.treasuryAccounts || [])
+                .find(account => Utils.getTreasuryAccountType(account) === 'single');
+
+            return {
+                // Для платежей DaData отдает отдельное наименование банка
+                BankName: String(bankData.paymentName || bankData.name || '').slice(0, PaymentQR.FIELDS.BankName.maxLength),
+                BIC: bankData.bic || '',
+                // Для счетов в РКЦ корр. счета нет - стандарт требует "0"
+                CorrespAcc: bankData.correspondentAccount || singleTreasuryAccount || '0'
+            };
+        }
+
+        /**
+         * Сумма в рублях в копейки
+         * @param {string|number} value - Сумма: "1 234,56", "1234.5", 100
+         * @returns {string|null} - Сумма в копейках или null для некорректного значения
+         */
+        static parseAmount(value) {
+            const text = String(value === null || value === undefined ? '' : value).replace(/\s/g, '').replace(',', '.');
+            const match = text.match(/^(\d+)(?:\.(\d{1,2}))?$/);
+
+            if (!match) {
+                return null;
+            }
+
+            return `${match[1]}${(match[2] || '').padEnd(2, '0')}`.replace(/^0+(?=\d)/, '');
+        }
+
+        /**
+         * Приведение реквизитов к виду для записи: без лишних пробелов,
+         * номера счетов и коды - без разделителей групп цифр
+         * @param {Object} fields - Реквизиты с именами из FIELDS
+         * @returns {Object} - Реквизиты со строковыми значениями
+         */
+        static normalize(fields) {
+            const codes = ['PersonalAcc', 'BIC', 'CorrespAcc', 'PayeeINN', 'KPP', 'Sum'];
+            const result = {};
+
+            Object.keys(PaymentQR.FIELDS).forEach(field => {
+                const value = fields[field] === null || fields[field] === undefined ? '' : String(fields[field]);
+                result[field] = codes.includes(field)
+                    ? value.replace(/[\s-]/g, '')
+                    : value.replace(/\s+/g, ' ').trim();
+            });
+
+            return result;
+        }
+
+        /**
+         * Проверка реквизитов
+         * @param {Object} fields - Реквизиты с именами из FIELDS (Sum - в копейках)
+         * @returns {Object} - { valid, errors: [{ field, message }] }
+         */
+        static validate(fields) {
+            const normalized = PaymentQR.normalize(fields);
+            const errors = [];
+            const add = (field, message) => errors.push({ field, message });
+            const value = field => normalized[field];
+
+            Object.entries(PaymentQR.FIELDS).forEach(([field, spec]) => {
+                const text = value(field);
+
+                if (!text) {
+                    if (spec.required) {
+                        add(field, `${spec.title}: обязательный реквизит`);
+                    }
+                    return;
+                }
+
+                if (text.includes('|')) {
+                    add(field, `${spec.title}: символ «|» недопустим`);
+                } else if (text.length > spec.maxLength) {
+                    add(field, `${spec.title}: не длиннее ${spec.maxLength} символов`);
+                }
+            });
+
+            const bic = value('BIC');
+            if (bic && !Utils.validateBIC(bic)) {
+                add('BIC', 'БИК должен состоять из 9 цифр');
+            }
+
+            if (value('PersonalAcc')) {
+                const check = PaymentQR.checkPersonalAccount(normalized);
+                // Ошибку самого БИК уже показали выше
+                check.errors
+                    .filter(message => !message.startsWith('БИК'))
+                    .forEach(message => add('PersonalAcc', `Счет получателя: ${message}`));
+            }
+
+            const correspondent = value('CorrespAcc');
+            if (correspondent && correspondent !== '0' && !/^\d{20}$/.test(correspondent)) {
+                add('CorrespAcc', 'Корр. счет должен состоять из 20 цифр');
+            }
+
+            const inn = value('PayeeINN');
+            if (inn && !Utils.validateINN(inn)) {
+                add('PayeeINN', 'ИНН должен состоять из 10 или 12 цифр');
+            }
+
+            const kpp = value('KPP');
+            if (kpp && !/^\d{4}[\dA-Z]{2}\d{3}$/.test(kpp)) {
+                add('KPP', 'КПП должен состоять из 9 символов');
+            }
+
+            const sum = value('Sum');
+            if (sum && (!/^\d+$/.test(sum) || Number(sum) === 0)) {
+                add('Sum', 'Сумма должна быть положительным числом копеек');
+            }
+
+            return { valid: errors.length === 0, errors };
+        }
+
+        /**
+         * Проверка счета получателя по БИК
+         * Платежи в бюджет идут на казначейский счет (03...) в ТОФК, у которого вместо
+         * корр. счета - ЕКС (40102): такие счета проверяются по правилам для казначейских счетов
+         * @param {Object} fields - Реквизиты с именами из FIELDS
+         * @returns {Object} - Результат Utils.validateTreasuryAccount или Utils.validateAccount
+         */
+        static checkPersonalAccount(fields) {
+            const bic = String(fields.BIC || '').trim();
+            const treasury = Utils.getTreasuryAccountType(fields.PersonalAcc) === 'treasury'
+                || Utils.getTreasuryAccountType(fields.CorrespAcc) === 'single';
+
+            return treasury
+                ? Utils.validateTreasuryAccount(bic, fields.PersonalAcc)
+                : Utils.validateAccount(bic, fields.PersonalAcc);
+        }
+
+        /**
+         * Формирование строки ST00012 (UTF-8)
+         * @param {Object} fields - Реквизиты с именами из FIELDS (Sum - в копейках)
+         * @returns {Object} - { valid, errors, payload }: payload равен null, если реквизиты некорректны
+         */
+        static build(fields) {
+            const { valid, errors } = PaymentQR.validate(fields);
+
+            if (!valid) {
+                return { valid, errors, payload: null };
+            }
+
+            const parts = Object.entries(PaymentQR.normalize(fields))
+                .filter(([, text]) => text)
+                .map(([field, text]) => `${field}=${text}`);
+
+            return { valid, errors, payload: [`${PaymentQR.FORMAT_ID}2`, ...parts].join('|') };
+        }
+
+        /**
+         * Разбор платежной строки ST0001x
+         * Строка может быть вставлена вместе с окружающим текстом: разбор начинается
+         * с заголовка ST0001 и идет до конца строки. Разделитель по стандарту - символ
+         * сразу после заголовка, его можно задать явно
+         * @param {string} text - Платежная строка или текст, содержащий ее
+         * @param {Object} options - Параметры
+         * @param {string} options.separator - Разделитель реквизитов (по умолчанию - из строки)
+         * @returns {Object} - { encoding, separator, fields, extra, validation }:
+         *                     fields - реквизиты из FIELDS, extra - прочие реквизиты стандарта
+         */
+        static parse(text, options = {}) {
+            const source = String(text || '').replace(/^\uFEFF/, '');
+            const start = source.search(/ST0001[123]/);
+
+            if (start === -1) {
+                throw new Error('Not an ST0001 payment string');
+            }
+
+            const line = source.slice(start).split(/\r?\n/)[0].trim();
+            const encoding = PaymentQR.ENCODINGS[line[6]];
+            const separator = options.separator || line[7];
+
+            if (!separator || /[\w=]/.test(separator)) {
+                throw new Error('Payment string has no field separator');
+            }
+
+            const known = Object.keys(PaymentQR.FIELDS);
+            const fields = {};
+            const extra = {};
+            const body = line.slice(7);
+
+            // Явно заданный разделитель может состоять из нескольких символов
+            (body.startsWith(separator) ? body.slice(separator.length) : body).split(separator).forEach(part => {
+                const index = part.indexOf('=');
+                if (index <= 0) {
+                    return;
+                }
+
+                const key = part.slice(0, index).trim();
+                const value = part.slice(index + 1).trim();
+                // Имена реквизитов сравниваем без учета регистра: встречается "Bic", "PERSONALACC"
+                const field = known.find(name => name.toLowerCase() === key.toLowerCase());
+
+                if (field) {
+                    fields[field] = value;
+                } else {
+                    extra[key] = value;
+                }
+            });
+
+            if (Object.keys(fields).length === 0) {
+                throw new Error('Payment string contains no requisites');
+            }
+
+            return { encoding, separator, fields, extra, validation: PaymentQR.validate(fields) };
+        }
+
+        /**
+         * Сумма в копейках в рубли для отображения
+         * @param {string} kopecks - Сумма в копейках
+         * @returns {string} - "1 500,50" или пустая строка
+         */
+        static formatAmount(kopecks) {
+            if (!/^\d+$/.test(String(kopecks || ''))) {
+                return '';
+            }
+
+            const value = String(kopecks).padStart(3, '0');
+            const rubles = value.slice(0, -2).replace(/^0+(?=\d)/, '').replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+            return `${rubles},${value.slice(-2)}`;
+        }
+
+        /**
+         * Сверка реквизитов банка из платежной строки с данными справочника
+         * @param {Object} fields - Реквизиты из parse
+         * @param {Object|null} bankData - Данные банка по БИК (Utils.formatBankData) или null, если банк не найден
+         * @returns {Array<Object>} - [{ field, title, payload, directory, match }]
+         */
+        static reconcile(fields, bankData) {
+            const names = bankData
+                ? [bankData.paymentName, bankData.name, bankData.fullName].map(Utils.normalizeBankName).filter(Boolean)
+                : [];
+            const payloadName = Utils.normalizeBankName(fields.BankName);
+            const correspondent = Utils.getCleanAccount(fields.CorrespAcc === '0' ? '' : fields.CorrespAcc);
+            // У ТОФК корр. счета нет - в строке вместо него ЕКС из казначейских счетов
+            const treasuryAccounts = bankData ? (bankData.treasuryAccounts || []).map(Utils.getCleanAccount) : [];
+            const singleTreasury = Utils.getTreasuryAccountType(correspondent) === 'single';
+
+            const rows = [
+                {
+                    field: 'BIC',
+                    payload: fields.BIC || '',
+                    directory: bankData ? bankData.bic : '',
+                    match: Boolean(bankData)
+                },
+                {
+                    field: 'BankName',
+                    payload: fields.BankName || '',
+                    directory: bankData ? bankData.name : '',
+                    // В строке название может быть сокращено до 45 символов
+                    match: Boolean(payloadName) && names.some(name => name === payloadName
+                        || (payloadName.length >= PaymentQR.FIELDS.BankName.maxLength - 5 && name.startsWith(payloadName)))
+                },
+                {
+                    field: 'CorrespAcc',
+                    payload: fields.CorrespAcc || '',
+                    directory: bankData ? bankData.correspondentAccount || treasuryAccounts.join(', ') : '',
+                    match: Boolean(bankData)
+                        && (correspondent === Utils.getCleanAccount(bankData.correspondentAccount)
+                            || (singleTreasury && treasuryAccounts.includes(correspondent)))
+                }
+            ];
+
+            if (fields.PersonalAcc) {
+                const check = PaymentQR.checkPersonalAccount(fields);
+                const valid = check.type ? 'Казначейский счет, формат верный' : 'Контрольный ключ верный';
+                rows.push({
+                    field: 'PersonalAcc',
+                    payload: fields.PersonalAcc,
+                    directory: check.valid ? valid : check.errors.join('. '),
+                    match: check.valid
+                });
+            }
+
+            return rows.map(row => ({ ...row, title: PaymentQR.FIELDS[row.field].title }));
+        }
+    }
+
+    return PaymentQR;
+});
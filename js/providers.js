@@ -0,0 +1,275 @@
+/**
+ * Поставщики данных о банках
+ *
+ * BankDataProvider описывает общий интерфейс: search, findById, healthCheck.
+ * DaDataAPI, LocalDirectoryProvider и MockProvider - его реализации,
+ * CompositeProvider опрашивает их по приоритету с переходом к следующему
+ * при ошибке. Каждый результат помечается поставщиком, который его вернул.
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./errors.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (errors) {
+    const { DaDataError, CancelError } = errors;
+
+    /**
+     * Базовый поставщик данных о банках
+     */
+    class BankDataProvider {
+        /**
+         * @param {string} id - Идентификатор поставщика
+         * @param {string} title - Название для отображения
+         */
+        constructor(id, title) {
+            this.id = id;
+            this.title = title;
+        }
+
+        /**
+         * Поиск банков по произвольному запросу
+         * @param {string} query - Поисковый запрос
+         * @param {Object} options - Параметры поиска (count, status, type, signal)
+         * @returns {Promise<Object>} - Результат { suggestions, provider }
+         */
+        async search(query, options = {}) {
+            throw new Error(`${this.constructor.name}.search is not implemented`);
+        }
+
+        /**
+         * Точный поиск банка по идентификатору (БИК, SWIFT, ИНН, рег. номер)
+         * @param {string} id - Идентификатор
+         * @param {Object} options - Параметры поиска (count, signal; force - в обход кэша поставщика)
+         * @returns {Promise<Object>} - Результат { suggestions, provider }
+         */
+        async findById(id, options = {}) {
+            throw new Error(`${this.constructor.name}.findById is not implemented`);
+        }
+
+        /**
+         * Проверка работоспособности поставщика
+         * @returns {Promise<boolean>} - true если поставщик отвечает
+         */
+        async healthCheck() {
+            return this.isAvailable();
+        }
+
+        /**
+         * Быстрая проверка, имеет ли смысл обращаться к поставщику
+         * (настроен ключ, загружен справочник и т.п.)
+         * @returns {boolean} - true если поставщик готов к работе
+         */
+        isAvailable() {
+            return true;
+        }
+
+        /**
+         * Описание поставщика для пометки результатов
+         * @returns {Object} - { id, title }
+         */
+        getInfo() {
+            return { id: this.id, title: this.title };
+        }
+
+        /**
+         * Пометка результата поставщиком, который его вернул
+         * Возвращает копию, чтобы не изменять объекты в кэше
+         * @param {Object} result - Результат { suggestions }
+         * @returns {Object} - Результат с полем provider у ответа и каждой подсказки
+         */
+        tagResult(result) {
+            const provider = this.getInfo();
+
+            return {
+                ...result,
+                provider: provider,
+                suggestions: (result.suggestions || []).map(suggestion => ({ ...suggestion, provider: provider }))
+            };
+        }
+    }
+
+    /**
+     * Поставщик на основе офлайн справочника ED807
+     */
+    class LocalDirectoryProvider extends BankDataProvider {
+        /**
+         * @param {LocalBankDirectory} directory - Локальный справочник
+         */
+        constructor(directory) {
+            super('ed807', 'Справочник БИК Банка России (офлайн)');
+            this.directory = directory;
+        }
+
+        isAvailable() {
+            return this.directory.isLoaded();
+        }
+
+        async search(query, options = {}) {
+            return this.tagResult(await this.directory.search(query, options));
+        }
+
+        async findById(id, options = {}) {
+            return this.tagResult(await this.directory.findById(id, options));
+        }
+    }
+
+    /**
+     * Поставщик на основе фикстур (для демонстрации и тестов)
+     */
+    class MockProvider extends BankDataProvider {
+        /**
+         * @param {Array<Object>} fixtures - Подсказки в формате ответа DaData ({ value, data })
+         * @param {Object} options - Параметры
+         * @param {number} options.latency - Искусственная задержка ответа в мс
+         * @param {string} options.id - Идентификатор поставщика
+         * @param {string} options.title - Название поставщика
+         */
+        constructor(fixtures = [], options = {}) {
+            super(options.id || 'mock', options.title || 'Тестовые данные');
+            this.fixtures = fixtures;
+            this.latency = options.latency || 0;
+        }
+
+        async search(query, options = {}) {
+            await this.delay(options.signal);
+
+            const value = (query || '').trim().toLowerCase();
+            const matches = this.fixtures.filter(suggestion => {
+                const data = suggestion.data || {};
+                const text = `${suggestion.value || ''} ${data.name?.full || ''} ${data.address?.value || ''}`.toLowerCase();
+                return (data.bic || '').startsWith(value) || text.includes(value);
+            });
+
+            return this.tagResult({ suggestions: matches.slice(0, options.count || 10) });
+        }
+
+        async findById(id, options = {}) {
+            await this.delay(options.signal);
+
+            const value = (id || '').trim().toUpperCase();
+            const matches = this.fixtures.filter(suggestion => {
+                const data = suggestion.data || {};
+                return [data.bic, data.swift, data.inn, data.registration_number]
+                    .some(field => field && String(field).toUpperCase() === value);
+            });
+
+            return this.tagResult({ suggestions: matches.slice(0, options.count || 10) });
+        }
+
+        /**
+         * Искусственная задержка с поддержкой отмены
+         * @param {AbortSignal} signal - Сигнал отмены
+         */
+        async delay(signal) {
+            if (this.latency > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.latency));
+            }
+
+            if (signal && signal.aborted) {
+                throw new CancelError();
+            }
+        }
+    }
+
+    /**
+     * Составной поставщик: опрашивает поставщиков по приоритету
+     * и переходит к следующему, если текущий недоступен или вернул ошибку
+     */
+    class CompositeProvider extends BankDataProvider {
+        /**
+         * @param {Array<BankDataProvider>} providers - Поставщики в порядке приоритета
+         * @param {Object} options - Параметры
+         * @param {Object} options.logger - Журнал предупреждений ({ warn }), по умолчанию console
+         */
+        constructor(providers = [], options = {}) {
+            super('composite', 'Все источники');
+            this.providers = providers;
+            this.logger = options.logger || console;
+        }
+
+        isAvailable() {
+            return this.providers.some(provider => provider.isAvailable());
+        }
+
+        async search(query, options = {}) {
+            return this.tryProviders(provider => provider.search(query, options));
+        }
+
+        async findById(id, options = {}) {
+            return this.tryProviders(provider => provider.findById(id, options));
+        }
+
+        /**
+         * Составной поставщик работоспособен, если работоспособен хотя бы один
+         * @returns {Promise<boolean>}
+         */
+        async healthCheck() {
+            const results = await this.checkProviders();
+            return results.some(result => result.healthy);
+        }
+
+        /**
+         * Проверка работоспособности каждого поставщика
+         * @returns {Promise<Array<Object>>} - [{ id, title, healthy }]
+         */
+        async checkProviders() {
+            return Promise.all(this.providers.map(async provider => {
+                let healthy = false;
+                try {
+                    healthy = provider.isAvailable() && await provider.healthCheck();
+                } catch (e) {
+                    healthy = false;
+                }
+                return { ...provider.getInfo(), healthy: healthy };
+            }));
+        }
+
+        /**
+         * Получение поставщика по идентификатору
+         * @param {string} id - Идентификатор
+         * @returns {BankDataProvider|null} - Поставщик
+         */
+        getProvider(id) {
+            return this.providers.find(provider => provider.id === id) || null;
+        }
+
+        /**
+         * Последовательный опрос поставщиков
+         * @param {Function} operation - (provider) => Promise<Object>
+         * @returns {Promise<Object>} - Результат первого успешно ответившего поставщика
+         */
+        async tryProviders(operation) {
+            let lastError = null;
+
+            for (const provider of this.providers) {
+                if (!provider.isAvailable()) {
+                    continue;
+                }
+
+                try {
+                    return await operation(provider);
+                } catch (error) {
+                    // Отмена относится ко всему поиску, а не к конкретному поставщику
+                    if (error instanceof CancelError) {
+                        throw error;
+                    }
+
+                    this.logger.warn(`Provider ${provider.id} failed, trying next:`, error);
+                    lastError = error;
+                }
+            }
+
+            throw lastError || new DaDataError('No bank data providers available');
+        }
+    }
+
+    return {
+        BankDataProvider,
+        LocalDirectoryProvider,
+        MockProvider,
+        CompositeProvider
+    };
+});
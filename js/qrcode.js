@@ -0,0 +1,533 @@
+/**
+ * Генератор QR-кодов (ISO/IEC 18004) без сторонних сервисов
+ * Поддерживается байтовый режим (UTF-8), версии 1-40 и все уровни коррекции ошибок
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.QRCode = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    // Количество кодовых слов коррекции в блоке по уровню и версии (индекс 0 не используется)
+    const ECC_CODEWORDS_PER_BLOCK = {
+        L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    };
+
+    // Количество блоков коррекции по уровню и версии
+    const ECC_BLOCKS = {
+        L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    };
+
+    // Биты уровня коррекции в служебной информации о формате
+    const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    class QRCode {
+        /**
+         * Уровни коррекции ошибок: доля восстанавливаемых данных
+         */
+        static get ERROR_CORRECTION_LEVELS() {
+            return { L: '7%', M: '15%', Q: '25%', H: '30%' };
+        }
+
+        /**
+         * Построение QR-кода
+         * @param {string|Uint8Array} data - Текст (кодируется в UTF-8) или байты
+         * @param {Object} options - Параметры
+         * @param {string} options.errorCorrection - Уровень коррекции: 'L', 'M', 'Q' или 'H'
+         * @param {number} options.minVersion - Минимальная версия (1-40)
+         * @returns {Object} - { version, size, errorCorrection, mask, modules }:
+         *                     modules[y][x] === true - темный модуль
+         */
+        static encode(data, options = {}) {
+            const level = options.errorCorrection || 'M';
+            if (!(level in FORMAT_BITS)) {
+                throw new Error(`Unknown error correction level: ${level}`);
+            }
+
+            const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+
+            let version = Math.max(1, options.minVersion || 1);
+            for (; version <= 40; version++) {
+                const countBits = version < 10 ? 8 : 16;
+                if (4 + countBits + bytes.length * 8 <= QRCode.getDataCodewords(version, level) * 8) {
+                    break;
+                }
+            }
+
+            if (version > 40) {
+                throw new Error('Data too long for a QR code');
+            }
+
+            const codewords = QRCode.addErrorCorrection(QRCode.encodeData(bytes, version, level), version, level);
+            const matrix = new QRMatrix(version);
+
+            matrix.drawFunctionPatterns();
+            matrix.drawCodewords(codewords);
+
+            // Выбираем маску с наименьшим штрафом
+            let best = null;
+            MASKS.forEach((mask, index) => {
+                const candidate = matrix.clone();
+                candidate.applyMask(mask);
+                candidate.drawFormatBits(level, index);
+
+                const penalty = candidate.getPenalty();
+                if (!best || penalty < best.penalty) {
+                    best = { matrix: candidate, penalty, mask: index };
+                }
+            });
+
+            return {
+                version,
+                size: matrix.size,
+                errorCorrection: level,
+                mask: best.mask,
+                modules: best.matrix.modules
+            };
+        }
+
+        /**
+         * Количество модулей для данных и коррекции в символе версии
+         * @param {number} version - Версия
+         * @returns {number} - Количество модулей
+         */
+        static getRawDataModules(version) {
+            let result = (16 * version + 128) * version + 64;
+
+            if (version >= 2) {
+                const alignments = Math.floor(version / 7) + 2;
+                result -= (25 * alignments - 10) * alignments - 55;
+                if (version >= 7) {
+                    result -= 36;
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * Количество кодовых слов данных
+         * @param {number} version - Версия
+         * @param {string} level - Уровень коррекции
+         * @returns {number} - Количество кодовых слов
+         */
+        static getDataCodewords(version, level) {
+            return Math.floor(QRCode.getRawDataModules(version) / 8)
+                - ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+        }
+
+        /**
+         * Кодовые слова данных: режим, длина, байты, терминатор и заполнение
+         * @param {Uint8Array} bytes - Данные
+         * @param {number} version - Версия
+         * @param {string} level - Уровень коррекции
+         * @returns {Array<number>} - Кодовые слова данных
+         */
+        static encodeData(bytes, version, level) {
+            const capacity = QRCode.getDataCodewords(version, level) * 8;
+            const bits = [];
+            const append = (value, length) => {
+                for (let i = length - 1; i >= 0; i--) {
+                    bits.push((value >>> i) & 1);
+                }
+            };
+
+            append(0b0100, 4);
+            append(bytes.length, version < 10 ? 8 : 16);
+            bytes.forEach(byte => append(byte, 8));
+
+            append(0, Math.min(4, capacity - bits.length));
+            append(0, (8 - bits.length % 8) % 8);
+
+            for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+                append(pad, 8);
+            }
+
+            const codewords = [];
+            for (let i = 0; i < bits.length; i += 8) {
+                codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+            }
+
+            return codewords;
+        }
+
+        /**
+         * Разбиение данных на блоки, добавление кодов Рида-Соломона и чередование
+         * @param {Array<number>} data - Кодовые слова данных
+         * @param {number} version - Версия
+         * @param {string} level - Уровень коррекции
+         * @returns {Array<number>} - Итоговая последовательность кодовых слов
+         */
+        static addErrorCorrection(data, version, level) {
+            const blockCount = ECC_BLOCKS[level][version];
+            const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+            const rawCodewords = Math.floor(QRCode.getRawDataModules(version) / 8);
+            const shortBlocks = blockCount - rawCodewords % blockCount;
+            const shortBlockLength = Math.floor(rawCodewords / blockCount);
+            const divisor = ReedSolomon.getDivisor(eccLength);
+
+            const blocks = [];
+            for (let i = 0, offset = 0; i < blockCount; i++) {
+                const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+                const block = data.slice(offset, offset + length);
+                offset += length;
+
+                const ecc = ReedSolomon.getRemainder(block, divisor);
+                // Короткие блоки выравниваем заглушкой, она пропускается при чередовании
+                if (i < shortBlocks) {
+                    block.push(0);
+                }
+                blocks.push(block.concat(ecc));
+            }
+
+            const result = [];
+            for (let i = 0; i < blocks[0].length; i++) {
+                blocks.forEach((block, j) => {
+                    if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                        result.push(block[i]);
+                    }
+                });
+            }
+
+            return result;
+        }
+
+        /**
+         * SVG изображение QR-кода
+         * @param {Object} qr - Результат encode
+         * @param {Object} options - Параметры
+         * @param {number} options.margin - Свободная зона в модулях (по стандарту не меньше 4)
+         * @param {number} options.moduleSize - Размер модуля в пикселях
+         * @returns {string} - SVG документ
+         */
+        static toSVG(qr, options = {}) {
+            const margin = options.margin !== undefined ? options.margin : 4;
+            const moduleSize = options.moduleSize || 4;
+            const size = qr.size + margin * 2;
+            const path = [];
+
+            qr.modules.forEach((row, y) => {
+                row.forEach((dark, x) => {
+                    if (dark) {
+                        path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+                    }
+                });
+            });
+
+            return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * moduleSize}" height="${size * moduleSize}" shape-rendering="crispEdges">`
+                + `<rect width="100%" height="100%" fill="#fff"/>`
+                + `<path d="${path.join('')}" fill="#000"/>`
+                + '</svg>';
+        }
+    }
+
+    /**
+     * Арифметика кодов Рида-Соломона над GF(256) с полиномом 0x11D
+     */
+    class ReedSolomon {
+        static multiply(x, y) {
+            let result = 0;
+            for (let i = 7; i >= 0; i--) {
+                result = (result << 1) ^ ((result >>> 7) * 0x11D);
+                result ^= ((y >>> i) & 1) * x;
+            }
+            return result;
+        }
+
+        /**
+         * Порождающий многочлен степени degree (без старшего коэффициента)
+         */
+        static getDivisor(degree) {
+            const result = new Array(degree).fill(0);
+            result[degree - 1] = 1;
+
+            let root = 1;
+            for (let i = 0; i < degree; i++) {
+                for (let j = 0; j < result.length; j++) {
+                    result[j] = ReedSolomon.multiply(result[j], root);
+                    if (j + 1 < result.length) {
+                        result[j] ^= result[j + 1];
+                    }
+                }
+                root = ReedSolomon.multiply(root, 0x02);
+            }
+
+            return result;
+        }
+
+        /**
+         * Остаток от деления данных на порождающий многочлен - кодовые слова коррекции
+         */
+        static getRemainder(data, divisor) {
+            const result = new Array(divisor.length).fill(0);
+
+            data.forEach(byte => {
+                const factor = byte ^ result.shift();
+                result.push(0);
+                divisor.forEach((coefficient, i) => {
+                    result[i] ^= ReedSolomon.multiply(coefficient, factor);
+                });
+            });
+
+            return result;
+        }
+    }
+
+    /**
+     * Матрица модулей символа
+     */
+    class QRMatrix {
+        constructor(version) {
+            this.version = version;
+            this.size = version * 4 + 17;
+            this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+            this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        }
+
+        clone() {
+            const copy = new QRMatrix(this.version);
+            copy.modules = this.modules.map(row => row.slice());
+            copy.reserved = this.reserved.map(row => row.slice());
+            return copy;
+        }
+
+        setFunction(x, y, dark) {
+            this.modules[y][x] = dark;
+            this.reserved[y][x] = true;
+        }
+
+        /**
+         * Поисковые и выравнивающие узоры, синхронизация, место под формат и версию
+         */
+        drawFunctionPatterns() {
+            const size = this.size;
+
+            for (let i = 0; i < size; i++) {
+                this.setFunction(6, i, i % 2 === 0);
+                this.setFunction(i, 6, i % 2 === 0);
+            }
+
+            this.drawFinder(3, 3);
+            this.drawFinder(size - 4, 3);
+            this.drawFinder(3, size - 4);
+
+            const positions = this.getAlignmentPositions();
+            const last = positions.length - 1;
+            positions.forEach((y, i) => {
+                positions.forEach((x, j) => {
+                    const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                    if (!overlapsFinder) {
+                        this.drawAlignment(x, y);
+                    }
+                });
+            });
+
+            // Резервируем место под формат, настоящие биты пишутся после выбора маски
+            this.drawFormatBits('M', 0);
+            this.drawVersion();
+        }
+
+        drawFinder(cx, cy) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        this.setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        }
+
+        drawAlignment(cx, cy) {
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }
+
+        getAlignmentPositions() {
+            if (this.version === 1) {
+                return [];
+            }
+
+            const count = Math.floor(this.version / 7) + 2;
+            const step = this.version === 32 ? 26 : Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+            const result = [6];
+
+            for (let position = this.size - 7; result.length < count; position -= step) {
+                result.splice(1, 0, position);
+            }
+
+            return result;
+        }
+
+        drawFormatBits(level, mask) {
+            const data = (FORMAT_BITS[level] << 3) | mask;
+            let remainder = data;
+            for (let i = 0; i < 10; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            }
+            const bits = ((data << 10) | remainder) ^ 0x5412;
+            const bit = i => ((bits >>> i) & 1) === 1;
+            const size = this.size;
+
+            for (let i = 0; i <= 5; i++) {
+                this.setFunction(8, i, bit(i));
+            }
+            this.setFunction(8, 7, bit(6));
+            this.setFunction(8, 8, bit(7));
+            this.setFunction(7, 8, bit(8));
+            for (let i = 9; i < 15; i++) {
+                this.setFunction(14 - i, 8, bit(i));
+            }
+
+            for (let i = 0; i < 8; i++) {
+                this.setFunction(size - 1 - i, 8, bit(i));
+            }
+            for (let i = 8; i < 15; i++) {
+                this.setFunction(8, size - 15 + i, bit(i));
+            }
+            // Всегда темный модуль
+            this.setFunction(8, size - 8, true);
+        }
+
+        drawVersion() {
+            if (this.version < 7) {
+                return;
+            }
+
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (this.version << 12) | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = this.size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunction(a, b, dark);
+                this.setFunction(b, a, dark);
+            }
+        }
+
+        /**
+         * Размещение кодовых слов зигзагом снизу вверх по парам столбцов
+         */
+        drawCodewords(codewords) {
+            const totalBits = codewords.length * 8;
+            let index = 0;
+
+            for (let right = this.size - 1; right >= 1; right -= 2) {
+                if (right === 6) {
+                    right = 5;
+                }
+
+                for (let vertical = 0; vertical < this.size; vertical++) {
+                    for (let j = 0; j < 2; j++) {
+                        const x = right - j;
+                        const upward = ((right + 1) & 2) === 0;
+                        const y = upward ? this.size - 1 - vertical : vertical;
+
+                        if (!this.reserved[y][x] && index < totalBits) {
+                            this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                            index++;
+                        }
+                    }
+                }
+            }
+        }
+
+        applyMask(mask) {
+            for (let y = 0; y < this.size; y++) {
+                for (let x = 0; x < this.size; x++) {
+                    if (!this.reserved[y][x] && mask(x, y)) {
+                        this.modules[y][x] = !this.modules[y][x];
+                    }
+                }
+            }
+        }
+
+        /**
+         * Штраф маски по правилам стандарта: серии, квадраты 2x2,
+         * узоры, похожие на поисковые, и баланс темных модулей
+         */
+        getPenalty() {
+            const size = this.size;
+            const lines = [];
+            let penalty = 0;
+            let dark = 0;
+
+            for (let y = 0; y < size; y++) {
+                lines.push(this.modules[y]);
+                lines.push(this.modules.map(row => row[y]));
+            }
+
+            lines.forEach(line => {
+                let run = 1;
+                for (let i = 1; i <= size; i++) {
+                    if (i < size && line[i] === line[i - 1]) {
+                        run++;
+                        continue;
+                    }
+                    if (run >= 5) {
+                        penalty += run - 2;
+                    }
+                    run = 1;
+                }
+
+                // 1:1:3:1:1 с четырьмя светлыми модулями с любой стороны
+                const text = line.map(module => (module ? '1' : '0')).join('');
+                for (const pattern of ['00001011101', '10111010000']) {
+                    for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+                        penalty += 40;
+                    }
+                }
+            });
+
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const color = this.modules[y][x];
+                    if (color) {
+                        dark++;
+                    }
+                    if (x < size - 1 && y < size - 1
+                        && color === this.modules[y][x + 1]
+                        && color === this.modules[y + 1][x]
+                        && color === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+
+            const total = size * size;
+            penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+            return penalty;
+        }
+    }
+
+    return QRCode;
+});
@@ -0,0 +1,439 @@
+/**
+ * Распознавание банковских реквизитов в произвольном тексте
+ * (письма контрагентов, счета, карточки организаций)
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./utils.js'));
+    } else {
+        root.RequisitesParser = factory(root.Utils);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Utils) {
+    // Буква перед подписью или после нее означает, что это часть другого слова
+    const LETTER = '[А-ЯЁA-Z]';
+    // Символы между подписью и значением: "БИК: 044525225", "р/с № 4070...", "ИНН - 7707..."
+    const DELIMITER = '[\\s:№#.\\-–—]*';
+
+    class RequisitesParser {
+        /**
+         * Реквизиты в порядке вывода: подписи (фрагменты регулярных выражений,
+         * регистр не учитывается) и допустимые длины значений
+         */
+        static get FIELDS() {
+            return {
+                inn: { title: 'ИНН', labels: ['ИНН', 'INN'], lengths: [10, 12] },
+                kpp: { title: 'КПП', labels: ['КПП', 'KPP'], lengths: [9] },
+                ogrn: { title: 'ОГРН', labels: ['ОГРНИП', 'ОГРН', 'OGRN'], lengths: [13, 15] },
+                account: {
+                    title: 'Расчетный счет',
+                    labels: [
+                        'расчетный\\s+счет', 'расч\\.?\\s*сч(?:ет|\\.)?', 'р/счет', 'р/сч?', 'р\\.\\s?с\\.?', 'рс',
+                        'счет\\s+получателя'
+                    ],
+                    lengths: [20]
+                },
+                bankName: {
+                    title: 'Банк',
+                    // Одиночное слово "банк" - подпись, только если за ним двоеточие или тире
+                    labels: ['наименование\\s+банка', 'банк\\s+получателя', 'банк(?=\\s*[:\\-–—])', 'bank(?=\\s*:)']
+                },
+                bic: { title: 'БИК', labels: ['БИК', 'BIC'], lengths: [9] },
+                correspondentAccount: {
+                    title: 'Корр. счет',
+                    labels: [
+                        'корреспондентский\\s+счет', 'корр?\\.?\\s*сч(?:ет|\\.)?', 'корсчет', 'к/счет', 'к/сч?',
+                        'к\\.\\s?с\\.?', 'кс'
+                    ],
+                    lengths: [20]
+                }
+            };
+        }
+
+        /**
+         * Распознавание реквизитов
+         * Сначала ищутся значения с подписями ("р/с", "БИК", "ИНН/КПП" и т.п.),
+         * затем оставшиеся реквизиты определяются по количеству цифр
+         * @param {string} text - Произвольный текст
+         * @returns {Object} - { fields, sources }: fields - найденные значения (счета и коды - только цифры),
+         *                     sources - способ распознавания каждого значения ('label' или 'pattern')
+         */
+        static extract(text) {
+            const source = RequisitesParser.prepare(text);
+            const fields = {};
+            const sources = {};
+            const used = [];
+            let accountEnd = -1;
+
+            const take = (field, value, start, end, how) => {
+                if (fields[field] !== undefined) {
+                    return false;
+                }
+                fields[field] = value;
+                sources[field] = how;
+                used.push([start, end]);
+                if (field === 'account') {
+                    accountEnd = end;
+                }
+                return true;
+            };
+
+            // "ИНН/КПП 7707083893/773601001"
+            const combined = new RegExp(`(?<!${LETTER})ИНН\\s*/\\s*КПП${DELIMITER}(\\d{10}|\\d{12})\\s*[/\\\\]\\s*(\\d{9})(?!\\d)`, 'i')
+                .exec(source);
+            if (combined) {
+                const end = combined.index + combined[0].length;
+                take('inn', combined[1], combined.index, end, 'label');
+                take('kpp', combined[2], combined.index, end, 'label');
+            }
+
+            Object.entries(RequisitesParser.FIELDS).forEach(([field, spec]) => {
+                if (!spec.lengths || fields[field] !== undefined) {
+                    return;
+                }
+
+                const pattern = new RegExp(
+                    `(?<!${LETTER})(?:${spec.labels.join('|')})(?!${LETTER})${DELIMITER}(\\d(?:[\\d -]*\\d)?)`, 'gi');
+                let match;
+
+                while ((match = pattern.exec(source)) !== null) {
+                    const value = RequisitesParser.pickDigits(match[1], spec.lengths);
+                    const end = match.index + match[0].length;
+                    if (value && take(field, value, match.index, end, 'label')) {
+                        break;
+                    }
+                }
+            });
+
+            RequisitesParser.extractByPattern(source, used).forEach(({ field, value, start, end }) => {
+                take(field, value, start, end, 'pattern');
+            });
+
+            const bankName = RequisitesParser.extractBankName(source, accountEnd);
+            if (bankName) {
+                fields.bankName = bankName.value;
+                sources.bankName = bankName.source;
+            }
+
+            return { fields, sources };
+        }
+
+        /**
+         * Подготовка текста: неразрывные пробелы и табуляция - обычные пробелы, Ё - Е
+         * @param {string} text - Исходный текст
+         * @returns {string} - Текст для разбора
+         */
+        static prepare(text) {
+            return String(text || '')
+                .replace(/\r\n?/g, '\n')
+                .replace(/[^\S\n]/g, ' ')
+                .replace(/ё/g, 'е')
+                .replace(/Ё/g, 'Е');
+        }
+
+        /**
+         * Выбор значения из цифр после подписи
+         * Цифры могут быть разбиты пробелами на группы ("4070 2810 ..."), а за значением
+         * может сразу идти следующее число - группы набираются, пока длина допустима
+         * @param {string} digits - Цифры с пробелами и дефисами
+         * @param {Array<number>} lengths - Допустимые длины
+         * @returns {string} - Значение; если ни одна длина не подошла - все цифры
+         *                     (некорректное значение покажет проверка)
+         */
+        static pickDigits(digits, lengths) {
+            const groups = digits.split(/[ -]+/).filter(Boolean);
+            let value = '';
+            let best = '';
+
+            for (const group of groups) {
+                value += group;
+                if (value.length > Math.max(...lengths)) {
+                    break;
+                }
+                if (lengths.includes(value.length)) {
+                    best = value;
+                }
+            }
+
+            return best || groups.join('');
+        }
+
+        /**
+         * Реквизиты без подписей по количеству цифр: 9 - БИК (см. looksLikeBIC) или КПП,
+         * 20 - корр. счет (30101 или ЕКС 40102) или расчетный счет (в том числе казначейский 03),
+         * 13 и 15 - ОГРН, 10 и 12 - ИНН
+         * @param {string} source - Подготовленный текст
+         * @param {Array<Array<number>>} used - Уже занятые фрагменты текста [начало, конец]
+         * @returns {Array<Object>} - [{ field, value, start, end }] в порядке следования в тексте
+         */
+        static extractByPattern(source, used) {
+            const result = [];
+            const pattern = /(?<![\d\-/])\d{9,20}(?![\d\-/])/g;
+            let match;
+
+            while ((match = pattern.exec(source)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (used.some(([from, to]) => start < to && end > from)) {
+                    continue;
+                }
+
+                const value = match[0];
+                let field = null;
+
+                if (value.length === 9) {
+                    field = RequisitesParser.looksLikeBIC(value) ? 'bic' : 'kpp';
+                } else if (value.length === 20) {
+                    // ЕКС в платеже казначейству указывается на месте корр. счета
+                    field = value.startsWith('30101') || value.startsWith('40102') ? 'correspondentAccount' : 'account';
+                } else if (value.length === 13 || value.length === 15) {
+                    field = 'ogrn';
+                } else if (value.length === 10 || value.length === 12) {
+                    field = 'inn';
+                }
+
+                if (field) {
+                    result.push({ field, value, start, end });
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * Похоже ли 9-значное число без подписи на БИК, а не на КПП
+         * БИК начинается с 0: 04 - у банков и РКЦ, 00-03 - у ТОФК (024501901). КПП с 00 не начинается
+         * (первые цифры - код региона), а КПП с ведущим нулем отличаем по последним трем цифрам:
+         * у БИК банков и ТОФК они не меньше 050, у КПП это обычно порядковый номер 001
+         * @param {string} value - 9 цифр
+         * @returns {boolean} - true если число считаем БИК
+         */
+        static looksLikeBIC(value) {
+            if (!value.startsWith('0')) {
+                return false;
+            }
+
+            return value.startsWith('04') || value.startsWith('00') || !Utils.isSettlementCentreBIC(value);
+        }
+
+        /**
+         * Поиск названия банка: по подписи, по предлогу после расчетного счета
+         * ("р/с 4070... в ПАО Сбербанк") или по организационно-правовой форме
+         * @param {string} source - Подготовленный текст
+         * @param {number} accountEnd - Позиция конца расчетного счета в тексте (-1, если не найден)
+         * @returns {Object|null} - { value, source } или null
+         */
+        static extractBankName(source, accountEnd) {
+            const labels = RequisitesParser.FIELDS.bankName.labels.join('|');
+            const labeled = new RegExp(`(?<!${LETTER})(?:${labels})(?!${LETTER})[\\s:\\-–—]*([^\\n;]+)`, 'i').exec(source);
+            const candidates = [];
+
+            if (labeled) {
+                candidates.push({ text: labeled[1], source: 'label' });
+            }
+
+            if (accountEnd !== -1) {
+                const after = /^\s*,?\s*в\s+([^\n;]+)/i.exec(source.slice(accountEnd));
+                if (after) {
+                    candidates.push({ text: after[1], source: 'pattern' });
+                }
+            }
+
+            const opf = new RegExp(
+                `(?<!${LETTER})(?:(?:ПАО|АО|ОАО|ЗАО|АКБ|КБ|НКО)\\s+(?:«[^»\\n]+»|"[^"\\n]+"|[^\\s,;]*банк[^\\s,;]*)`
+                + `|банк\\s+[^\\s,;()]+\\s+\\((?:ПАО|АО)\\))`, 'i').exec(source);
+            if (opf) {
+                candidates.push({ text: opf[0], source: 'pattern' });
+            }
+
+            for (const candidate of candidates) {
+                const value = RequisitesParser.cutBankName(candidate.text);
+                if (value) {
+                    return { value, source: candidate.source };
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Название банка до следующего реквизита: "ПАО Сбербанк г. Москва, к/с ..." - "ПАО Сбербанк г. Москва"
+         * @param {string} text - Текст, начинающийся с названия
+         * @returns {string} - Название без хвоста
+         */
+        static cutBankName(text) {
+            const labels = Object.entries(RequisitesParser.FIELDS)
+                .filter(([field]) => field !== 'bankName')
+                .flatMap(([, spec]) => spec.labels);
+            const next = new RegExp(`(?<!${LETTER})(?:${labels.join('|')})(?!${LETTER})|\\d{9,}`, 'i').exec(text);
+            const value = next ? text.slice(0, next.index) : text;
+
+            return value.replace(/^[\s,.:;\-–—]+|[\s,:;\-–—(]+$/g, '').replace(/\s+/g, ' ');
+        }
+
+        /**
+         * Проверка распознанных реквизитов, в том числе по данным банка из справочника
+         * @param {Object} fields - Реквизиты из extract
+         * @param {Object|null} bankData - Данные банка по БИК (Utils.formatBankData) или null
+         * @returns {Array<Object>} - [{ field, title, value, valid, message }]: valid равен null,
+         *                            если значение проверить не удалось
+         */
+        static check(fields, bankData) {
+            const bic = Utils.validateBIC(fields.bic || '') ? fields.bic : '';
+            const checks = {
+                bic: value => {
+                    if (!bic) {
+                        return [false, 'БИК должен состоять из 9 цифр'];
+                    }
+                    if (!bankData) {
+                        return [false, 'Банк не найден в справочнике'];
+                    }
+                    return bankData.status === 'LIQUIDATED' || bankData.status === 'LIQUIDATING'
+                        ? [false, `${bankData.name}: ${Utils.getStatusText(bankData.status).toLowerCase()}`]
+                        : [true, bankData.name];
+                },
+                bankName: value => {
+                    if (!bankData) {
+                        return [null, 'Банк по БИК не найден - название не проверено'];
+                    }
+                    const name = Utils.normalizeBankName(value);
+                    // В тексте к названию часто добавлен город: "ПАО Сбербанк г. Москва"
+                    const matches = [bankData.paymentName, bankData.name, bankData.fullName]
+                        .map(Utils.normalizeBankName)
+                        .some(known => known && (name === known || name.startsWith(`${known} `)));
+                    return matches ? [true, 'Совпадает со справочником'] : [false, `В справочнике: ${bankData.name}`];
+                },
+                correspondentAccount: value => {
+                    if (!bic) {
+                        return [null, 'Нет БИК для проверки'];
+                    }
+                    if (Utils.getTreasuryAccountType(value) === 'single') {
+                        return RequisitesParser.checkSingleTreasuryAccount(bic, value, bankData);
+                    }
+                    const failed = Utils.checkCorrespondentAccount(bic, value).checks.filter(item => !item.passed);
+                    if (failed.length > 0) {
+                        return [false, failed.map(item => item.message).join('. ')];
+                    }
+                    if (bankData && Utils.getCleanAccount(bankData.correspondentAccount) !== value) {
+                        return [false, bankData.correspondentAccount
+                            ? `В справочнике: ${bankData.correspondentAccount}`
+                            : 'В справочнике у банка нет корр. счета'];
+                    }
+                    return bankData ? [true, 'Совпадает со справочником'] : [true, 'Контрольный ключ верен'];
+                },
+                account: value => {
+                    if (value.startsWith('30101')) {
+                        return [false, 'Это корреспондентский счет банка, а не расчетный счет'];
+                    }
+                    if (!bic) {
+                        return value.length === 20
+                            ? [null, 'Нет БИК для проверки контрольного ключа']
+                            : [false, `Номер счета должен состоять из 20 цифр, указано ${value.length}`];
+                    }
+                    if (Utils.getTreasuryAccountType(value) === 'treasury'
+                        || Utils.getTreasuryAccountType(fields.correspondentAccount) === 'single') {
+                        const treasury = Utils.validateTreasuryAccount(bic, value);
+                        return treasury.valid ? [true, 'Казначейский счет, формат верный'] : [false, treasury.errors.join('. ')];
+                    }
+                    const validation = Utils.validateAccount(bic, value);
+                    return validation.valid ? [true, 'Контрольный ключ верен'] : [false, validation.errors.join('. ')];
+                },
+                inn: value => {
+                    if (!Utils.validateINN(value)) {
+                        return [false, 'ИНН должен состоять из 10 или 12 цифр'];
+                    }
+                    if (!Utils.validateINNChecksum(value)) {
+                        return [false, 'Неверные контрольные цифры'];
+                    }
+                    return bankData && bankData.inn === value
+                        ? [true, 'Совпадает с ИНН банка, а не получателя']
+                        : [true, 'Контрольные цифры верны'];
+                },
+                kpp: value => {
+                    if (!/^\d{4}[\dA-Z]{2}\d{3}$/.test(value)) {
+                        return [false, 'КПП должен состоять из 9 символов'];
+                    }
+                    // КПП банка сверяем, только если указан ИНН банка
+                    if (bankData && bankData.inn && bankData.inn === fields.inn) {
+                        return bankData.kpp === value
+                            ? [true, 'Совпадает с КПП банка']
+                            : [false, `У банка КПП ${bankData.kpp || 'не указан'}`];
+                    }
+                    return [true, 'Формат верен'];
+                },
+                ogrn: value => {
+                    if (!Utils.validateOGRN(value)) {
+                        return [false, 'Неверный ОГРН: 13 цифр (15 для ОГРНИП) с контрольной цифрой'];
+                    }
+                    // ОГРН выдается организациям с 10-значным ИНН, ОГРНИП - предпринимателям с 12-значным
+                    if (fields.inn && Utils.validateINN(fields.inn) && (fields.inn.length === 10) !== (value.length === 13)) {
+                        return [false, value.length === 13
+                            ? 'ОГРН организации, а ИНН - физического лица'
+                            : 'ОГРНИП предпринимателя, а ИНН - организации'];
+                    }
+                    return [true, 'Контрольная цифра верна'];
+                }
+            };
+
+            return Object.entries(RequisitesParser.FIELDS)
+                .filter(([field]) => fields[field])
+                .map(([field, spec]) => {
+                    const [valid, message] = checks[field](fields[field]);
+                    return { field, title: spec.title, value: fields[field], valid, message };
+                });
+        }
+
+        /**
+         * Проверка ЕКС, указанного вместо корр. счета: правила казначейских счетов и список ЕКС ТОФК
+         * @param {string} bic - БИК ТОФК
+         * @param {string} value - Номер ЕКС
+         * @param {Object|null} bankData - Данные ТОФК из справочника или null
+         * @returns {Array} - [valid, message]
+         */
+        static checkSingleTreasuryAccount(bic, value, bankData) {
+            const validation = Utils.validateTreasuryAccount(bic, value);
+            if (!validation.valid) {
+                return [false, validation.errors.join('. ')];
+            }
+            if (!bankData) {
+                return [true, 'Единый казначейский счет, контрольный ключ верен'];
+            }
+
+            const accounts = (bankData.treasuryAccounts || []).map(Utils.getCleanAccount);
+            if (accounts.includes(value)) {
+                return [true, 'Совпадает с ЕКС в справочнике'];
+            }
+            return [false, accounts.length > 0
+                ? `В справочнике: ${accounts.join(', ')}`
+                : 'В справочнике у банка нет единого казначейского счета'];
+        }
+
+        /**
+         * Блок реквизитов для вставки в договор или платежное поручение
+         * Наименование банка для платежей и корр. счет берутся из справочника, если банк найден
+         * @param {Object} fields - Реквизиты из extract
+         * @param {Object|null} bankData - Данные банка по БИК (Utils.formatBankData) или null
+         * @returns {string} - Строки "Реквизит: значение"
+         */
+        static format(fields, bankData) {
+            const values = { ...fields };
+
+            if (bankData) {
+                values.bankName = bankData.paymentName || bankData.name;
+                values.bic = bankData.bic;
+                // У ТОФК корр. счета нет - оставляем ЕКС из текста, если он есть в справочнике
+                const treasuryAccounts = (bankData.treasuryAccounts || []).map(Utils.getCleanAccount);
+                values.correspondentAccount = bankData.correspondentAccount
+                    ? Utils.getCleanAccount(bankData.correspondentAccount)
+                    : treasuryAccounts.includes(values.correspondentAccount) ? values.correspondentAccount : '';
+            }
+
+            return Object.entries(RequisitesParser.FIELDS)
+                .filter(([field]) => values[field])
+                .map(([field, spec]) => `${spec.title}: ${values[field]}`)
+                .join('\n');
+        }
+    }
+
+    return RequisitesParser;
+});
@@ -0,0 +1,72 @@
+/**
+ * Панель «Умная вставка»: результат проверки реквизитов, распознанных в тексте
+ * Используется только в браузере; распознавание и проверка - в requisites.js
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./dom.js'));
+    } else {
+        root.SmartPasteView = factory(root.DOMUtils);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (DOMUtils) {
+    class SmartPasteView {
+        /**
+         * Отображение результата: таблица проверки, блок реквизитов и кнопки действий
+         * @param {HTMLElement} container - Элемент для результата
+         * @param {Object} result - { rows, sources, block, bankData }: проверка RequisitesParser.check,
+         *                          способы распознавания, текст RequisitesParser.format и банк по БИК или null
+         * @param {Object} handlers - { onCopy(block), onOpen() } - копирование блока и открытие карточки банка
+         */
+        static render(container, result, handlers = {}) {
+            container.innerHTML = '';
+            container.appendChild(SmartPasteView.createCheckTable(result.rows, result.sources));
+            container.appendChild(DOMUtils.createElement('pre', 'smart-paste__block', result.block));
+
+            const copy = DOMUtils.createElement('button', 'smart-paste__button smart-paste__button--secondary',
+                'Копировать реквизиты', { type: 'button' });
+            copy.addEventListener('click', () => handlers.onCopy(result.block));
+            container.appendChild(copy);
+
+            if (result.bankData) {
+                const open = DOMUtils.createElement('button', 'smart-paste__button smart-paste__button--secondary',
+                    'Открыть карточку банка', { type: 'button' });
+                open.addEventListener('click', () => handlers.onOpen());
+                container.appendChild(open);
+            }
+        }
+
+        /**
+         * Таблица проверки распознанных реквизитов
+         * @param {Array<Object>} rows - Результат RequisitesParser.check
+         * @param {Object} sources - Способ распознавания реквизитов ('label' или 'pattern')
+         * @returns {HTMLElement} - Таблица
+         */
+        static createCheckTable(rows, sources) {
+            const table = DOMUtils.createElement('table', 'smart-paste__table');
+            const body = DOMUtils.createElement('tbody');
+            const states = { true: 'valid', false: 'invalid', null: 'unchecked' };
+            const marks = { true: '✓', false: '✗', null: '?' };
+
+            rows.forEach(row => {
+                const tr = DOMUtils.createElement('tr', `smart-paste__row smart-paste__row--${states[row.valid]}`);
+                const title = DOMUtils.createElement('th', '', row.title);
+                // Значения без подписи могли быть определены неверно - отмечаем их
+                if (sources[row.field] === 'pattern') {
+                    title.appendChild(DOMUtils.createElement('span', 'smart-paste__source', 'без подписи',
+                        { title: 'Реквизит определен по количеству цифр' }));
+                }
+                tr.appendChild(title);
+                tr.appendChild(DOMUtils.createElement('td', 'smart-paste__value', row.value));
+                tr.appendChild(DOMUtils.createElement('td', 'smart-paste__mark', marks[row.valid]));
+                tr.appendChild(DOMUtils.createElement('td', 'smart-paste__message', row.message));
+                body.appendChild(tr);
+            });
+
+            table.appendChild(body);
+            return table;
+        }
+    }
+
+    return SmartPasteView;
+});
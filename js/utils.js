@@ -1,457 +1,966 @@
 /**
  * Вспомогательные функции для приложения поиска банков
+ * Только чистые функции без обращения к DOM: работают и в браузере, и в Node.js.
+ * Функции для работы с DOM и localStorage - в dom.js
  */
 
-class Utils {
-    /**
-     * Debounce функция для оптимизации запросов
-     * @param {Function} func - Функция для выполнения
-     * @param {number} wait - Задержка в миллисекундах
-     * @returns {Function} - Debounced функция
-     */
-    static debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Utils = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    class Utils {
+        /**
+         * Debounce функция для оптимизации запросов
+         * @param {Function} func - Функция для выполнения
+         * @param {number} wait - Задержка в миллисекундах
+         * @returns {Function} - Debounced функция
+         */
+        static debounce(func, wait) {
+            let timeout;
+            return function executedFunction(...args) {
+                const later = () => {
+                    clearTimeout(timeout);
+                    func(...args);
+                };
                 clearTimeout(timeout);
-                func(...args);
+                timeout = setTimeout(later, wait);
             };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    }
+        }
 
-    /**
-     * Валидация формата БИК
-     * @param {string} bic - БИК для проверки
-     * @returns {boolean} - true если БИК валиден
-     */
-    static validateBIC(bic) {
-        if (!bic || typeof bic !== 'string') {
-            return false;
-        }
-        
-        // БИК должен состоять из 9 цифр
-        const bicRegex = /^\d{9}$/;
-        return bicRegex.test(bic.trim());
-    }
+        /**
+         * Валидация формата БИК
+         * @param {string} bic - БИК для проверки
+         * @returns {boolean} - true если БИК валиден
+         */
+        static validateBIC(bic) {
+            if (!bic || typeof bic !== 'string') {
+                return false;
+            }
 
-    /**
-     * Форматирование БИК для отображения
-     * @param {string} bic - БИК для форматирования
-     * @returns {string} - Отформатированный БИК
-     */
-    static formatBIC(bic) {
-        if (!bic) return '';
-        
-        // Убираем все нецифровые символы
-        const cleanBIC = bic.replace(/\D/g, '');
-        
-        // Возвращаем только первые 9 цифр
-        return cleanBIC.substring(0, 9);
-    }
+            // БИК должен состоять из 9 цифр
+            const bicRegex = /^\d{9}$/;
+            return bicRegex.test(bic.trim());
+        }
+
+        /**
+         * Форматирование БИК для отображения
+         * @param {string} bic - БИК для форматирования
+         * @returns {string} - Отформатированный БИК
+         */
+        static formatBIC(bic) {
+            if (!bic) return '';
+
+            // Убираем все нецифровые символы
+            const cleanBIC = bic.replace(/\D/g, '');
+
+            // Возвращаем только первые 9 цифр
+            return cleanBIC.substring(0, 9);
+        }
+
+        /**
+         * Валидация формата SWIFT кода (8 или 11 символов)
+         * @param {string} swift - SWIFT код для проверки
+         * @returns {boolean} - true если SWIFT валиден
+         */
+        static validateSWIFT(swift) {
+            if (!swift || typeof swift !== 'string') {
+                return false;
+            }
+
+            // 4 буквы банка, 2 буквы страны, 2 символа локации, опционально 3 символа филиала
+            const swiftRegex = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+            return swiftRegex.test(swift.trim().toUpperCase());
+        }
+
+        /**
+         * Валидация формата ИНН (10 цифр для юрлиц, 12 для физлиц)
+         * @param {string} inn - ИНН для проверки
+         * @returns {boolean} - true если ИНН валиден
+         */
+        static validateINN(inn) {
+            if (!inn || typeof inn !== 'string') {
+                return false;
+            }
+
+            return /^(\d{10}|\d{12})$/.test(inn.trim());
+        }
+
+        /**
+         * Проверка контрольных цифр ИНН
+         * @param {string} inn - ИНН (10 или 12 цифр)
+         * @returns {boolean} - true если контрольные цифры верны
+         */
+        static validateINNChecksum(inn) {
+            if (!Utils.validateINN(inn)) {
+                return false;
+            }
+
+            const digits = inn.trim().split('').map(Number);
+            const checkDigit = weights => weights.reduce((sum, weight, i) => sum + weight * digits[i], 0) % 11 % 10;
+
+            if (digits.length === 10) {
+                return checkDigit([2, 4, 10, 3, 5, 9, 4, 6, 8]) === digits[9];
+            }
+
+            return checkDigit([7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === digits[10]
+                && checkDigit([3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === digits[11];
+        }
+
+        /**
+         * Проверка ОГРН (13 цифр) или ОГРНИП (15 цифр) по контрольной цифре
+         * @param {string} ogrn - ОГРН или ОГРНИП
+         * @returns {boolean} - true если номер корректен
+         */
+        static validateOGRN(ogrn) {
+            if (!ogrn || typeof ogrn !== 'string' || !/^(\d{13}|\d{15})$/.test(ogrn.trim())) {
+                return false;
+            }
+
+            const value = ogrn.trim();
+            // Остаток от деления номера без контрольной цифры на 11 (ОГРН) или 13 (ОГРНИП);
+            // BigInt не нужен: делим по частям, как в столбик
+            const divisor = value.length === 13 ? 11 : 13;
+            const remainder = value.slice(0, -1).split('').reduce((rest, digit) => (rest * 10 + Number(digit)) % divisor, 0);
+
+            return remainder % 10 === Number(value.slice(-1));
+        }
+
+        /**
+         * Определение типа идентификатора банка по введенной строке
+         * @param {string} query - Поисковый запрос
+         * @returns {string|null} - 'bic', 'inn', 'swift' или null для произвольного текста
+         */
+        static detectIdentifierType(query) {
+            if (!query || typeof query !== 'string') {
+                return null;
+            }
+
+            const value = query.trim();
+
+            if (this.validateBIC(value)) {
+                return 'bic';
+            }
+
+            if (this.validateINN(value)) {
+                return 'inn';
+            }
+
+            // SWIFT определяем только по латинице в верхнем регистре,
+            // чтобы не спутать с названием банка из 8 букв
+            if (value === value.toUpperCase() && this.validateSWIFT(value)) {
+                return 'swift';
+            }
 
-    /**
-     * Форматирование данных банка для отображения
-     * @param {Object} bank - Данные банка от API
-     * @returns {Object} - Отформатированные данные
-     */
-    static formatBankData(bank) {
-        if (!bank || !bank.data) {
             return null;
         }
 
-        const data = bank.data;
-        
-        return {
-            name: data.name?.short || data.name?.full || 'Неизвестно',
-            fullName: data.name?.full || data.name?.short || 'Неизвестно',
-            bic: data.bic || '',
-            swift: data.swift || '',
-            inn: data.inn || '',
-            kpp: data.kpp || '',
-            correspondentAccount: data.correspondent_account || '',
-            address: data.address?.value || '',
-            paymentCity: data.payment_city || '',
-            status: data.state?.status || 'UNKNOWN',
-            registrationNumber: data.registration_number || '',
-            treasuryAccounts: data.treasury_accounts || null,
-            opf: data.opf || {}
-        };
-    }
+        /**
+         * Проверка запроса в выбранном режиме поиска
+         * Незавершенный ввод (например, 5 цифр ИНН) не считается ошибкой
+         * @param {string} query - Поисковый запрос
+         * @param {string} mode - Режим ('auto', 'bic', 'name', 'inn', 'swift', 'address')
+         * @returns {Object} - { valid, complete, error }: complete - введен полный идентификатор
+         */
+        static validateSearchQuery(query, mode = 'auto') {
+            const value = typeof query === 'string' ? query.trim() : '';
+            const result = (error, complete = false) => ({ valid: !error, complete: !error && complete, error });
 
-    /**
-     * Получение текста статуса банка
-     * @param {string} status - Статус банка
-     * @returns {string} - Человекочитаемый статус
-     */
-    static getStatusText(status) {
-        const statusMap = {
-            'ACTIVE': 'Действующий',
-            'LIQUIDATING': 'Ликвидируется',
-            'LIQUIDATED': 'Ликвидирован',
-            'UNKNOWN': 'Неизвестно'
-        };
-        
-        return statusMap[status] || 'Неизвестно';
-    }
+            if (!value) {
+                return result(null);
+            }
 
-    /**
-     * Получение CSS класса для статуса
-     * @param {string} status - Статус банка
-     * @returns {string} - CSS класс
-     */
-    static getStatusClass(status) {
-        const classMap = {
-            'ACTIVE': 'active',
-            'LIQUIDATING': 'liquidated',
-            'LIQUIDATED': 'liquidated',
-            'UNKNOWN': 'unknown'
-        };
-        
-        return classMap[status] || 'unknown';
-    }
+            switch (mode) {
+                case 'bic':
+                    if (!/^\d+$/.test(value)) {
+                        return result('БИК может содержать только цифры');
+                    }
+                    if (value.length > 9) {
+                        return result('БИК должен состоять из 9 цифр');
+                    }
+                    return result(null, this.validateBIC(value));
 
-    /**
-     * Создание DOM элемента
-     * @param {string} tag - Тег элемента
-     * @param {string} className - CSS класс
-     * @param {string} content - Содержимое элемента
-     * @param {Object} attributes - Атрибуты элемента
-     * @returns {HTMLElement} - Созданный элемент
-     */
-    static createElement(tag, className = '', content = '', attributes = {}) {
-        const element = document.createElement(tag);
-        
-        if (className) {
-            element.className = className;
-        }
-        
-        if (content) {
-            element.textContent = content;
-        }
-        
-        Object.keys(attributes).forEach(key => {
-            element.setAttribute(key, attributes[key]);
-        });
-        
-        return element;
-    }
+                case 'inn':
+                    if (!/^\d+$/.test(value)) {
+                        return result('ИНН может содержать только цифры');
+                    }
+                    if (value.length > 12) {
+                        return result('ИНН должен состоять из 10 или 12 цифр');
+                    }
+                    return result(null, this.validateINN(value));
 
-    /**
-     * Создание SVG иконки
-     * @param {string} iconName - Название иконки
-     * @param {number} size - Размер иконки
-     * @returns {string} - SVG код иконки
-     */
-    static createSVGIcon(iconName, size = 24) {
-        const icons = {
-            search: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <circle cx="11" cy="11" r="8"></circle>
-                <path d="m21 21-4.35-4.35"></path>
-            </svg>`,
-            bank: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
-                <line x1="16" y1="2" x2="16" y2="6"></line>
-                <line x1="8" y1="2" x2="8" y2="6"></line>
-                <line x1="3" y1="10" x2="21" y2="10"></line>
-            </svg>`,
-            check: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <polyline points="20,6 9,17 4,12"></polyline>
-            </svg>`,
-            error: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <circle cx="12" cy="12" r="10"></circle>
-                <line x1="15" y1="9" x2="9" y1="15"></line>
-                <line x1="9" y1="9" x2="15" y1="15"></line>
-            </svg>`
-        };
-        
-        return icons[iconName] || icons.error;
-    }
+                case 'swift':
+                    if (!/^[A-Za-z0-9]+$/.test(value)) {
+                        return result('SWIFT-код может содержать только латинские буквы и цифры');
+                    }
+                    if (/\d/.test(value.slice(0, 6))) {
+                        return result('Первые 6 символов SWIFT-кода - латинские буквы');
+                    }
+                    if (value.length > 11) {
+                        return result('SWIFT-код должен состоять из 8 или 11 символов');
+                    }
+                    return result(null, this.validateSWIFT(value.toUpperCase()));
 
-    /**
-     * Получение первых букв названия банка для иконки
-     * @param {string} name - Название банка
-     * @returns {string} - Первые буквы
-     */
-    static getBankInitials(name) {
-        if (!name) return 'Б';
-        
-        const words = name.split(' ').filter(word => word.length > 0);
-        
-        if (words.length === 1) {
-            return words[0].substring(0, 2).toUpperCase();
-        }
-        
-        return words.slice(0, 2).map(word => word[0]).join('').toUpperCase();
-    }
+                case 'name':
+                    if (!/\p{L}/u.test(value)) {
+                        return result('Название банка должно содержать буквы');
+                    }
+                    return result(null, true);
 
-    /**
-     * Форматирование номера счета
-     * @param {string} account - Номер счета
-     * @returns {string} - Отформатированный номер
-     */
-    static formatAccount(account) {
-        if (!account) return '';
-        
-        // Убираем все нецифровые символы
-        const cleanAccount = account.replace(/\D/g, '');
-        
-        // Форматируем по 4 цифры с пробелами
-        return cleanAccount.replace(/(\d{4})(?=\d)/g, '$1 ');
-    }
+                default:
+                    return result(null, true);
+            }
+        }
 
-    /**
-     * Получение чистого номера счета без форматирования
-     * @param {string} account - Номер счета
-     * @returns {string} - Чистый номер счета
-     */
-    static getCleanAccount(account) {
-        if (!account) return '';
-        return account.replace(/\D/g, '');
-    }
+        /**
+         * Форматирование данных банка для отображения
+         * @param {Object} bank - Данные банка от API
+         * @returns {Object} - Отформатированные данные
+         */
+        static formatBankData(bank) {
+            if (!bank || !bank.data) {
+                return null;
+            }
 
-    /**
-     * Форматирование ИНН
-     * @param {string} inn - ИНН
-     * @returns {string} - Отформатированный ИНН
-     */
-    static formatINN(inn) {
-        if (!inn) return '';
-        
-        const cleanINN = inn.replace(/\D/g, '');
-        
-        if (cleanINN.length === 10) {
-            return cleanINN.replace(/(\d{2})(\d{2})(\d{2})(\d{4})/, '$1 $2 $3 $4');
-        } else if (cleanINN.length === 12) {
-            return cleanINN.replace(/(\d{2})(\d{2})(\d{2})(\d{3})(\d{3})/, '$1 $2 $3 $4 $5');
-        }
-        
-        return cleanINN;
-    }
+            const data = bank.data;
 
-    /**
-     * Получение чистого ИНН без форматирования
-     * @param {string} inn - ИНН
-     * @returns {string} - Чистый ИНН
-     */
-    static getCleanINN(inn) {
-        if (!inn) return '';
-        return inn.replace(/\D/g, '');
-    }
+            return {
+                name: data.name?.short || data.name?.full || 'Неизвестно',
+                fullName: data.name?.full || data.name?.short || 'Неизвестно',
+                // Наименование для платежных поручений (поле "Банк получателя")
+                paymentName: data.name?.payment || '',
+                bic: data.bic || '',
+                swift: data.swift || '',
+                inn: data.inn || '',
+                kpp: data.kpp || '',
+                okpo: data.okpo || '',
+                correspondentAccount: data.correspondent_account || '',
+                address: data.address?.value || '',
+                addressParts: Utils.getAddressParts(data.address),
+                region: data.address?.data?.region_with_type || '',
+                regionKladrId: data.address?.data?.region_kladr_id || '',
+                paymentCity: data.payment_city || '',
+                phones: (data.phones || []).map(phone => (typeof phone === 'string' ? phone : phone?.value)).filter(Boolean),
+                status: data.state?.status || 'UNKNOWN',
+                registrationDate: data.state?.registration_date || null,
+                liquidationDate: data.state?.liquidation_date || null,
+                actualityDate: data.state?.actuality_date || null,
+                registrationNumber: data.registration_number || '',
+                treasuryAccounts: data.treasury_accounts || null,
+                // Вышестоящие РКЦ и подразделение Банка России - в том же формате
+                rkc: Utils.formatBankData(data.rkc),
+                cbr: Utils.formatBankData(data.cbr),
+                opf: data.opf || {},
+                provider: bank.provider || null
+            };
+        }
 
-    /**
-     * Форматирование КПП
-     * @param {string} kpp - КПП
-     * @returns {string} - Отформатированный КПП
-     */
-    static formatKPP(kpp) {
-        if (!kpp) return '';
-        
-        const cleanKPP = kpp.replace(/\D/g, '');
-        
-        if (cleanKPP.length === 9) {
-            return cleanKPP.replace(/(\d{4})(\d{2})(\d{3})/, '$1 $2 $3');
-        }
-        
-        return cleanKPP;
-    }
+        /**
+         * Части адреса из структурированного адреса DaData
+         * @param {Object} address - Адрес банка ({ value, unrestricted_value, data })
+         * @returns {Object} - { postalCode, country, region, area, city, settlement, street, house, block, flat }:
+         *                     отсутствующие части - пустые строки
+         */
+        static getAddressParts(address) {
+            const data = address?.data || {};
+            const join = (...parts) => parts.filter(Boolean).join(' ');
 
-    /**
-     * Получение чистого КПП без форматирования
-     * @param {string} kpp - КПП
-     * @returns {string} - Чистый КПП
-     */
-    static getCleanKPP(kpp) {
-        if (!kpp) return '';
-        return kpp.replace(/\D/g, '');
-    }
+            return {
+                postalCode: data.postal_code || '',
+                country: data.country || '',
+                region: data.region_with_type || '',
+                area: data.area_with_type || '',
+                city: data.city_with_type || '',
+                settlement: data.settlement_with_type || '',
+                street: data.street_with_type || '',
+                house: data.house ? join(data.house_type, data.house) : '',
+                block: data.block ? join(data.block_type, data.block) : '',
+                flat: data.flat ? join(data.flat_type, data.flat) : ''
+            };
+        }
+
+        /**
+         * Получение текста статуса банка
+         * @param {string} status - Статус банка
+         * @returns {string} - Человекочитаемый статус
+         */
+        static getStatusText(status) {
+            const statusMap = {
+                'ACTIVE': 'Действующий',
+                'LIQUIDATING': 'Ликвидируется',
+                'LIQUIDATED': 'Ликвидирован',
+                'UNKNOWN': 'Неизвестно'
+            };
 
-    /**
-     * Проверка поддержки localStorage
-     * @returns {boolean} - true если localStorage поддерживается
-     */
-    static isLocalStorageSupported() {
-        try {
-            const test = 'test';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (e) {
-            return false;
+            return statusMap[status] || 'Неизвестно';
         }
-    }
 
-    /**
-     * Сохранение данных в localStorage
-     * @param {string} key - Ключ
-     * @param {any} data - Данные для сохранения
-     * @returns {boolean} - true если сохранение успешно
-     */
-    static saveToStorage(key, data) {
-        if (!this.isLocalStorageSupported()) {
-            return false;
-        }
-        
-        try {
-            localStorage.setItem(key, JSON.stringify(data));
-            return true;
-        } catch (e) {
-            console.warn('Failed to save to localStorage:', e);
-            return false;
+        /**
+         * Получение CSS класса для статуса
+         * @param {string} status - Статус банка
+         * @returns {string} - CSS класс
+         */
+        static getStatusClass(status) {
+            const classMap = {
+                'ACTIVE': 'active',
+                'LIQUIDATING': 'liquidated',
+                'LIQUIDATED': 'liquidated',
+                'UNKNOWN': 'unknown'
+            };
+
+            return classMap[status] || 'unknown';
         }
-    }
 
-    /**
-     * Загрузка данных из localStorage
-     * @param {string} key - Ключ
-     * @param {any} defaultValue - Значение по умолчанию
-     * @returns {any} - Загруженные данные или значение по умолчанию
-     */
-    static loadFromStorage(key, defaultValue = null) {
-        if (!this.isLocalStorageSupported()) {
-            return defaultValue;
-        }
-        
-        try {
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : defaultValue;
-        } catch (e) {
-            console.warn('Failed to load from localStorage:', e);
-            return defaultValue;
+        /**
+         * Получение текста типа кредитной организации
+         * @param {string} type - Тип организации (opf.type в ответе DaData)
+         * @returns {string} - Человекочитаемый тип
+         */
+        static getBankTypeText(type) {
+            const typeMap = {
+                'BANK': 'Банк',
+                'BANK_BRANCH': 'Филиал банка',
+                'NKO': 'НКО',
+                'NKO_BRANCH': 'Филиал НКО',
+                'RKC': 'РКЦ',
+                'CBR': 'Банк России',
+                'TREASURY': 'Казначейство',
+                'OTHER': 'Другое'
+            };
+
+            return typeMap[type] || 'Другое';
         }
-    }
 
-    /**
-     * Очистка данных из localStorage
-     * @param {string} key - Ключ
-     * @returns {boolean} - true если очистка успешна
-     */
-    static clearFromStorage(key) {
-        if (!this.isLocalStorageSupported()) {
-            return false;
-        }
-        
-        try {
-            localStorage.removeItem(key);
-            return true;
-        } catch (e) {
-            console.warn('Failed to clear from localStorage:', e);
-            return false;
+        /**
+         * Разбор кодов регионов для ограничения поиска (параметр locations)
+         * Цифровой код - КЛАДР (достаточно первых цифр, например 77), UUID - ФИАС
+         * @param {string} value - Коды через запятую или пробел
+         * @returns {Object} - { locations, invalid }
+         */
+        static parseRegionCodes(value) {
+            const locations = [];
+            const invalid = [];
+
+            String(value || '').split(/[\s,;]+/).filter(Boolean).forEach(code => {
+                if (/^\d{2,19}$/.test(code)) {
+                    locations.push({ kladr_id: code });
+                } else if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(code)) {
+                    locations.push({ fias_id: code.toLowerCase() });
+                } else {
+                    invalid.push(code);
+                }
+            });
+
+            return { locations, invalid };
         }
-    }
 
-    /**
-     * Добавление CSS класса с анимацией
-     * @param {HTMLElement} element - Элемент
-     * @param {string} className - CSS класс
-     * @param {number} duration - Длительность анимации в мс
-     */
-    static addClassWithAnimation(element, className, duration = 300) {
-        if (!element) return;
-        
-        element.classList.add(className);
-        
-        setTimeout(() => {
-            element.classList.remove(className);
-        }, duration);
-    }
+        /**
+         * Код региона (первые 2 цифры кода КЛАДР)
+         * @param {string} kladrId - Код КЛАДР региона, города или адреса
+         * @returns {string} - Код региона или пустая строка
+         */
+        static getRegionCode(kladrId) {
+            const match = /^(\d{2})\d*$/.exec(String(kladrId || '').trim());
+            return match ? match[1] : '';
+        }
 
-    /**
-     * Показать элемент с анимацией
-     * @param {HTMLElement} element - Элемент
-     * @param {string} animationClass - CSS класс анимации
-     */
-    static showElement(element, animationClass = 'fade-in') {
-        if (!element) return;
-        
-        element.style.display = 'block';
-        element.classList.add(animationClass);
-        
-        setTimeout(() => {
-            element.classList.remove(animationClass);
-        }, 300);
-    }
+        /**
+         * Определение предпочтительного региона по недавно выбранным банкам
+         * Побеждает самый частый регион, при равенстве - выбранный последним
+         * @param {Array<Object>} history - История выбора (Utils.formatBankData), новые записи первыми
+         * @param {number} limit - Сколько последних записей учитывать
+         * @returns {Object|null} - { code, name } или null, если регион неизвестен
+         */
+        static inferPreferredRegion(history, limit = 10) {
+            const regions = new Map();
 
-    /**
-     * Скрыть элемент с анимацией
-     * @param {HTMLElement} element - Элемент
-     * @param {string} animationClass - CSS класс анимации
-     */
-    static hideElement(element, animationClass = 'fade-out') {
-        if (!element) return;
-        
-        element.classList.add(animationClass);
-        
-        setTimeout(() => {
-            element.style.display = 'none';
-            element.classList.remove(animationClass);
-        }, 300);
-    }
+            (history || []).slice(0, limit).forEach((entry, index) => {
+                const code = this.getRegionCode(entry && entry.regionKladrId);
+                if (!code) {
+                    return;
+                }
+
+                const region = regions.get(code) || { code, name: entry.region || '', count: 0, index };
+                region.count++;
+                regions.set(code, region);
+            });
 
-    /**
-     * Копирование текста в буфер обмена
-     * @param {string} text - Текст для копирования
-     * @returns {Promise<boolean>} - true если копирование успешно
-     */
-    static async copyToClipboard(text) {
-        try {
-            if (navigator.clipboard && window.isSecureContext) {
-                await navigator.clipboard.writeText(text);
-                return true;
-            } else {
-                // Fallback для старых браузеров
-                const textArea = document.createElement('textarea');
-                textArea.value = text;
-                textArea.style.position = 'fixed';
-                textArea.style.left = '-999999px';
-                textArea.style.top = '-999999px';
-                document.body.appendChild(textArea);
-                textArea.focus();
-                textArea.select();
-                
-                const success = document.execCommand('copy');
-                document.body.removeChild(textArea);
-                return success;
-            }
-        } catch (e) {
-            console.warn('Failed to copy to clipboard:', e);
-            return false;
+            const [best] = [...regions.values()].sort((a, b) => b.count - a.count || a.index - b.index);
+            return best ? { code: best.code, name: best.name } : null;
         }
-    }
 
-    /**
-     * Генерация уникального ID
-     * @returns {string} - Уникальный ID
-     */
-    static generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
-    }
+        /**
+         * Получение первых букв названия банка для иконки
+         * @param {string} name - Название банка
+         * @returns {string} - Первые буквы
+         */
+        static getBankInitials(name) {
+            if (!name) return 'Б';
 
-    /**
-     * Проверка на мобильное устройство
-     * @returns {boolean} - true если мобильное устройство
-     */
-    static isMobile() {
-        return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    }
+            const words = name.split(' ').filter(word => word.length > 0);
+
+            if (words.length === 1) {
+                return words[0].substring(0, 2).toUpperCase();
+            }
+
+            return words.slice(0, 2).map(word => word[0]).join('').toUpperCase();
+        }
+
+        /**
+         * Приведение названия банка к виду для сравнения:
+         * верхний регистр, Ё как Е, без кавычек и знаков препинания
+         * @param {string} name - Название банка
+         * @returns {string} - Нормализованное название
+         */
+        static normalizeBankName(name) {
+            return String(name || '')
+                .toUpperCase()
+                .replace(/Ё/g, 'Е')
+                .replace(/[«»"'`.,()]/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+        }
+
+        /**
+         * Форматирование номера счета
+         * @param {string} account - Номер счета
+         * @returns {string} - Отформатированный номер
+         */
+        static formatAccount(account) {
+            if (!account) return '';
+
+            // Убираем все нецифровые символы
+            const cleanAccount = account.replace(/\D/g, '');
+
+            // Форматируем по 4 цифры с пробелами
+            return cleanAccount.replace(/(\d{4})(?=\d)/g, '$1 ');
+        }
+
+        /**
+         * Получение чистого номера счета без форматирования
+         * @param {string} account - Номер счета
+         * @returns {string} - Чистый номер счета
+         */
+        static getCleanAccount(account) {
+            if (!account) return '';
+            return account.replace(/\D/g, '');
+        }
+
+        /**
+         * Проверка, принадлежит ли БИК подразделению Банка России (РКЦ)
+         * У кредитных организаций последние три цифры БИК - от 050 до 999,
+         * значения 000-049 зарезервированы за подразделениями Банка России
+         * @param {string} bic - БИК
+         * @returns {boolean} - true если БИК принадлежит РКЦ
+         */
+        static isSettlementCentreBIC(bic) {
+            return Utils.validateBIC(bic) && Number(bic.trim().slice(-3)) < 50;
+        }
+
+        /**
+         * Расчет контрольного ключа счета по алгоритму Банка России
+         * К 20 цифрам счета слева приписываются 3 цифры, зависящие от БИК; ключ - 9-я цифра счета
+         * @param {string} prefix - Три цифры, приписываемые к счету
+         * @param {string} account - 20 цифр счета
+         * @returns {string} - Ожидаемая цифра ключа
+         */
+        static calculateAccountControlKey(prefix, account) {
+            const weights = [7, 1, 3];
+            const digits = `${prefix}${account.slice(0, 8)}0${account.slice(9)}`;
+
+            const sum = digits.split('').reduce((total, digit, index) => {
+                return total + (Number(digit) * weights[index % 3]) % 10;
+            }, 0);
+
+            // Вес разряда ключа равен 3, а 3 * 7 = 21: умножение на 7 обращает вес по модулю 10
+            return String(((10 - sum % 10) % 10) * 7 % 10);
+        }
+
+        /**
+         * Проверка номера счета по БИК банка (контрольный ключ)
+         * Для счетов клиентов используются последние три цифры БИК. Для счетов в РКЦ
+         * (корреспондентских счетов 30101 и счетов в подразделениях Банка России) -
+         * "0" и 5-6 цифры БИК (условный номер РКЦ)
+         * @param {string} bic - БИК банка
+         * @param {string} account - Номер счета (допускаются пробелы и дефисы)
+         * @returns {Object} - { valid, errors, account, controlKey, expectedKey, method }
+         */
+        static validateAccount(bic, account) {
+            const result = {
+                valid: false,
+                errors: [],
+                account: '',
+                controlKey: null,
+                expectedKey: null,
+                method: null
+            };
+
+            if (!Utils.validateBIC(bic)) {
+                result.errors.push('БИК должен состоять из 9 цифр');
+            }
+
+            if (!account || typeof account !== 'string' || !account.trim()) {
+                result.errors.push('Номер счета не указан');
+                return result;
+            }
+
+            if (/[^\d\s-]/.test(account)) {
+                result.errors.push('Номер счета может содержать только цифры');
+            }
+
+            result.account = Utils.getCleanAccount(account);
+
+            if (result.account.length !== 20) {
+                result.errors.push(`Номер счета должен состоять из 20 цифр, указано ${result.account.length}`);
+            }
+
+            if (result.errors.length > 0) {
+                return result;
+            }
+
+            const cleanBIC = bic.trim();
+            const atSettlementCentre = result.account.startsWith('30101') || Utils.isSettlementCentreBIC(cleanBIC);
+            const prefix = atSettlementCentre ? `0${cleanBIC.slice(4, 6)}` : cleanBIC.slice(-3);
+
+            result.method = atSettlementCentre ? 'rkc' : 'bic';
+            result.controlKey = result.account[8];
+            result.expectedKey = Utils.calculateAccountControlKey(prefix, result.account);
+
+            if (result.controlKey !== result.expectedKey) {
+                result.errors.push(`Неверный контрольный ключ: ${result.controlKey}, ожидается ${result.expectedKey}`);
+            }
+
+            result.valid = result.errors.length === 0;
+            return result;
+        }
+
+        /**
+         * Проверка корреспондентского счета банка
+         * Корр. счет открывается в РКЦ: начинается с 30101, заканчивается тремя
+         * последними цифрами БИК и имеет верный контрольный ключ
+         * @param {string} bic - БИК банка
+         * @param {string} account - Корреспондентский счет
+         * @returns {Object} - { valid, checks: [{ id, passed, message }] }
+         */
+        static checkCorrespondentAccount(bic, account) {
+            const validation = Utils.validateAccount(bic, account);
+
+            if (validation.expectedKey === null) {
+                return {
+                    valid: false,
+                    checks: [{ id: 'format', passed: false, message: validation.errors.join('. ') }]
+                };
+            }
+
+            const cleanBIC = bic.trim();
+            const clean = validation.account;
+            // Корр. счет всегда открыт в РКЦ, даже если в нем ошибочно указан другой счет второго порядка
+            const expectedKey = Utils.calculateAccountControlKey(`0${cleanBIC.slice(4, 6)}`, clean);
+            const checks = [
+                {
+                    id: 'prefix',
+                    passed: clean.startsWith('30101'),
+                    message: clean.startsWith('30101')
+                        ? 'Счет второго порядка 30101'
+                        : `Корр. счет должен начинаться с 30101, указано ${clean.slice(0, 5)}`
+                },
+                {
+                    id: 'suffix',
+                    passed: clean.slice(-3) === cleanBIC.slice(-3),
+                    message: clean.slice(-3) === cleanBIC.slice(-3)
+                        ? 'Последние три цифры совпадают с БИК'
+                        : `Последние три цифры счета (${clean.slice(-3)}) не совпадают с БИК (${cleanBIC.slice(-3)})`
+                },
+                {
+                    id: 'control_key',
+                    passed: validation.controlKey === expectedKey,
+                    message: validation.controlKey === expectedKey
+                        ? 'Контрольный ключ верен'
+                        : `Неверный контрольный ключ: ${validation.controlKey}, ожидается ${expectedKey}`
+                }
+            ];
+
+            return {
+                valid: checks.every(check => check.passed),
+                checks: checks
+            };
+        }
+
+        /**
+         * Вид казначейского счета по номеру
+         * Единый казначейский счет (ЕКС, 40102) открыт ТОФК в Банке России и указывается
+         * как счет банка получателя; казначейский счет (КС, 03) открыт в ТОФК и указывается
+         * как счет получателя
+         * @param {string} account - Номер счета
+         * @returns {string|null} - 'single' (ЕКС), 'treasury' (КС) или null
+         */
+        static getTreasuryAccountType(account) {
+            const clean = Utils.getCleanAccount(account);
+
+            if (clean.length !== 20) {
+                return null;
+            }
+
+            if (clean.startsWith('40102')) {
+                return 'single';
+            }
+
+            return clean.startsWith('03') ? 'treasury' : null;
+        }
+
+        /**
+         * Проверка казначейского счета по БИК ТОФК
+         * ЕКС - счет в Банке России, его ключ считается как для счетов в РКЦ ("0" и 5-6 цифры БИК).
+         * Ключ КС по БИК ТОФК не вычисляется: номера КС назначает Казначейство, и правило для счетов
+         * клиентов к ним не подходит. Код валюты (6-8 цифры): 810 в ЕКС, 643 в КС
+         * @param {string} bic - БИК ТОФК
+         * @param {string} account - Номер счета
+         * @returns {Object} - { valid, errors, account, type }
+         */
+        static validateTreasuryAccount(bic, account) {
+            const validation = Utils.validateAccount(bic, account);
+            const result = {
+                valid: false,
+                errors: validation.errors.filter(message => !message.startsWith('Неверный контрольный ключ')),
+                account: validation.account,
+                type: Utils.getTreasuryAccountType(validation.account)
+            };
+
+            if (result.errors.length > 0) {
+                return result;
+            }
+
+            if (!result.type) {
+                result.errors.push('Казначейский счет должен начинаться с 03, единый казначейский счет - с 40102');
+                return result;
+            }
+
+            const single = result.type === 'single';
+            const currency = single ? '810' : '643';
+            if (result.account.slice(5, 8) !== currency) {
+                result.errors.push(`Код валюты в номере счета должен быть ${currency}, указано ${result.account.slice(5, 8)}`);
+            }
+
+            if (single) {
+                const expectedKey = Utils.calculateAccountControlKey(`0${bic.trim().slice(4, 6)}`, result.account);
+                if (result.account[8] !== expectedKey) {
+                    result.errors.push(`Неверный контрольный ключ: ${result.account[8]}, ожидается ${expectedKey}`);
+                }
+            }
+
+            result.valid = result.errors.length === 0;
+            return result;
+        }
+
+        /**
+         * Форматирование ИНН
+         * @param {string} inn - ИНН
+         * @returns {string} - Отформатированный ИНН
+         */
+        static formatINN(inn) {
+            if (!inn) return '';
+
+            const cleanINN = inn.replace(/\D/g, '');
+
+            if (cleanINN.length === 10) {
+                return cleanINN.replace(/(\d{2})(\d{2})(\d{2})(\d{4})/, '$1 $2 $3 $4');
+            } else if (cleanINN.length === 12) {
+                return cleanINN.replace(/(\d{2})(\d{2})(\d{2})(\d{3})(\d{3})/, '$1 $2 $3 $4 $5');
+            }
+
+            return cleanINN;
+        }
+
+        /**
+         * Получение чистого ИНН без форматирования
+         * @param {string} inn - ИНН
+         * @returns {string} - Чистый ИНН
+         */
+        static getCleanINN(inn) {
+            if (!inn) return '';
+            return inn.replace(/\D/g, '');
+        }
+
+        /**
+         * Форматирование КПП
+         * @param {string} kpp - КПП
+         * @returns {string} - Отформатированный КПП
+         */
+        static formatKPP(kpp) {
+            if (!kpp) return '';
+
+            const cleanKPP = kpp.replace(/\D/g, '');
+
+            if (cleanKPP.length === 9) {
+                return cleanKPP.replace(/(\d{4})(\d{2})(\d{3})/, '$1 $2 $3');
+            }
+
+            return cleanKPP;
+        }
+
+        /**
+         * Получение чистого КПП без форматирования
+         * @param {string} kpp - КПП
+         * @returns {string} - Чистый КПП
+         */
+        static getCleanKPP(kpp) {
+            if (!kpp) return '';
+            return kpp.replace(/\D/g, '');
+        }
+
+        /**
+         * Форматирование даты без времени
+         * @param {number|string|Date} value - Метка времени (мс), строка даты или Date
+         * @param {string} locale - Локаль (по умолчанию - локаль пользователя)
+         * @returns {string} - Дата или пустая строка для некорректного значения
+         */
+        static formatDate(value, locale = undefined) {
+            const date = value instanceof Date ? value : new Date(value);
+            if (value === null || value === undefined || value === '' || isNaN(date.getTime())) {
+                return '';
+            }
+
+            return date.toLocaleDateString(locale, { day: '2-digit', month: '2-digit', year: 'numeric' });
+        }
+
+        /**
+         * Форматирование даты и времени
+         * @param {number|string|Date} value - Метка времени (мс), строка даты или Date
+         * @param {string} locale - Локаль (по умолчанию - локаль пользователя)
+         * @returns {string} - Дата и время или пустая строка для некорректного значения
+         */
+        static formatDateTime(value, locale = undefined) {
+            const date = value instanceof Date ? value : new Date(value);
+            if (value === null || value === undefined || value === '' || isNaN(date.getTime())) {
+                return '';
+            }
+
+            return date.toLocaleString(locale, {
+                day: '2-digit',
+                month: '2-digit',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+
+        /**
+         * Реквизиты банка для выгрузки: CSV, печатная карточка, vCard
+         * Значения без форматирования, статус - текстом
+         * @param {Object} bankData - Данные банка (Utils.formatBankData)
+         * @returns {Array<Object>} - [{ key, label, value }]
+         */
+        static getBankRequisites(bankData) {
+            const fields = [
+                ['name', 'Наименование'],
+                ['fullName', 'Полное наименование'],
+                ['bic', 'БИК'],
+                ['correspondentAccount', 'Корр. счет'],
+                ['treasuryAccounts', 'Казначейские счета'],
+                ['inn', 'ИНН'],
+                ['kpp', 'КПП'],
+                ['swift', 'SWIFT'],
+                ['paymentName', 'Наименование для платежей'],
+                ['okpo', 'ОКПО'],
+                ['registrationNumber', 'Рег. номер'],
+                ['paymentCity', 'Город'],
+                ['address', 'Адрес'],
+                ['phones', 'Телефоны'],
+                ['status', 'Статус']
+            ];
+
+            const getValue = key => {
+                if (key === 'status') {
+                    return Utils.getStatusText(bankData[key]);
+                }
+                return Array.isArray(bankData[key]) ? bankData[key].join(', ') : String(bankData[key] || '');
+            };
+
+            return fields.map(([key, label]) => ({ key, label, value: getValue(key) }));
+        }
+
+        /**
+         * Экранирование значения для CSV
+         * Значения, которые Excel принял бы за формулу (=, +, -, @ в начале),
+         * предваряются апострофом: он не отображается в ячейке
+         * @param {string} value - Значение
+         * @returns {string} - Экранированное значение
+         */
+        static escapeCSV(value) {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (/^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+
+        /**
+         * Экранирование текста для вставки в HTML
+         * @param {string} value - Текст
+         * @returns {string} - Экранированный текст
+         */
+        static escapeHTML(value) {
+            const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+            return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, char => entities[char]);
+        }
+
+        /**
+         * Выгрузка банка в JSON
+         * @param {Object} bankData - Данные банка (Utils.formatBankData)
+         * @param {Object|null} raw - Исходная подсказка источника данных, если она есть
+         * @returns {string} - JSON { formatted, raw }
+         */
+        static bankToJSON(bankData, raw = null) {
+            return JSON.stringify({ formatted: bankData, raw: raw || null }, null, 2);
+        }
+
+        /**
+         * Выгрузка банка строкой CSV (разделитель ";", как в пакетной проверке)
+         * @param {Object} bankData - Данные банка (Utils.formatBankData)
+         * @param {Object} options - Параметры
+         * @param {boolean} options.header - Добавить строку заголовков
+         * @returns {string} - CSV
+         */
+        static bankToCSV(bankData, options = {}) {
+            const requisites = Utils.getBankRequisites(bankData);
+            const lines = [requisites.map(item => item.value)];
+
+            if (options.header !== false) {
+                lines.unshift(requisites.map(item => item.label));
+            }
+
+            return lines
+                .map(cells => cells.map(cell => Utils.escapeCSV(cell)).join(';'))
+                .join('\r\n');
+        }
+
+        /**
+         * Выгрузка банка в vCard 3.0 (RFC 2426): название, адрес и реквизиты в заметке
+         * @param {Object} bankData - Данные банка (Utils.formatBankData)
+         * @returns {string} - Содержимое .vcf файла
+         */
+        static bankToVCard(bankData) {
+            const escape = value => String(value || '')
+                .replace(/\\/g, '\\\\')
+                .replace(/\r?\n/g, '\\n')
+                .replace(/([,;])/g, '\\$1');
+
+            const note = Utils.getBankRequisites(bankData)
+                .filter(item => ['bic', 'correspondentAccount', 'inn', 'kpp', 'swift'].includes(item.key) && item.value)
+                .map(item => `${item.label}: ${item.value}`)
+                .join('\n');
+
+            const lines = [
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                `FN:${escape(bankData.name)}`,
+                `ORG:${escape(bankData.fullName || bankData.name)}`
+            ];
+
+            if (bankData.address) {
+                const parts = bankData.addressParts || {};
+                const locality = parts.city || parts.settlement;
+                // ADR: а/я; доп. адрес; улица и дом; населенный пункт; регион; индекс; страна
+                const adr = locality
+                    ? ['', '', [parts.street, parts.house, parts.block, parts.flat].filter(Boolean).join(', '), locality,
+                        parts.region !== locality ? parts.region : '', parts.postalCode, parts.country || 'Россия']
+                    // В сохраненных ранее карточках частей адреса нет - передаем адрес целиком улицей
+                    : ['', '', bankData.address, bankData.paymentCity, '', '', 'Россия'];
+
+                lines.push(`ADR;TYPE=WORK:${adr.map(escape).join(';')}`);
+                lines.push(`LABEL;TYPE=WORK:${escape(bankData.address)}`);
+            }
+
+            lines.push(`NOTE:${escape(note)}`);
+            lines.push('END:VCARD');
+
+            return lines.map(line => Utils.foldVCardLine(line)).join('\r\n') + '\r\n';
+        }
+
+        /**
+         * Перенос строки vCard длиннее 75 байт (UTF-8): продолжение начинается с пробела
+         * @param {string} line - Строка vCard
+         * @returns {string} - Строка с переносами
+         */
+        static foldVCardLine(line) {
+            const parts = [];
+            let current = '';
+            let bytes = 0;
+
+            for (const char of line) {
+                const code = char.codePointAt(0);
+                const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+                // У продолжения первый байт занят пробелом
+                const limit = parts.length === 0 ? 75 : 74;
+
+                if (bytes + size > limit) {
+                    parts.push(current);
+                    current = '';
+                    bytes = 0;
+                }
+
+                current += char;
+                bytes += size;
+            }
+            parts.push(current);
+
+            return parts.join('\r\n ');
+        }
+
+        /**
+         * Печатная карточка банка для приложения к договорам
+         * @param {Object} bankData - Данные банка (Utils.formatBankData)
+         * @param {Object} options - Параметры
+         * @param {Date} options.date - Дата формирования карточки
+         * @returns {string} - HTML документ
+         */
+        static bankToPrintHTML(bankData, options = {}) {
+            const date = Utils.formatDateTime(options.date || new Date(), 'ru-RU');
+            const rows = Utils.getBankRequisites(bankData)
+                .filter(item => item.value)
+                .map(item => `<tr><th>${Utils.escapeHTML(item.label)}</th><td>${Utils.escapeHTML(item.value)}</td></tr>`)
+                .join('\n');
+            const source = bankData.provider ? `Источник: ${Utils.escapeHTML(bankData.provider.title)}. ` : '';
+
+            return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="UTF-8">
+<title>Карточка банка ${Utils.escapeHTML(bankData.bic)}</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 12pt; color: #000; margin: 2cm; }
+h1 { font-size: 16pt; margin: 0 0 1em; }
+table { width: 100%; border-collapse: collapse; }
+th, td { border: 1px solid #000; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { width: 35%; font-weight: normal; background: #f3f3f3; }
+td { font-family: 'Courier New', monospace; }
+footer { margin-top: 1em; font-size: 9pt; color: #555; }
+@page { size: A4; margin: 0; }
+@media print { th { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<h1>Карточка банка: ${Utils.escapeHTML(bankData.name)}</h1>
+<table>
+${rows}
+</table>
+<footer>${source}Сформировано ${Utils.escapeHTML(date)}</footer>
+</body>
+</html>
+`;
+        }
+
+        /**
+         * Генерация уникального ID
+         * @returns {string} - Уникальный ID
+         */
+        static generateId() {
+            return Date.now().toString(36) + Math.random().toString(36).substr(2);
+        }
 
-    /**
-     * Получение размера экрана
-     * @returns {Object} - Объект с размерами экрана
-     */
-    static getScreenSize() {
-        return {
-            width: window.innerWidth,
-            height: window.innerHeight,
-            isMobile: this.isMobile(),
-            isTablet: window.innerWidth >= 768 && window.innerWidth < 1024,
-            isDesktop: window.innerWidth >= 1024
-        };
     }
-}
 
-// Экспорт для использования в других модулях
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Utils;
-}
+    return Utils;
+});
@@ -0,0 +1,428 @@
+/**
+ * Локальный прокси-сервер для DaData.ru
+ *
+ * Раздает статические файлы приложения и перенаправляет запросы
+ * /api/suggest/bank и /api/findById/bank в DaData, добавляя заголовок
+ * Authorization на стороне сервера. Токен не попадает в браузер.
+ *
+ * Запуск: DADATA_API_KEY=... node server/proxy.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { DaDataError } = require('../js/errors.js');
+
+const DEFAULT_UPSTREAM_URL = 'https://suggestions.dadata.ru/suggestions/api/4_1/rs';
+
+// Разрешенные маршруты прокси и соответствующие пути DaData
+const PROXY_ROUTES = {
+    '/api/suggest/bank': '/suggest/bank',
+    '/api/findById/bank': '/findById/bank'
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const MAX_BODY_SIZE = 16 * 1024; // 16 КБ достаточно для запроса подсказок
+
+/**
+ * Ограничение частоты запросов по клиентам (фиксированное окно)
+ */
+class RateLimiter {
+    /**
+     * @param {number} limit - Максимум запросов за окно
+     * @param {number} windowMs - Длительность окна в миллисекундах
+     */
+    constructor(limit = 30, windowMs = 60 * 1000) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.clients = new Map();
+    }
+
+    /**
+     * Учет запроса клиента
+     * @param {string} clientId - Идентификатор клиента (IP адрес)
+     * @returns {Object} - { allowed, remaining, retryAfter }
+     */
+    hit(clientId) {
+        const now = Date.now();
+        let entry = this.clients.get(clientId);
+
+        if (!entry || now >= entry.resetAt) {
+            entry = { count: 0, resetAt: now + this.windowMs };
+            this.clients.set(clientId, entry);
+        }
+
+        entry.count++;
+
+        // Периодически удаляем устаревшие записи
+        if (this.clients.size > 1000) {
+            this.prune(now);
+        }
+
+        const allowed = entry.count <= this.limit;
+
+        return {
+            allowed: allowed,
+            remaining: Math.max(this.limit - entry.count, 0),
+            retryAfter: allowed ? 0 : Math.ceil((entry.resetAt - now) / 1000)
+        };
+    }
+
+    /**
+     * Удаление записей с истекшим окном
+     * @param {number} now - Текущее время
+     */
+    prune(now = Date.now()) {
+        for (const [clientId, entry] of this.clients) {
+            if (now >= entry.resetAt) {
+                this.clients.delete(clientId);
+            }
+        }
+    }
+
+    /**
+     * Сброс всех счетчиков
+     */
+    reset() {
+        this.clients.clear();
+    }
+}
+
+/**
+ * Прокси-сервер приложения
+ */
+class ProxyServer {
+    /**
+     * @param {Object} options - Параметры сервера
+     * @param {string} options.apiKey - API ключ DaData
+     * @param {string} options.upstreamURL - Базовый адрес API DaData (для тестов - адрес заглушки)
+     * @param {string} options.rootDir - Каталог со статическими файлами
+     * @param {number} options.rateLimit - Максимум запросов к API с одного клиента за окно
+     * @param {number} options.rateLimitWindow - Окно ограничения в миллисекундах
+     * @param {number} options.timeout - Таймаут запроса к DaData в миллисекундах
+     * @param {boolean} options.trustProxy - Доверять заголовку X-Forwarded-For
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || null;
+        this.upstreamURL = (options.upstreamURL || DEFAULT_UPSTREAM_URL).replace(/\/+$/, '');
+        this.rootDir = path.resolve(options.rootDir || path.join(__dirname, '..'));
+        this.timeout = options.timeout || 10000;
+        this.trustProxy = Boolean(options.trustProxy);
+        this.rateLimiter = new RateLimiter(options.rateLimit || 30, options.rateLimitWindow || 60 * 1000);
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('Proxy request failed:', error);
+                if (!res.headersSent) {
+                    this.sendJSON(res, 500, { message: 'Internal proxy error' });
+                } else {
+                    res.end();
+                }
+            });
+        });
+    }
+
+    /**
+     * Запуск сервера
+     * @param {number} port - Порт (0 - выбрать свободный)
+     * @param {string} host - Адрес для прослушивания
+     * @returns {Promise<Object>} - Адрес запущенного сервера
+     */
+    start(port = 8080, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    /**
+     * Остановка сервера
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise((resolve, reject) => {
+            this.server.close(error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    /**
+     * Обработка входящего запроса
+     * @param {http.IncomingMessage} req - Запрос
+     * @param {http.ServerResponse} res - Ответ
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/config.js') {
+            return this.sendConfig(res);
+        }
+
+        if (url.pathname.startsWith('/api/')) {
+            return this.handleApiRequest(req, res, url.pathname);
+        }
+
+        return this.serveStatic(req, res, url.pathname);
+    }
+
+    /**
+     * Конфигурация для браузера: включает режим прокси в DaDataAPI
+     * @param {http.ServerResponse} res - Ответ
+     */
+    sendConfig(res) {
+        const config = { PROXY_URL: '/api' };
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES['.js'],
+            'Cache-Control': 'no-store'
+        });
+        res.end(`window.APP_CONFIG = Object.assign(window.APP_CONFIG || {}, ${JSON.stringify(config)});\n`);
+    }
+
+    /**
+     * Перенаправление запроса к API DaData
+     * @param {http.IncomingMessage} req - Запрос
+     * @param {http.ServerResponse} res - Ответ
+     * @param {string} pathname - Путь запроса
+     */
+    async handleApiRequest(req, res, pathname) {
+        const upstreamPath = PROXY_ROUTES[pathname];
+
+        if (!upstreamPath) {
+            return this.sendJSON(res, 404, { message: 'Not found' });
+        }
+
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            return this.sendJSON(res, 405, { message: 'Method not allowed' });
+        }
+
+        const limit = this.rateLimiter.hit(this.getClientId(req));
+        res.setHeader('X-RateLimit-Limit', String(this.rateLimiter.limit));
+        res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+
+        if (!limit.allowed) {
+            res.setHeader('Retry-After', String(limit.retryAfter));
+            return this.sendJSON(res, 429, { message: 'Too many requests' });
+        }
+
+        if (!this.apiKey) {
+            return this.sendJSON(res, 503, {
+                code: DaDataError.API_KEY_MISSING,
+                message: 'API key is not configured on the proxy'
+            });
+        }
+
+        let body;
+        try {
+            body = await this.readBody(req);
+            JSON.parse(body);
+        } catch (error) {
+            const status = error.code === 'BODY_TOO_LARGE' ? 413 : 400;
+            return this.sendJSON(res, status, { message: error.message });
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const upstream = await fetch(this.upstreamURL + upstreamPath, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Authorization': `Token ${this.apiKey}`
+                },
+                body: body,
+                signal: controller.signal
+            });
+
+            const responseText = await upstream.text();
+            const headers = {
+                'Content-Type': upstream.headers.get('content-type') || MIME_TYPES['.json'],
+                'Cache-Control': 'no-store'
+            };
+
+            const retryAfter = upstream.headers.get('retry-after');
+            if (retryAfter) {
+                headers['Retry-After'] = retryAfter;
+            }
+
+            res.writeHead(upstream.status, headers);
+            res.end(responseText);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return this.sendJSON(res, 504, { message: 'Upstream timeout' });
+            }
+            console.error('Upstream request failed:', error.message);
+            return this.sendJSON(res, 502, { message: 'Upstream request failed' });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Раздача статических файлов приложения
+     * @param {http.IncomingMessage} req - Запрос
+     * @param {http.ServerResponse} res - Ответ
+     * @param {string} pathname - Путь запроса
+     */
+    async serveStatic(req, res, pathname) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.setHeader('Allow', 'GET, HEAD');
+            return this.sendJSON(res, 405, { message: 'Method not allowed' });
+        }
+
+        let relativePath;
+        try {
+            relativePath = decodeURIComponent(pathname);
+        } catch (error) {
+            return this.sendJSON(res, 400, { message: 'Bad request' });
+        }
+
+        if (relativePath.endsWith('/')) {
+            relativePath += 'index.html';
+        }
+
+        // Скрытые файлы и каталоги (.git, .env) не раздаем
+        if (relativePath.split('/').some(segment => segment.startsWith('.'))) {
+            return this.sendJSON(res, 404, { message: 'Not found' });
+        }
+
+        const filePath = path.resolve(this.rootDir, '.' + relativePath);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            return this.sendJSON(res, 404, { message: 'Not found' });
+        }
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            return this.sendJSON(res, 404, { message: 'Not found' });
+        }
+
+        if (!stats.isFile()) {
+            return this.sendJSON(res, 404, { message: 'Not found' });
+        }
+
+        const headers = {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        };
+
+        if (req.method === 'HEAD') {
+            res.writeHead(200, headers);
+            return res.end();
+        }
+
+        // Заголовки отправляются только после открытия файла: если его удалили
+        // или закрыли к нему доступ после stat, клиент получит код ошибки
+        const stream = fs.createReadStream(filePath);
+        stream.on('open', () => {
+            res.writeHead(200, headers);
+            stream.pipe(res);
+        });
+        stream.on('error', error => {
+            console.error('Failed to read static file:', error.message);
+            if (!res.headersSent) {
+                this.sendJSON(res, error.code === 'ENOENT' ? 404 : 500, { message: 'Failed to read file' });
+            } else {
+                res.destroy(error);
+            }
+        });
+    }
+
+    /**
+     * Чтение тела запроса с ограничением размера
+     * @param {http.IncomingMessage} req - Запрос
+     * @returns {Promise<string>} - Тело запроса
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_SIZE) {
+                    const error = new Error('Request body is too large');
+                    error.code = 'BODY_TOO_LARGE';
+                    req.destroy();
+                    reject(error);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Определение идентификатора клиента для ограничения частоты
+     * @param {http.IncomingMessage} req - Запрос
+     * @returns {string} - Идентификатор клиента
+     */
+    getClientId(req) {
+        if (this.trustProxy) {
+            const forwarded = req.headers['x-forwarded-for'];
+            if (forwarded) {
+                return forwarded.split(',')[0].trim();
+            }
+        }
+
+        return req.socket.remoteAddress || 'unknown';
+    }
+
+    /**
+     * Отправка JSON ответа
+     * @param {http.ServerResponse} res - Ответ
+     * @param {number} status - HTTP статус
+     * @param {Object} data - Данные
+     */
+    sendJSON(res, status, data) {
+        res.writeHead(status, {
+            'Content-Type': MIME_TYPES['.json'],
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(data));
+    }
+}
+
+// Запуск из командной строки
+if (require.main === module) {
+    const proxy = new ProxyServer({
+        apiKey: process.env.DADATA_API_KEY,
+        upstreamURL: process.env.DADATA_UPSTREAM_URL,
+        rateLimit: Number(process.env.RATE_LIMIT) || undefined,
+        rateLimitWindow: Number(process.env.RATE_LIMIT_WINDOW_MS) || undefined,
+        trustProxy: process.env.TRUST_PROXY === '1'
+    });
+
+    if (!proxy.apiKey) {
+        console.warn('DADATA_API_KEY is not set. API requests will be rejected.');
+    }
+
+    const port = Number(process.env.PORT) || 8080;
+    const host = process.env.HOST || '127.0.0.1';
+
+    proxy.start(port, host).then(address => {
+        console.log(`Proxy server listening on http://${address.address}:${address.port}`);
+    }).catch(error => {
+        console.error('Failed to start proxy server:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { ProxyServer, RateLimiter, PROXY_ROUTES };
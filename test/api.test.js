@@ -0,0 +1,295 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DaDataAPI,
+    MemoryCacheStore,
+    AuthError,
+    QuotaError,
+    RateLimitError,
+    ServerError,
+    TimeoutError,
+    CancelError
+} = require('../index.js');
+const { FakeDaDataServer } = require('./helpers/fake-dadata.js');
+
+const TOKEN = 'test-token';
+const quiet = { warn: () => {}, error: () => {} };
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('DaDataAPI', () => {
+    const server = new FakeDaDataServer({ token: TOKEN });
+
+    /**
+     * Клиент, направленный на тестовый сервер, с быстрыми повторами
+     */
+    function createClient(options = {}) {
+        return new DaDataAPI(TOKEN, {
+            apiURL: server.url,
+            timeout: 1000,
+            retry: { retries: 2, baseDelay: 5, maxDelay: 20, jitter: 0 },
+            logger: quiet,
+            ...options
+        });
+    }
+
+    before(() => server.start());
+    after(() => server.stop());
+    beforeEach(() => server.reset());
+
+    describe('requests', () => {
+        it('finds a bank by BIC through findById with the token header', async () => {
+            const api = createClient();
+            const result = await api.findByBIC('044525225');
+
+            assert.equal(result.suggestions.length, 1);
+            assert.equal(result.suggestions[0].data.name.short, 'ПАО Сбербанк');
+            assert.deepEqual(result.provider, { id: 'dadata', title: 'DaData.ru' });
+
+            const [request] = server.requests;
+            assert.equal(request.path, '/findById/bank');
+            assert.equal(request.headers.authorization, `Token ${TOKEN}`);
+            assert.deepEqual(request.body, { query: '044525225', count: 1 });
+        });
+
+        it('finds banks by SWIFT and INN', async () => {
+            const api = createClient();
+
+            assert.equal((await api.findBySWIFT('alfarumm')).suggestions[0].data.bic, '044525593');
+            assert.equal((await api.findByINN('7710140679')).suggestions[0].data.bic, '044525974');
+        });
+
+        it('does not call the server for an invalid BIC', async () => {
+            const api = createClient();
+
+            assert.deepEqual(await api.findByBIC('0445'), { suggestions: [] });
+            assert.equal(server.requests.length, 0);
+        });
+
+        it('searches suggestions with status and type filters', async () => {
+            const api = createClient();
+            const result = await api.searchBank('москва', { status: ['LIQUIDATED'] });
+
+            assert.deepEqual(result.suggestions.map(suggestion => suggestion.data.bic), ['044525101']);
+
+            const [request] = server.requests;
+            assert.equal(request.path, '/suggest/bank');
+            assert.deepEqual(request.body.status, ['LIQUIDATED']);
+            assert.deepEqual(request.body.type, ['BANK']);
+        });
+
+        it('does not send the token in proxy mode', async () => {
+            const api = new DaDataAPI(TOKEN, { proxyURL: server.url, logger: quiet });
+
+            assert.equal(api.apiKey, null);
+            await assert.rejects(api.findByBIC('044525225'), AuthError);
+            assert.equal(server.requests[0].headers.authorization, undefined);
+        });
+    });
+
+    describe('cache', () => {
+        it('serves repeated queries from the cache', async () => {
+            const api = createClient();
+
+            await api.findByBIC('044525225');
+            await api.findByBIC('044525225');
+
+            assert.equal(server.requests.length, 1);
+            assert.equal(api.cacheStats.hits, 1);
+            assert.equal(api.cacheStats.misses, 1);
+        });
+
+        it('returns a stale entry immediately and revalidates it in the background', async () => {
+            const api = createClient({ cache: { freshTTL: 1, staleTTL: 60000 } });
+
+            await api.findByBIC('044525225');
+            await wait(5);
+
+            const result = await api.findByBIC('044525225');
+            assert.equal(result.suggestions[0].data.bic, '044525225');
+            assert.equal(api.cacheStats.staleHits, 1);
+
+            await wait(50);
+            assert.equal(server.countRequests('/findById/bank'), 2);
+            assert.equal(api.cacheStats.revalidations, 1);
+        });
+
+        it('drops entries older than the stale TTL', async () => {
+            const store = new MemoryCacheStore();
+            const api = createClient({ cache: { store, freshTTL: 1, staleTTL: 2 } });
+
+            await api.findByBIC('044525225');
+            await wait(5);
+            await api.findByBIC('044525225');
+
+            assert.equal(server.requests.length, 2);
+            assert.equal(api.cacheStats.misses, 2);
+            assert.equal(await store.size(), 1);
+        });
+
+        it('uses the same cache entry for filters listed in a different order', async () => {
+            const api = createClient();
+
+            await api.searchBank('банк', { status: ['ACTIVE', 'LIQUIDATED'], type: ['BANK', 'NKO'] });
+            await api.searchBank('банк', { type: ['NKO', 'BANK'], status: ['LIQUIDATED', 'ACTIVE'] });
+            await api.searchBank('банк', { status: ['ACTIVE'], type: ['BANK', 'NKO'] });
+
+            assert.equal(server.requests.length, 2);
+        });
+
+        it('bypasses a fresh entry with force and stores the new answer', async () => {
+            const api = createClient();
+
+            await api.findByBIC('044525225');
+            await api.findById('044525225', { count: 1, force: true });
+            await api.findByBIC('044525225');
+
+            assert.equal(server.requests.length, 2);
+            assert.equal(api.cacheStats.hits, 1);
+        });
+
+        it('clearCache forces a new request', async () => {
+            const api = createClient();
+
+            await api.findByBIC('044525225');
+            await api.clearCache();
+            await api.findByBIC('044525225');
+
+            assert.equal(server.requests.length, 2);
+        });
+    });
+
+    describe('request queue', () => {
+        it('shares one request between concurrent identical queries', async () => {
+            const api = createClient();
+            server.setDelay(30);
+
+            const [first, second] = await Promise.all([
+                api.findByBIC('044525225'),
+                api.findByBIC('044525225')
+            ]);
+
+            assert.equal(server.requests.length, 1);
+            assert.deepEqual(first, second);
+            assert.equal(api.requestQueue.size, 0);
+        });
+
+        it('keeps the shared request alive while one subscriber remains', async () => {
+            const api = createClient();
+            const controller = new AbortController();
+            server.setDelay(30);
+
+            const cancelled = api.findByBIC('044525225', { signal: controller.signal });
+            const kept = api.findByBIC('044525225');
+            controller.abort();
+
+            await assert.rejects(cancelled, CancelError);
+            assert.equal((await kept).suggestions.length, 1);
+            assert.equal(server.requests.length, 1);
+        });
+
+        it('rejects with CancelError when the only subscriber aborts', async () => {
+            const api = createClient();
+            const controller = new AbortController();
+            server.setDelay(50);
+
+            const pending = api.findByBIC('044525225', { signal: controller.signal });
+            setTimeout(() => controller.abort(), 10);
+
+            await assert.rejects(pending, CancelError);
+            assert.equal(api.requestQueue.size, 0);
+        });
+    });
+
+    describe('timeouts and errors', () => {
+        it('maps a slow reply to TimeoutError after retries', async () => {
+            const api = createClient({ timeout: 20, retry: { retries: 1, baseDelay: 1, jitter: 0 } });
+            server.setDelay(100);
+
+            await assert.rejects(api.findByBIC('044525225'), TimeoutError);
+            assert.equal(server.requests.length, 2);
+            assert.equal(api.stats.retries, 1);
+        });
+
+        it('maps 401 to AuthError without retrying', async () => {
+            const api = createClient();
+            server.fail(401);
+
+            const error = await api.findByBIC('044525225').catch(e => e);
+
+            assert.ok(error instanceof AuthError);
+            assert.equal(error.status, 401);
+            assert.equal(api.getErrorInfo(error).message, 'Неверный API ключ');
+            assert.equal(server.requests.length, 1);
+        });
+
+        it('maps 403 with a limit message to QuotaError', async () => {
+            const api = createClient();
+            server.fail(403, { body: { message: 'Daily request limit exceeded' } });
+
+            const error = await api.findByBIC('044525225').catch(e => e);
+
+            assert.ok(error instanceof QuotaError);
+            assert.equal(error.retryable, false);
+            assert.equal(server.requests.length, 1);
+        });
+
+        it('maps other 403 replies to AuthError', async () => {
+            const api = createClient();
+            server.fail(403);
+
+            await assert.rejects(api.findByBIC('044525225'), AuthError);
+        });
+
+        it('retries 429 after Retry-After and succeeds', async () => {
+            const api = createClient();
+            server.fail(429, { headers: { 'Retry-After': '0' } });
+
+            const result = await api.findByBIC('044525225');
+
+            assert.equal(result.suggestions.length, 1);
+            assert.equal(server.requests.length, 2);
+            assert.equal(api.stats.lastRetries[0].type, 'rate_limit');
+        });
+
+        it('gives up on persistent 429 with RateLimitError', async () => {
+            const api = createClient();
+            server.fail(429, { times: 3, headers: { 'Retry-After': '0' } });
+
+            const error = await api.findByBIC('044525225').catch(e => e);
+
+            assert.ok(error instanceof RateLimitError);
+            assert.equal(error.retryAfter, 0);
+            assert.equal(server.requests.length, 3);
+        });
+
+        it('retries 500 and succeeds on the next attempt', async () => {
+            const api = createClient();
+            server.fail(500);
+
+            const result = await api.findByBIC('044525225');
+
+            assert.equal(result.suggestions.length, 1);
+            assert.equal(server.requests.length, 2);
+        });
+
+        it('maps persistent 500 to ServerError and does not cache it', async () => {
+            const api = createClient();
+            server.fail(500, { times: 3 });
+
+            await assert.rejects(api.findByBIC('044525225'), ServerError);
+            assert.equal(server.requests.length, 3);
+
+            const result = await api.findByBIC('044525225');
+            assert.equal(result.suggestions.length, 1);
+        });
+
+        it('rejects with AuthError when no key is configured', async () => {
+            const api = new DaDataAPI(null, { apiURL: server.url, logger: quiet });
+            api.apiKey = null;
+
+            await assert.rejects(api.findById('044525225'), AuthError);
+            assert.equal(server.requests.length, 0);
+        });
+    });
+});
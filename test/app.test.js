@@ -0,0 +1,646 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeDaDataServer } = require('./helpers/fake-dadata.js');
+const { createWindow, waitFor, type, press } = require('./helpers/dom.js');
+
+describe('BankSearchApp', () => {
+    const server = new FakeDaDataServer();
+    let env;
+    let app;
+    let input;
+
+    /**
+     * Видимые подсказки
+     */
+    const suggestionItems = () => [...env.document.querySelectorAll('.suggestion-item')];
+
+    before(() => server.start());
+    after(() => server.stop());
+
+    /**
+     * Новое окно с запущенным приложением
+     * @param {Object} options - { url, storage }: адрес страницы и начальное содержимое localStorage
+     */
+    async function startApp(options = {}) {
+        env = await createWindow({ config: { PROXY_URL: server.url }, url: options.url });
+        Object.entries(options.storage || {}).forEach(([key, value]) => {
+            env.window.localStorage.setItem(key, JSON.stringify(value));
+        });
+
+        app = env.window.eval('new BankSearchApp()');
+        app.settings.debounceDelay = 30;
+        app.apiClient.retryOptions = { ...app.apiClient.retryOptions, retries: 0 };
+
+        await app.init();
+        server.reset();
+        input = env.document.getElementById('bic-input');
+    }
+
+    /**
+     * Перезапуск приложения в новом окне
+     */
+    async function restartApp(options) {
+        env.window.close();
+        await startApp(options);
+    }
+
+    beforeEach(() => startApp());
+
+    afterEach(() => {
+        env.window.close();
+    });
+
+    it('debounces typing into a single search request', async () => {
+        type(env.window, input, '044');
+        type(env.window, input, '0445');
+        type(env.window, input, '04452');
+
+        await waitFor(() => suggestionItems().length > 0);
+
+        assert.equal(server.requests.length, 1);
+        assert.equal(server.requests[0].path, '/suggest/bank');
+        assert.equal(server.requests[0].body.query, '04452');
+        assert.equal(suggestionItems().length, 5);
+        assert.equal(app.state.isSuggestionsVisible, true);
+    });
+
+    it('does not search for queries shorter than the minimum length', async () => {
+        type(env.window, input, '04');
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        assert.equal(server.requests.length, 0);
+    });
+
+    it('looks up a full BIC through findById', async () => {
+        type(env.window, input, '044525593');
+
+        await waitFor(() => suggestionItems().length > 0);
+
+        assert.equal(server.requests[0].path, '/findById/bank');
+        assert.match(suggestionItems()[0].textContent, /АЛЬФА-БАНК/);
+    });
+
+    it('moves the selection with arrow keys and selects with Enter', async () => {
+        type(env.window, input, '04452');
+        await waitFor(() => suggestionItems().length > 0);
+
+        press(env.window, input, 'ArrowDown');
+        press(env.window, input, 'ArrowDown');
+        assert.ok(suggestionItems()[1].classList.contains('selected'));
+
+        press(env.window, input, 'ArrowUp');
+        assert.ok(suggestionItems()[0].classList.contains('selected'));
+        assert.ok(!suggestionItems()[1].classList.contains('selected'));
+
+        press(env.window, input, 'Enter');
+
+        assert.equal(app.selectedBank.bic, '044525225');
+        assert.equal(input.value, '044525225');
+        assert.equal(app.state.isSuggestionsVisible, false);
+        assert.equal(app.state.isBankDetailsVisible, true);
+        assert.match(env.document.getElementById('bank-details-content').textContent, /ПАО Сбербанк/);
+    });
+
+    it('hides suggestions on Escape', async () => {
+        type(env.window, input, '04452');
+        await waitFor(() => suggestionItems().length > 0);
+
+        press(env.window, input, 'Escape');
+
+        assert.equal(app.state.isSuggestionsVisible, false);
+    });
+
+    it('saves selected banks to the search history', async () => {
+        type(env.window, input, '04452');
+        await waitFor(() => suggestionItems().length > 0);
+
+        suggestionItems()[1].click();
+
+        type(env.window, input, '04452');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[0].click();
+
+        type(env.window, input, '04452');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[1].click();
+
+        const history = JSON.parse(env.window.localStorage.getItem('bank_search_history'));
+        assert.deepEqual(history.map(entry => entry.bic), ['044525593', '044525225']);
+        assert.ok(history[0].timestamp > 0);
+    });
+
+    it('shows the history panel for an empty input and removes entries', async () => {
+        const history = [
+            { name: 'АО «АЛЬФА-БАНК»', bic: '044525593', timestamp: 2 },
+            { name: 'ПАО Сбербанк', bic: '044525225', timestamp: 1 },
+            { name: 'АО «АЛЬФА-БАНК»', bic: '044525593', timestamp: 0 }
+        ];
+        await restartApp({ storage: { bank_search_history: history } });
+
+        const panel = env.document.getElementById('search-history');
+        const items = () => [...panel.querySelectorAll('.search-history__item')];
+
+        assert.ok(panel.classList.contains('active'));
+        assert.deepEqual(items().map(item => item.querySelector('.search-history__meta').textContent.slice(5, 14)),
+            ['044525593', '044525225']);
+
+        type(env.window, input, '044');
+        assert.ok(!panel.classList.contains('active'));
+        type(env.window, input, '');
+        assert.ok(panel.classList.contains('active'));
+
+        items()[0].querySelector('.search-history__remove').click();
+        assert.equal(items().length, 1);
+        assert.equal(JSON.parse(env.window.localStorage.getItem('bank_search_history')).length, 1);
+
+        env.document.getElementById('history-clear').click();
+        assert.equal(env.window.localStorage.getItem('bank_search_history'), null);
+        assert.ok(!panel.classList.contains('active'));
+    });
+
+    it('reopens a bank from history without a request and refreshes it on demand', async () => {
+        const snapshot = { name: 'Старое название', bic: '044525225', correspondentAccount: '30101810400000000225', status: 'ACTIVE', timestamp: 1700000000000 };
+        await restartApp({ storage: { bank_search_history: [snapshot] } });
+
+        env.document.querySelector('.search-history__open').click();
+
+        const details = env.document.getElementById('bank-details-content');
+        assert.equal(app.state.isBankDetailsVisible, true);
+        assert.match(details.textContent, /Старое название/);
+        assert.match(details.querySelector('.history-snapshot').textContent, /Сохраненные данные от/);
+        assert.equal(input.value, '044525225');
+        assert.equal(server.requests.length, 0);
+
+        details.querySelector('.history-snapshot__refresh').click();
+        await waitFor(() => !details.querySelector('.history-snapshot'));
+
+        assert.equal(server.requests[0].path, '/findById/bank');
+        assert.match(details.textContent, /ПАО Сбербанк/);
+        assert.equal(JSON.parse(env.window.localStorage.getItem('bank_search_history'))[0].name, 'ПАО Сбербанк');
+    });
+
+    it('refreshes a bank from the server even when the answer is cached', async () => {
+        const snapshot = { name: 'Старое название', bic: '044525225', correspondentAccount: '30101810400000000225', status: 'ACTIVE', timestamp: 1700000000000 };
+        await restartApp({ storage: { bank_search_history: [snapshot] } });
+        await app.findByIdentifier('bic', '044525225');
+        assert.equal(server.requests.length, 1);
+
+        const fixtures = server.fixtures;
+        const renamed = { ...fixtures[0], data: { ...fixtures[0].data, name: { ...fixtures[0].data.name, short: 'ПАО Сбербанк (новое)' } } };
+        server.fixtures = [renamed, ...fixtures.slice(1)];
+
+        try {
+            env.document.querySelector('.search-history__open').click();
+            const details = env.document.getElementById('bank-details-content');
+            details.querySelector('.history-snapshot__refresh').click();
+            await waitFor(() => !details.querySelector('.history-snapshot'));
+
+            assert.equal(server.countRequests('/findById/bank'), 2);
+            assert.match(details.querySelector('.bank-info__name').textContent, /ПАО Сбербанк \(новое\)/);
+        } finally {
+            server.fixtures = fixtures;
+        }
+    });
+
+    it('stars a bank from its details and edits it in the favorites panel', async () => {
+        type(env.window, input, '044525225');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[0].click();
+
+        const details = env.document.getElementById('bank-details-content');
+        const star = details.querySelector('.bank-info__favorite');
+        const editor = details.querySelector('.favorite-editor');
+        assert.equal(star.getAttribute('aria-pressed'), 'false');
+        assert.equal(editor.hidden, true);
+
+        star.click();
+        assert.equal(star.getAttribute('aria-pressed'), 'true');
+        assert.equal(editor.hidden, false);
+
+        const tags = editor.querySelector('[name="tags"]');
+        tags.value = 'зарплата, поставщики';
+        tags.dispatchEvent(new env.window.Event('change'));
+
+        const saved = JSON.parse(env.window.localStorage.getItem('bank_favorites'));
+        assert.deepEqual([...saved[0].tags], ['зарплата', 'поставщики']);
+        assert.equal(saved[0].bank.name, 'ПАО Сбербанк');
+
+        const items = () => [...env.document.querySelectorAll('.favorites-section__item')];
+        const search = env.document.getElementById('favorites-search');
+        assert.equal(items().length, 1);
+        assert.equal(env.document.getElementById('favorites-tag').options.length, 3);
+
+        search.value = 'альфа';
+        search.dispatchEvent(new env.window.Event('input'));
+        assert.equal(items().length, 0);
+
+        search.value = 'поставщики';
+        search.dispatchEvent(new env.window.Event('input'));
+        assert.equal(items().length, 1);
+
+        app.reset();
+        server.reset();
+        items()[0].querySelector('.favorites-section__open').click();
+        assert.match(details.textContent, /ПАО Сбербанк/);
+        assert.equal(details.querySelector('[name="tags"]').value, 'зарплата, поставщики');
+        assert.equal(server.requests.length, 0);
+    });
+
+    it('imports favorites and resolves conflicts', async () => {
+        const local = [{ bic: '044525225', bank: { bic: '044525225', name: 'ПАО Сбербанк' }, label: 'Зарплатный', tags: [], notes: '' }];
+        await restartApp({ storage: { bank_favorites: local } });
+
+        const file = {
+            text: async () => JSON.stringify({
+                version: 1,
+                favorites: [
+                    { bic: '044525225', bank: { bic: '044525225', name: 'ПАО Сбербанк' }, label: 'Основной', tags: ['банк'] },
+                    { bic: '044525593', bank: { bic: '044525593', name: 'АО «АЛЬФА-БАНК»' } }
+                ]
+            })
+        };
+        await app.importFavorites(file);
+
+        const status = env.document.getElementById('favorites-status').textContent;
+        assert.match(status, /добавлено: 1/);
+        assert.match(status, /конфликтов: 1/);
+
+        const conflict = env.document.querySelector('.favorites-conflict');
+        assert.match(conflict.textContent, /Метка: «Зарплатный» → «Основной»/);
+        assert.equal(env.document.querySelectorAll('.favorites-section__item').length, 2);
+
+        conflict.querySelectorAll('button')[1].click();
+        assert.equal(env.document.querySelector('.favorites-conflict'), null);
+        assert.equal(app.favorites.get('044525225').label, 'Основной');
+
+        await app.importFavorites({ text: async () => 'not json' });
+        assert.match(env.document.getElementById('error-message').textContent, /Не удалось импортировать избранное/);
+    });
+
+    it('exports the selected bank from the details menu', async () => {
+        const downloads = [];
+        env.window.DOMUtils.downloadFile = (content, filename, mimeType) => downloads.push({ content, filename, mimeType });
+
+        type(env.window, input, '044525225');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[0].click();
+
+        const button = format => env.document.querySelector(`.bank-export__button[data-format="${format}"]`);
+        button('json').click();
+        button('vcard').click();
+
+        assert.equal(downloads[0].filename, 'bank-044525225.json');
+        assert.equal(JSON.parse(downloads[0].content).raw.data.bic, '044525225');
+        assert.equal(downloads[1].filename, 'bank-044525225.vcf');
+        assert.match(downloads[1].mimeType, /^text\/vcard/);
+
+        const printed = [];
+        env.window.open = () => ({
+            document: { open() {}, write: html => printed.push(html), close() {} },
+            focus() {},
+            print() { printed.push('print'); }
+        });
+        button('print').click();
+
+        assert.match(printed[0], /Карточка банка: ПАО Сбербанк/);
+        assert.equal(printed[1], 'print');
+    });
+
+    it('builds a payment QR code for the selected bank', async () => {
+        type(env.window, input, '044525225');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[0].click();
+
+        const panel = env.document.querySelector('.payment-qr');
+        const field = name => panel.querySelector(`[name="${name}"]`);
+        const submit = () => panel.querySelector('.payment-qr__submit').click();
+
+        field('Name').value = 'ООО «Ромашка»';
+        field('PersonalAcc').value = '40702810538000012345';
+        field('Sum').value = '1500,5';
+        submit();
+
+        assert.match(panel.querySelector('.payment-qr__errors').textContent, /Неверный контрольный ключ/);
+        assert.ok(field('PersonalAcc').classList.contains('payment-qr__input--invalid'));
+        assert.equal(panel.querySelector('svg'), null);
+
+        field('PersonalAcc').value = '4070 2810 9380 0000 0001';
+        submit();
+
+        assert.equal(panel.querySelector('.payment-qr__errors').textContent, '');
+        assert.ok(panel.querySelector('.payment-qr__image svg'));
+        assert.equal(panel.querySelector('.payment-qr__payload').textContent,
+            'ST00012|Name=ООО «Ромашка»|PersonalAcc=40702810938000000001|BankName=ПАО СБЕРБАНК|BIC=044525225'
+            + '|CorrespAcc=30101810400000000225|Sum=150050');
+    });
+
+    it('extracts requisites from pasted text and checks them against the bank', async () => {
+        const paste = env.document.getElementById('smart-paste-input');
+        paste.value = 'Р/с 40702810538000012345 в ПАО Сбербанк\nБИК: 044525225, к/с 30101810400000000225, ИНН 7701234560';
+        paste.dispatchEvent(new env.window.Event('paste'));
+
+        const status = env.document.getElementById('smart-paste-status');
+        await waitFor(() => /Ошибок в реквизитах/.test(status.textContent));
+
+        assert.equal(server.requests[0].path, '/findById/bank');
+        assert.equal(server.requests[0].body.query, '044525225');
+
+        const invalid = [...env.document.querySelectorAll('.smart-paste__row--invalid th')];
+        assert.deepEqual(invalid.map(cell => cell.textContent), ['Расчетный счет']);
+        assert.match(env.document.querySelector('.smart-paste__block').textContent, /Банк: ПАО СБЕРБАНК\nБИК: 044525225/);
+
+        env.document.querySelector('#smart-paste-result .smart-paste__button').click();
+        await waitFor(() => env.clipboard.writes.length > 0);
+        assert.match(env.clipboard.writes[0], /^ИНН: 7701234560\n/);
+
+        await app.extractRequisites('Спасибо!');
+        assert.equal(status.textContent, 'Реквизиты в тексте не найдены');
+    });
+
+    it('decodes a payment string and highlights mismatches with the directory', async () => {
+        env.document.getElementById('payment-decode-input').value =
+            'ST00012|Name=ООО «Ромашка»|PersonalAcc=40702810938000000001|BankName=АО «АЛЬФА-БАНК»'
+            + '|BIC=044525225|CorrespAcc=30101810400000000225';
+        env.document.getElementById('payment-decode-run').click();
+
+        const status = env.document.getElementById('payment-decode-status');
+        await waitFor(() => /Расхождений/.test(status.textContent));
+
+        assert.equal(server.requests[0].path, '/findById/bank');
+        assert.equal(server.requests[0].body.query, '044525225');
+
+        const mismatches = [...env.document.querySelectorAll('.payment-decode__row--mismatch')];
+        assert.deepEqual(mismatches.map(row => row.firstChild.textContent), ['Банк получателя']);
+        assert.match(status.textContent, /Расхождений со справочником: 1/);
+
+        env.document.querySelector('#payment-decode-result .payment-decode__button').click();
+        assert.match(env.document.getElementById('bank-details-content').textContent, /ПАО Сбербанк/);
+
+        await app.decodePaymentString('BIC=044525225');
+        assert.match(status.textContent, /Не удалось разобрать строку/);
+    });
+
+    it('shows the full bank profile and loads the parent entries by BIC', async () => {
+        const fixture = require('./fixtures/banks.json')[0];
+        const bank = env.window.Utils.formatBankData({
+            data: {
+                ...fixture.data,
+                okpo: '00032537',
+                phones: ['+7 495 500-55-50'],
+                state: { ...fixture.data.state, liquidation_date: null },
+                address: {
+                    value: 'г Москва, ул Вавилова, д 19',
+                    data: { postal_code: '117312', street_with_type: 'ул Вавилова', house_type: 'д', house: '19' }
+                },
+                // Вложенные записи DaData неполные: без счетов, статуса и адреса
+                rkc: { value: 'СЕВЕРО-ЗАПАДНЫЙ БАНК', data: { bic: '044030653', name: { short: 'СЕВЕРО-ЗАПАДНЫЙ БАНК' } } },
+                cbr: { value: 'ГУ Банка России по ЦФО', data: { bic: '044525000', name: { short: 'ГУ Банка России по ЦФО' } } }
+            }
+        });
+        app.selectedBank = bank;
+        app.displayBankDetails(bank);
+
+        const details = env.document.getElementById('bank-details-content');
+        const profile = details.querySelector('.bank-profile');
+        assert.ok(profile.textContent.includes(`Дата регистрации${env.window.Utils.formatDate(677376000000)}`));
+        assert.ok(!profile.textContent.includes('Дата ликвидации'));
+        assert.equal(profile.querySelector('.bank-details__phone').getAttribute('href'), 'tel:+74955005550');
+        assert.match(details.textContent, /ОКПО00032537/);
+        assert.match(details.textContent, /Индекс117312/);
+        assert.match(details.textContent, /Домд 19/);
+
+        const paymentName = [...details.querySelectorAll('.bank-detail-item')]
+            .find(item => item.textContent.startsWith('Наименование для платежей'));
+        paymentName.querySelector('.bank-detail-item__copy').click();
+        await waitFor(() => env.clipboard.writes.length > 0);
+        assert.deepEqual(env.clipboard.writes, ['ПАО СБЕРБАНК']);
+
+        const [rkcLink, cbrLink] = profile.querySelectorAll('.bank-details__parent');
+        cbrLink.click();
+        const cbrStatus = cbrLink.closest('.bank-detail-item').querySelector('.bank-details__parent-status');
+        assert.equal(cbrStatus.textContent, 'Загрузка...');
+        await waitFor(() => /не найдена/.test(cbrStatus.textContent));
+        assert.equal(server.requests[0].path, '/findById/bank');
+        assert.equal(server.requests[0].body.query, '044525000');
+
+        rkcLink.click();
+        await waitFor(() => input.value === '044030653');
+        assert.equal(server.requests[1].path, '/findById/bank');
+        assert.equal(server.requests[1].body.query, '044030653');
+        assert.match(details.querySelector('.bank-info__name').textContent, /СЕВЕРО-ЗАПАДНЫЙ БАНК/);
+        assert.match(details.textContent, /3010 1810 5000 0000 0653/);
+
+        const [saved] = JSON.parse(env.window.localStorage.getItem('bank_search_history'));
+        assert.equal(saved.bic, '044030653');
+        assert.equal(saved.correspondentAccount, '30101810500000000653');
+    });
+
+    it('lists treasury accounts of a Federal Treasury office with copy buttons', async () => {
+        const treasury = env.window.Utils.formatBankData({
+            value: 'ГУ Банка России по ЦФО//УФК по г. Москве',
+            data: {
+                opf: { type: 'TREASURY' },
+                name: { short: 'ГУ Банка России по ЦФО//УФК по г. Москве' },
+                bic: '004525988',
+                correspondent_account: null,
+                treasury_accounts: ['40102810545370000003', '40102810545370000004'],
+                state: { status: 'ACTIVE' }
+            }
+        });
+        app.selectedBank = treasury;
+        app.displayBankDetails(treasury);
+
+        const section = env.document.querySelector('.treasury-accounts');
+        const items = [...section.querySelectorAll('.treasury-accounts__item')];
+        assert.match(section.textContent, /ЕКС, начинается с 40102/);
+        assert.deepEqual(items.map(item => item.querySelector('.bank-detail-item__value').textContent),
+            ['4010 2810 5453 7000 0003', '4010 2810 5453 7000 0004']);
+        assert.equal(items[0].querySelector('.bank-detail-item__warning'), null);
+        assert.match(items[1].querySelector('.bank-detail-item__warning').textContent, /Неверный контрольный ключ/);
+
+        items[0].querySelector('.bank-detail-item__copy').click();
+        await waitFor(() => env.clipboard.writes.length > 0);
+        assert.deepEqual(env.clipboard.writes, ['40102810545370000003']);
+
+        const check = env.document.getElementById('account-check-input');
+        check.value = '03100643000000017300';
+        check.dispatchEvent(new env.window.Event('input'));
+        assert.match(env.document.querySelector('.account-check__result').textContent, /Казначейский счет/);
+
+        type(env.window, input, '044525225');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[0].click();
+        assert.equal(env.document.querySelector('.treasury-accounts'), null);
+    });
+
+    it('copies the clean correspondent account on click', async () => {
+        type(env.window, input, '044525225');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[0].click();
+
+        const item = [...env.document.querySelectorAll('.bank-detail-item')]
+            .find(element => element.textContent.startsWith('Корр. счет'));
+        item.querySelector('.bank-detail-item__value').click();
+
+        await waitFor(() => env.document.querySelector('.copy-notification'));
+
+        assert.deepEqual(env.clipboard.writes, ['30101810400000000225']);
+        assert.match(env.document.querySelector('.copy-notification').textContent, /Корр. счет скопирован/);
+    });
+
+    it('checks an account against the selected bank', async () => {
+        type(env.window, input, '044525225');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[0].click();
+
+        const accountInput = env.document.getElementById('account-check-input');
+        const result = env.document.querySelector('.account-check__result');
+
+        type(env.window, accountInput, '40702810938000000001');
+        assert.ok(result.classList.contains('account-check__result--valid'));
+
+        type(env.window, accountInput, '40702810538000000001');
+        assert.ok(result.classList.contains('account-check__result--invalid'));
+    });
+
+    it('searches by name with the parameters of the selected mode', async () => {
+        env.document.querySelector('.search-mode__option[data-mode="name"]').click();
+        type(env.window, input, 'Сбербанк');
+
+        await waitFor(() => suggestionItems().length > 0);
+
+        assert.equal(server.requests[0].path, '/suggest/bank');
+        assert.deepEqual(server.requests[0].body.type, ['BANK', 'NKO']);
+        assert.equal(env.document.querySelector('.search-input__label').textContent, 'Введите название банка');
+        assert.equal(JSON.parse(env.window.localStorage.getItem('bank_search_mode')), 'name');
+    });
+
+    it('rejects input that does not fit the mode without a request', async () => {
+        app.setSearchMode('inn');
+        type(env.window, input, '77070838AB');
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        assert.equal(server.requests.length, 0);
+        assert.ok(input.classList.contains('invalid'));
+        assert.equal(env.document.getElementById('error-message').textContent, 'ИНН может содержать только цифры');
+
+        type(env.window, input, '7707083893');
+        await waitFor(() => suggestionItems().length > 0);
+        assert.equal(server.requests[0].path, '/findById/bank');
+    });
+
+    it('restores the saved search mode', async () => {
+        await restartApp({ storage: { bank_search_mode: 'swift' } });
+
+        assert.equal(app.searchMode, 'swift');
+        assert.equal(input.placeholder, 'Например: SABRRUMM');
+        assert.ok(env.document.querySelector('.search-mode__option[data-mode="swift"]')
+            .classList.contains('search-mode__option--active'));
+    });
+
+    it('sends the selected filters and reflects them in the URL', async () => {
+        const filters = env.document.getElementById('search-filters');
+        const check = (name, value) => {
+            filters.querySelector(`input[name="${name}"][value="${value}"]`).checked = true;
+            filters.dispatchEvent(new env.window.Event('change'));
+        };
+
+        check('status', 'LIQUIDATED');
+        check('type', 'BANK');
+        env.document.getElementById('filter-region').value = '77';
+        filters.dispatchEvent(new env.window.Event('change'));
+
+        assert.equal(env.document.getElementById('filters-count').textContent, '3');
+        assert.equal(env.window.location.search, '?status=LIQUIDATED&type=BANK&region=77');
+
+        type(env.window, input, 'банк');
+        await waitFor(() => suggestionItems().length > 0);
+
+        const { body } = server.requests[0];
+        assert.deepEqual(body.status, ['LIQUIDATED']);
+        assert.deepEqual(body.type, ['BANK']);
+        assert.deepEqual(body.locations, [{ kladr_id: '77' }]);
+        assert.deepEqual(suggestionItems().map(item => item.querySelector('.suggestion-item__bic').textContent), ['БИК: 044525101']);
+
+        env.document.getElementById('filters-reset').click();
+
+        assert.equal(env.window.location.search, '');
+        assert.equal(env.document.getElementById('filters-reset').disabled, true);
+        assert.equal(filters.querySelectorAll('input:checked').length, 0);
+    });
+
+    it('reads filters from the URL and applies them to exact lookups', async () => {
+        await restartApp({ url: 'http://localhost/?status=LIQUIDATED,unknown&region=abc' });
+
+        assert.deepEqual([...app.filters.status], ['LIQUIDATED']);
+        assert.match(env.document.getElementById('filter-region-error').textContent, /abc/);
+
+        type(env.window, input, '044525225');
+        await waitFor(() => server.requests.length > 0);
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        assert.equal(server.requests[0].path, '/findById/bank');
+        assert.equal(suggestionItems().length, 0);
+    });
+
+    it('boosts and marks banks in the manually chosen region', async () => {
+        await restartApp({ storage: { bank_preferred_region: '78', bank_search_mode: 'address' } });
+
+        type(env.window, input, 'сбербанк');
+        await waitFor(() => suggestionItems().length > 0);
+
+        assert.deepEqual(server.requests[0].body.locations_boost, [{ kladr_id: '78' }]);
+
+        const preferred = suggestionItems().filter(item => item.classList.contains('suggestion-item--preferred'));
+        assert.equal(preferred.length, 1);
+        assert.match(preferred[0].textContent, /БИК: 044030653/);
+        assert.match(preferred[0].querySelector('.suggestion-item__region').textContent, /Мой регион/);
+    });
+
+    it('infers the preferred region from recently selected banks', async () => {
+        const note = env.document.getElementById('preferred-region-note');
+        assert.match(note.textContent, /Не задан/);
+
+        type(env.window, input, '044525225');
+        await waitFor(() => suggestionItems().length > 0);
+        suggestionItems()[0].click();
+
+        assert.match(note.textContent, /г Москва \(77\)/);
+
+        type(env.window, input, 'сбербанк');
+        await waitFor(() => server.countRequests('/suggest/bank') > 0);
+        // Ждем отрисовки ответа: иначе он придет уже в закрытое окно
+        await waitFor(() => !app.state.isLoading);
+
+        const request = server.requests.find(entry => entry.path === '/suggest/bank');
+        assert.deepEqual(request.body.locations_boost, [{ kladr_id: '77' }]);
+    });
+
+    it('shows an authorization error without a retry button', async () => {
+        server.fail(401);
+
+        type(env.window, input, '044525225');
+
+        const error = env.document.getElementById('error-message');
+        await waitFor(() => error.classList.contains('active'));
+
+        assert.equal(error.dataset.errorType, 'auth');
+        assert.equal(error.querySelector('.search-input__retry'), null);
+    });
+
+    it('offers a retry after a server error', async () => {
+        server.fail(500);
+
+        type(env.window, input, '044525225');
+
+        const error = env.document.getElementById('error-message');
+        await waitFor(() => error.classList.contains('active'));
+
+        assert.equal(error.dataset.errorType, 'server_error');
+        error.querySelector('.search-input__retry').click();
+
+        await waitFor(() => suggestionItems().length > 0);
+        assert.equal(server.requests.length, 2);
+    });
+});
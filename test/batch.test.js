@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BatchResolver, CancelError } = require('../index.js');
+const fixtures = require('./fixtures/banks.json');
+
+/**
+ * Источник данных по фикстурам, считающий запросы и одновременные вызовы
+ */
+class CountingProvider {
+    constructor(delay = 5) {
+        this.delay = delay;
+        this.calls = [];
+        this.active = 0;
+        this.maxActive = 0;
+    }
+
+    async findById(bic, options = {}) {
+        this.calls.push(bic);
+        this.active++;
+        this.maxActive = Math.max(this.maxActive, this.active);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, this.delay);
+                if (options.signal) {
+                    options.signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(new CancelError('Запрос отменен'));
+                    }, { once: true });
+                }
+            });
+        } finally {
+            this.active--;
+        }
+
+        return { suggestions: fixtures.filter(suggestion => suggestion.data.bic === bic) };
+    }
+}
+
+describe('BatchResolver.parseInput', () => {
+    it('restores the leading zero dropped by Excel', () => {
+        const rows = BatchResolver.parseInput('БИК;Банк\n44525225;Сбербанк\n044525593;Альфа-Банк\n12345');
+
+        assert.deepEqual(rows.map(row => [row.input, row.bic, row.status]), [
+            ['44525225', '044525225', 'pending'],
+            ['044525593', '044525593', 'pending'],
+            ['12345', '', 'invalid']
+        ]);
+    });
+
+    it('ignores account numbers and INN next to the BIC in a CSV row', () => {
+        const rows = BatchResolver.parseInput('044525225;30101810400000000225;7707083893');
+
+        assert.deepEqual(rows.map(row => row.bic), ['044525225']);
+    });
+});
+
+describe('BatchResolver.run', () => {
+    it('keeps no more requests in flight than the concurrency limit', async () => {
+        const provider = new CountingProvider();
+        const resolver = new BatchResolver(provider, { concurrency: 2 });
+        const rows = BatchResolver.parseInput(fixtures.map(suggestion => suggestion.data.bic).join('\n'));
+
+        await resolver.run(rows);
+
+        assert.equal(provider.calls.length, fixtures.length);
+        assert.equal(provider.maxActive, 2);
+        assert.ok(rows.every(row => row.status === 'found'));
+    });
+
+    it('requests a repeated BIC once and fills every row', async () => {
+        const provider = new CountingProvider();
+        const resolver = new BatchResolver(provider);
+        const rows = BatchResolver.parseInput('044525225\n44525225\n044525999\n044525225');
+        const progress = [];
+
+        await resolver.run(rows, { onProgress: (row, done, total) => progress.push([row.index, row.status, done, total]) });
+
+        assert.deepEqual(provider.calls.sort(), ['044525225', '044525999']);
+        assert.deepEqual(rows.map(row => row.status), ['found', 'found', 'not_found', 'found']);
+        assert.equal(rows[1].bank.name, 'ПАО Сбербанк');
+        assert.deepEqual(progress.filter(([, status]) => status !== 'loading').map(([, , done]) => done), [1, 2, 3, 4]);
+    });
+
+    it('marks rows that never started as cancelled on abort', async () => {
+        const provider = new CountingProvider(50);
+        const resolver = new BatchResolver(provider, { concurrency: 1 });
+        const rows = BatchResolver.parseInput('044525225\n044525593\n044525974\n044525593');
+        const controller = new AbortController();
+        const done = [];
+
+        setTimeout(() => controller.abort(), 10);
+        await resolver.run(rows, {
+            signal: controller.signal,
+            onProgress: (row, count) => {
+                if (row.status !== 'loading') {
+                    done.push(count);
+                }
+            }
+        });
+
+        assert.deepEqual(provider.calls, ['044525225']);
+        assert.deepEqual(rows.map(row => row.status), ['cancelled', 'cancelled', 'cancelled', 'cancelled']);
+        assert.ok(rows.every(row => row.error === 'Проверка отменена'));
+        assert.deepEqual(done, [1, 2, 3, 4]);
+    });
+
+    it('reports provider errors with the formatter', async () => {
+        const provider = { findById: async () => { throw new Error('boom'); } };
+        const resolver = new BatchResolver(provider, { formatError: error => `Сбой: ${error.message}` });
+        const [row] = await resolver.run(BatchResolver.parseInput('044525225'));
+
+        assert.equal(row.status, 'error');
+        assert.equal(row.error, 'Сбой: boom');
+    });
+});
+
+describe('BatchResolver.toCSV', () => {
+    it('escapes quotes and separators for Excel', () => {
+        const rows = [
+            { input: '044525593', bic: '044525593', status: 'found', bank: { name: 'АО "АЛЬФА-БАНК"', correspondentAccount: '30101810200000000593' }, error: '' },
+            { input: '12345', bic: '', status: 'invalid', bank: null, error: 'Ошибка; проверьте\nформат' },
+            { input: '=1+2', bic: '', status: 'invalid', bank: null, error: '' }
+        ];
+
+        assert.equal(BatchResolver.toCSV(rows), [
+            'БИК;Статус;Наименование;Корр. счет;Ошибка',
+            '044525593;Найден;"АО ""АЛЬФА-БАНК""";30101810200000000593;',
+            '12345;Неверный формат;;;"Ошибка; проверьте\nформат"',
+            // Ввод пользователя не выполняется в Excel как формула
+            "'=1+2;Неверный формат;;;"
+        ].join('\r\n'));
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+
+const { DaDataAPI, MemoryCacheStore, IndexedDBCacheStore } = require('../index.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const entry = data => ({ data, timestamp: Date.now() });
+
+describe('MemoryCacheStore', () => {
+    it('evicts the least recently used entry', async () => {
+        const store = new MemoryCacheStore({ maxSize: 2 });
+
+        await store.set('a', entry(1));
+        await store.set('b', entry(2));
+        await store.get('a');
+        await store.set('c', entry(3));
+
+        assert.equal(await store.get('b'), null);
+        assert.equal((await store.get('a')).data, 1);
+        assert.equal((await store.get('c')).data, 3);
+        assert.equal(await store.size(), 2);
+    });
+
+    it('treats overwriting an entry as a use', async () => {
+        const store = new MemoryCacheStore({ maxSize: 2 });
+
+        await store.set('a', entry(1));
+        await store.set('b', entry(2));
+        await store.set('a', entry(10));
+        await store.set('c', entry(3));
+
+        assert.deepEqual([...store.entries.keys()], ['a', 'c']);
+        assert.equal((await store.get('a')).data, 10);
+    });
+
+    it('deletes and clears entries', async () => {
+        const store = new MemoryCacheStore();
+
+        await store.set('a', entry(1));
+        await store.set('b', entry(2));
+        await store.delete('a');
+        assert.equal(await store.size(), 1);
+
+        await store.clear();
+        assert.equal(await store.size(), 0);
+    });
+});
+
+describe('cache TTL', () => {
+    const FRESH = 1000;
+    const STALE = 5000;
+
+    /**
+     * Клиент с записью кэша заданного возраста
+     */
+    async function cachedAt(age) {
+        const store = new MemoryCacheStore();
+        const api = new DaDataAPI('token', { cache: { store, freshTTL: FRESH, staleTTL: STALE } });
+        await store.set('key', { data: { suggestions: [] }, timestamp: Date.now() - age });
+        return { api, store, cached: await api.getFromCache('key') };
+    }
+
+    it('serves an entry younger than the fresh TTL as fresh', async () => {
+        const { api, cached } = await cachedAt(FRESH - 100);
+
+        assert.equal(cached.fresh, true);
+        assert.equal(api.cacheStats.hits, 1);
+    });
+
+    it('serves an entry between the fresh and stale TTL as stale', async () => {
+        const { api, cached } = await cachedAt(FRESH + 100);
+
+        assert.deepEqual(cached, { data: { suggestions: [] }, fresh: false });
+        assert.equal(api.cacheStats.staleHits, 1);
+        assert.equal(api.cacheStats.hits, 0);
+    });
+
+    it('drops an entry older than the stale TTL', async () => {
+        const { api, store, cached } = await cachedAt(STALE + 100);
+
+        assert.equal(cached, null);
+        assert.equal(api.cacheStats.misses, 1);
+        assert.equal(await store.size(), 0);
+    });
+});
+
+describe('IndexedDBCacheStore', () => {
+    const createStore = (options = {}) => new IndexedDBCacheStore({ indexedDB: new IDBFactory(), ...options });
+
+    it('stores, reads and deletes entries', async () => {
+        const store = createStore();
+        const timestamp = Date.now() - 1000;
+
+        await store.set('a', { data: { suggestions: [1] }, timestamp });
+        await store.set('b', entry(2));
+
+        assert.deepEqual(await store.get('a'), { data: { suggestions: [1] }, timestamp });
+        assert.equal(await store.get('missing'), null);
+        assert.equal(await store.size(), 2);
+
+        await store.delete('a');
+        assert.equal(await store.get('a'), null);
+
+        await store.clear();
+        assert.equal(await store.size(), 0);
+    });
+
+    it('keeps entries between instances sharing a database', async () => {
+        const indexedDB = new IDBFactory();
+
+        await new IndexedDBCacheStore({ indexedDB }).set('a', entry(1));
+
+        assert.equal((await new IndexedDBCacheStore({ indexedDB }).get('a')).data, 1);
+    });
+
+    it('evicts the least recently read entry', async () => {
+        const store = createStore({ maxSize: 2 });
+
+        await store.set('a', entry(1));
+        await wait(2);
+        await store.set('b', entry(2));
+        await wait(2);
+        await store.get('a');
+        await wait(2);
+        await store.set('c', entry(3));
+
+        assert.equal(await store.size(), 2);
+        assert.equal(await store.get('b'), null);
+        assert.equal((await store.get('a')).data, 1);
+        assert.equal((await store.get('c')).data, 3);
+    });
+
+    it('degrades to an empty cache without IndexedDB and reports to the logger', async () => {
+        const warnings = [];
+        const store = new IndexedDBCacheStore({ indexedDB: null, logger: { warn: message => warnings.push(message) } });
+
+        await store.set('a', entry(1));
+        assert.equal(await store.get('a'), null);
+        assert.equal(await store.size(), 0);
+        assert.deepEqual(warnings, ['Failed to write to IndexedDB cache:', 'Failed to read from IndexedDB cache:']);
+    });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { BicCLI, EXIT_CODES } = require('../bin/bic.js');
+const { FakeDaDataServer } = require('./helpers/fake-dadata.js');
+
+const TOKEN = 'cli-token';
+
+describe('BicCLI', () => {
+    const server = new FakeDaDataServer({ token: TOKEN });
+    let configHome;
+
+    /**
+     * Запуск утилиты с перехваченными потоками
+     * @param {Array<string>} argv - Аргументы
+     * @param {Object} options - { stdin: текст, env: переменные окружения }
+     * @returns {Promise<Object>} - { code, stdout, stderr }
+     */
+    async function run(argv, options = {}) {
+        const output = { stdout: '', stderr: '' };
+        const cli = new BicCLI({
+            stdin: Readable.from(options.stdin !== undefined ? [options.stdin] : []),
+            stdout: { write: chunk => { output.stdout += chunk; } },
+            stderr: { write: chunk => { output.stderr += chunk; } },
+            // Файл конфигурации по умолчанию ищется во временном каталоге, а не в домашнем
+            env: { DADATA_API_URL: server.url, XDG_CONFIG_HOME: configHome, ...options.env }
+        });
+
+        const code = await cli.run(argv);
+        return { code, ...output };
+    }
+
+    const withToken = { env: { DADATA_API_KEY: TOKEN } };
+
+    before(async () => {
+        await server.start();
+        configHome = fs.mkdtempSync(path.join(os.tmpdir(), 'bic-cli-'));
+    });
+    after(async () => {
+        fs.rmSync(configHome, { recursive: true, force: true });
+        await server.stop();
+    });
+    beforeEach(() => server.reset());
+
+    describe('exit codes', () => {
+        it('returns 0 for found banks and 3 when a bank is not found', async () => {
+            assert.equal((await run(['lookup', '044525225'], withToken)).code, EXIT_CODES.OK);
+
+            const { code, stdout } = await run(['lookup', '044525225', '044525999'], withToken);
+            assert.equal(code, EXIT_CODES.NOT_FOUND);
+            assert.match(stdout, /044525999\s+not_found/);
+        });
+
+        it('returns 4 for a rejected or missing token', async () => {
+            const rejected = await run(['lookup', '044525225'], { env: { DADATA_API_KEY: 'wrong-token' } });
+            assert.equal(rejected.code, EXIT_CODES.AUTH);
+            assert.equal(rejected.stderr, 'bic: Ошибка авторизации DaData (401). Проверьте токен\n');
+
+            const missing = await run(['lookup', '044525225']);
+            assert.equal(missing.code, EXIT_CODES.AUTH);
+            assert.match(missing.stderr, /API ключ не настроен/);
+            assert.equal(server.requests.length, 1);
+        });
+
+        it('returns 5 when the daily quota is exhausted', async () => {
+            server.fail(403, { body: { message: 'Daily request limit exceeded' } });
+
+            const { code, stderr } = await run(['lookup', '044525225', '044525593'], withToken);
+
+            assert.equal(code, EXIT_CODES.QUOTA);
+            assert.equal(stderr, 'bic: Исчерпан дневной лимит запросов к DaData\n');
+            // Остальные запросы пачки после исчерпания лимита не отправляются
+            assert.equal(server.requests.length, 1);
+        });
+    });
+
+    describe('stdin', () => {
+        it('looks up one identifier per line', async () => {
+            const { code, stdout } = await run(['lookup', '--format', 'json'], { ...withToken, stdin: '044525225\n\n044525593\r\n' });
+            const rows = JSON.parse(stdout);
+
+            assert.equal(code, EXIT_CODES.OK);
+            assert.deepEqual(rows.map(row => [row.query, row.status, row.bic]), [
+                ['044525225', 'found', '044525225'],
+                ['044525593', 'found', '044525593']
+            ]);
+            assert.equal(server.countRequests('/findById/bank'), 2);
+        });
+
+        it('validates "BIC account" pairs without calling the API', async () => {
+            const { code, stdout } = await run(['validate-account', '-f', 'json'], {
+                stdin: '044525225 40702810938000000001\n044525225;40702810538000012345\n'
+            });
+
+            assert.equal(code, EXIT_CODES.FAILURE);
+            assert.deepEqual(JSON.parse(stdout).map(row => row.valid), [true, false]);
+            assert.equal(server.requests.length, 0);
+        });
+    });
+
+    describe('output formats', () => {
+        it('prints an aligned table by default', async () => {
+            const { stdout } = await run(['lookup', '044525225'], withToken);
+            const [header, row] = stdout.trimEnd().split('\n');
+
+            assert.match(header, /^query\s+status\s+bic\s+name\s+correspondentAccount\s+inn\s+state\s+error$/);
+            assert.match(row, /^044525225\s+found\s+044525225\s+ПАО Сбербанк\s+30101810400000000225\s+7707083893\s+ACTIVE$/);
+            assert.equal(header.indexOf('bic'), row.indexOf('044525225', 'query'.length));
+        });
+
+        it('prints JSON with the bank columns', async () => {
+            const { stdout } = await run(['search', 'альфа', '--format=json'], withToken);
+
+            assert.deepEqual(JSON.parse(stdout), [{
+                query: 'альфа',
+                bic: '044525593',
+                name: 'АО "АЛЬФА-БАНК"',
+                correspondentAccount: '30101810200000000593',
+                inn: '7728168971',
+                state: 'ACTIVE',
+                city: 'г. Москва'
+            }]);
+        });
+
+        it('prints CSV with escaped quotes', async () => {
+            const { stdout } = await run(['lookup', '044525593', '--format', 'csv'], withToken);
+
+            assert.equal(stdout.split('\n')[0], 'query;status;bic;name;correspondentAccount;inn;state;error');
+            assert.equal(stdout.split('\n')[1], '044525593;found;044525593;"АО ""АЛЬФА-БАНК""";30101810200000000593;7728168971;ACTIVE;');
+        });
+    });
+
+    describe('configuration', () => {
+        it('reads the token from the config file', async () => {
+            const configPath = path.join(configHome, 'custom.json');
+            fs.writeFileSync(configPath, JSON.stringify({ token: TOKEN }));
+
+            const { code } = await run(['lookup', '044525225', '--config', configPath]);
+
+            assert.equal(code, EXIT_CODES.OK);
+            assert.equal(server.requests[0].headers.authorization, `Token ${TOKEN}`);
+        });
+
+        it('prefers the token from the environment over the default config file', async () => {
+            fs.mkdirSync(path.join(configHome, 'bic'), { recursive: true });
+            fs.writeFileSync(path.join(configHome, 'bic', 'config.json'), JSON.stringify({ token: 'file-token' }));
+
+            try {
+                assert.equal((await run(['lookup', '044525225'], withToken)).code, EXIT_CODES.OK);
+                assert.equal((await run(['lookup', '044525225'])).code, EXIT_CODES.AUTH);
+                assert.deepEqual(server.requests.map(request => request.headers.authorization), [`Token ${TOKEN}`, 'Token file-token']);
+            } finally {
+                fs.rmSync(path.join(configHome, 'bic'), { recursive: true, force: true });
+            }
+        });
+
+        it('fails with a usage error when the explicit config file is missing', async () => {
+            const { code, stderr } = await run(['lookup', '044525225', '--config', path.join(configHome, 'missing.json')]);
+
+            assert.equal(code, EXIT_CODES.USAGE);
+            assert.match(stderr, /Не удалось прочитать конфигурацию/);
+        });
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { ED807Parser, LocalBankDirectory, MemoryCacheStore, Utils } = require('../index.js');
+
+// Фрагмент справочника ЦБ РФ в windows-1251, как в опубликованном архиве
+const ed807 = fs.readFileSync(path.join(__dirname, 'fixtures', 'ed807.xml'));
+
+describe('ED807Parser', () => {
+    const xml = ED807Parser.decode(ed807);
+    const parsed = ED807Parser.parse(xml);
+    const entry = bic => parsed.entries.find(item => item.bic === bic);
+
+    it('decodes the file by the encoding from the XML declaration', () => {
+        assert.match(xml, /NameP="ПАО Сбербанк"/);
+        assert.equal(ED807Parser.decode(new TextEncoder().encode('<?xml version="1.0"?><ED807/>')), '<?xml version="1.0"?><ED807/>');
+    });
+
+    it('reads entries, accounts, restrictions and SWIFT codes', () => {
+        assert.equal(parsed.edDate, '2024-03-15');
+        assert.equal(parsed.entries.length, 7);
+
+        const alfa = entry('044525593');
+        assert.equal(alfa.participant.NameP, 'АО "АЛЬФА-БАНК"');
+        assert.deepEqual(alfa.swifts, [
+            { swift: 'ALFARUMMXXX', isDefault: true },
+            { swift: 'ALFARUMM123', isDefault: false }
+        ]);
+        assert.deepEqual(alfa.accounts[0].restrictions, [{ code: 'LMRS', date: '2024-03-01' }]);
+        assert.deepEqual(entry('044525101').restrictions, [{ code: 'LWRS', date: '2023-11-20' }]);
+    });
+
+    it('rejects documents that are not ED807', () => {
+        assert.throws(() => ED807Parser.parse(''), /empty/);
+        assert.throws(() => ED807Parser.parse('<?xml version="1.0"?><ED101/>'), /Not an ED807 document/);
+    });
+
+    it('maps participant types to DaData types', () => {
+        assert.deepEqual(['00', '10', '12', '20', '30', '52', '99'].map(code => ED807Parser.getParticipantType(code)),
+            ['CBR', 'RKC', 'CBR', 'BANK', 'BANK_BRANCH', 'TREASURY', 'OTHER']);
+    });
+
+    it('normalizes an entry to the bank data format', () => {
+        const sberbank = ED807Parser.normalizeEntry(entry('044525225'));
+
+        assert.equal(sberbank.name, 'ПАО Сбербанк');
+        assert.equal(sberbank.swift, 'SABRRUMMXXX');
+        // Закрытый счет (ACDL) не считается корр. счетом
+        assert.equal(sberbank.correspondentAccount, '30101810400000000225');
+        assert.equal(sberbank.paymentCity, 'г. Москва');
+        assert.equal(sberbank.address, '117997, г. Москва, ул Вавилова, 19');
+        assert.equal(sberbank.type, 'BANK');
+
+        // "г." в Tnp не превращается в "г.."
+        assert.equal(ED807Parser.normalizeEntry(entry('044525593')).paymentCity, 'г. Москва');
+        assert.equal(ED807Parser.normalizeEntry(entry('044525101')).status, 'LIQUIDATED');
+
+        const treasury = ED807Parser.normalizeEntry(entry('004525988'));
+        assert.equal(treasury.type, 'TREASURY');
+        assert.equal(treasury.correspondentAccount, '');
+        assert.deepEqual(treasury.treasuryAccounts, ['40102810545370000003']);
+    });
+});
+
+describe('LocalBankDirectory', () => {
+    let store;
+    let directory;
+
+    const bics = result => result.suggestions.map(suggestion => suggestion.data.bic);
+
+    beforeEach(async () => {
+        store = new MemoryCacheStore({ maxSize: 10 });
+        directory = new LocalBankDirectory({ store });
+        await directory.importED807(ed807);
+    });
+
+    it('imports valid entries and keeps them in the store', async () => {
+        assert.equal(directory.getInfo().count, 6);
+        assert.equal(directory.getInfo().edDate, '2024-03-15');
+
+        const restored = new LocalBankDirectory({ store });
+        assert.equal(await restored.load(), true);
+        assert.equal(restored.isLoaded(), true);
+        assert.deepEqual(bics(await restored.findByBIC('044525225')), ['044525225']);
+
+        await restored.clear();
+        assert.equal(restored.isLoaded(), false);
+        assert.equal(await new LocalBankDirectory({ store }).load(), false);
+    });
+
+    it('rejects a file without directory entries', async () => {
+        await assert.rejects(directory.importED807('<ED807 EDDate="2024-03-15"></ED807>'), /no directory entries/);
+        assert.equal(directory.getInfo().count, 6);
+    });
+
+    it('searches by name words, city and English name', async () => {
+        assert.deepEqual(bics(await directory.search('сбербанк')), ['044525225', '044030653']);
+        assert.deepEqual(bics(await directory.search('сбер петербург')), ['044030653']);
+        assert.deepEqual(bics(await directory.search('альфа банк')), ['044525593']);
+        assert.deepEqual(bics(await directory.search('Sberbank')), ['044525225']);
+        assert.deepEqual(bics(await directory.search('сб')), []);
+    });
+
+    it('searches by BIC prefix and correspondent account fragment', async () => {
+        assert.deepEqual(bics(await directory.search('0440')), ['044030653']);
+        assert.deepEqual(bics(await directory.search('00000000593')), ['044525593']);
+    });
+
+    it('filters by status and type', async () => {
+        const moscow = await directory.search('москва', { status: ['ACTIVE'], type: ['BANK'] });
+        assert.deepEqual(bics(moscow), ['044525225', '044525593']);
+
+        assert.deepEqual(bics(await directory.search('тестовый', { status: ['LIQUIDATED'] })), ['044525101']);
+        assert.equal(bics(await directory.search('москва', { count: 2 })).length, 2);
+    });
+
+    it('finds entries by BIC, SWIFT and registration number', async () => {
+        assert.deepEqual(bics(await directory.findById('044525593')), ['044525593']);
+        assert.deepEqual(bics(await directory.findById('alfarumm')), ['044525593']);
+        assert.deepEqual(bics(await directory.findById('ALFARUMMXXX')), ['044525593']);
+        assert.deepEqual(bics(await directory.findById('1481')), ['044525225']);
+        assert.deepEqual(bics(await directory.findById('044525999')), []);
+        assert.deepEqual(bics(await directory.findByBIC('1234')), []);
+    });
+
+    it('returns suggestions that format like DaData answers', async () => {
+        const [suggestion] = (await directory.findById('004525988')).suggestions;
+        const bank = Utils.formatBankData(suggestion);
+
+        assert.equal(bank.name, 'ГУ Банка России по ЦФО//УФК по г. Москве');
+        assert.deepEqual(bank.treasuryAccounts, ['40102810545370000003']);
+        assert.equal(suggestion.data.source, 'ed807');
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Utils, FavoritesStore } = require('../index.js');
+const fixtures = require('./fixtures/banks.json');
+
+const sberbank = Utils.formatBankData(fixtures[0]);
+const alfa = Utils.formatBankData(fixtures.find(item => item.data.bic === '044525593'));
+
+/**
+ * Хранилище с интерфейсом Web Storage
+ */
+function createStorage() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value))
+    };
+}
+
+describe('FavoritesStore', () => {
+    it('keeps bank data with a label, tags and notes in the storage', () => {
+        const storage = createStorage();
+        const store = new FavoritesStore({ storage });
+
+        store.add({ ...sberbank, timestamp: 1 }, { label: ' Зарплатный ', tags: 'зарплата, Москва, москва', notes: 'Договор 15' });
+
+        const entry = new FavoritesStore({ storage }).get('044525225');
+        assert.equal(entry.label, 'Зарплатный');
+        assert.deepEqual(entry.tags, ['зарплата', 'Москва']);
+        assert.equal(entry.notes, 'Договор 15');
+        assert.equal(entry.bank.correspondentAccount, sberbank.correspondentAccount);
+        assert.equal(entry.bank.timestamp, undefined);
+
+        store.update('044525225', { notes: '' });
+        assert.equal(store.get('044525225').notes, '');
+        assert.equal(store.add({ name: 'Без БИК' }), null);
+        assert.equal(store.remove('044525225'), true);
+        assert.equal(new FavoritesStore({ storage }).size, 0);
+    });
+
+    it('searches offline by words and filters by tag', () => {
+        const store = new FavoritesStore();
+        store.add(sberbank, { tags: ['поставщики'], notes: 'Оплата до 10 числа' });
+        store.add(alfa, { label: 'Аренда офиса', tags: ['Аренда', 'поставщики'] });
+
+        assert.deepEqual(store.search('сбер').map(entry => entry.bic), ['044525225']);
+        assert.deepEqual(store.search('оплата 10').map(entry => entry.bic), ['044525225']);
+        assert.deepEqual(store.search('044525593').map(entry => entry.bic), ['044525593']);
+        assert.deepEqual(store.search('', { tag: 'аренда' }).map(entry => entry.bic), ['044525593']);
+        assert.equal(store.search('', { tag: 'поставщики' }).length, 2);
+        assert.deepEqual(store.getTags(), ['Аренда', 'поставщики']);
+    });
+
+    it('merges an export by BIC and reports conflicts', () => {
+        const remote = new FavoritesStore();
+        remote.add(sberbank, { label: 'Зарплатный', tags: ['зарплата'], notes: 'Из бухгалтерии' });
+        remote.add({ ...alfa, correspondentAccount: '30101810200000000999' }, { label: 'Аренда' });
+        remote.add(Utils.formatBankData(fixtures[5]));
+
+        const local = new FavoritesStore();
+        local.add(sberbank, { tags: ['поставщики'] });
+        local.add(alfa, { label: 'Аренда офиса' });
+
+        const report = local.merge(remote.export());
+
+        assert.deepEqual(report.added, ['044030653']);
+        assert.deepEqual(report.updated, ['044525225']);
+        assert.deepEqual(report.unchanged, []);
+        assert.equal(report.conflicts.length, 1);
+        assert.deepEqual(report.conflicts[0].fields, ['correspondentAccount', 'label']);
+
+        const merged = local.get('044525225');
+        assert.equal(merged.label, 'Зарплатный');
+        assert.deepEqual(merged.tags, ['поставщики', 'зарплата']);
+        assert.equal(local.get('044525593').label, 'Аренда офиса');
+
+        local.resolveConflict(report.conflicts[0], 'incoming');
+        assert.equal(local.get('044525593').label, 'Аренда');
+        assert.equal(local.get('044525593').bank.correspondentAccount, '30101810200000000999');
+
+        assert.deepEqual(local.merge(local.export()).unchanged.length, 3);
+    });
+
+    it('rejects files that are not a favorites export', () => {
+        assert.throws(() => FavoritesStore.parseImport('not json'), /not valid JSON/);
+        assert.throws(() => FavoritesStore.parseImport('{"items": []}'), /no favorites list/);
+        assert.throws(() => FavoritesStore.parseImport('{"version": 99, "favorites": []}'), /Unsupported/);
+
+        const { entries, skipped } = FavoritesStore.parseImport(JSON.stringify([{ bic: '044525225' }, { bic: '123' }]));
+        assert.equal(entries.length, 1);
+        assert.equal(skipped, 1);
+    });
+});
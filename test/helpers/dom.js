@@ -0,0 +1,124 @@
+/**
+ * Загрузка приложения в jsdom
+ *
+ * Скрипты подключаются в том же порядке, что и в index.html, и выполняются
+ * как обычные браузерные скрипты (без module.exports).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = [
+    'js/utils.js',
+    'js/dom.js',
+    'js/errors.js',
+    'js/cache.js',
+    'js/directory.js',
+    'js/providers.js',
+    'js/api.js',
+    'js/batch.js',
+    'js/favorites.js',
+    'js/qrcode.js',
+    'js/payment.js',
+    'js/requisites.js',
+    'js/history-view.js',
+    'js/favorites-view.js',
+    'js/payment-view.js',
+    'js/smart-paste-view.js',
+    'js/app.js'
+];
+
+/**
+ * Создание окна с разметкой index.html и загруженными скриптами
+ * @param {Object} options - Параметры
+ * @param {Object} options.config - window.APP_CONFIG (например, { PROXY_URL })
+ * @param {string} options.url - Адрес страницы (например, с параметрами фильтров)
+ * @returns {Promise<Object>} - { dom, window, document, clipboard }
+ */
+async function createWindow(options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        // Скрипты выполняем сами, внешние ресурсы не нужны
+        .replace(/<script[^>]*><\/script>/g, '')
+        .replace(/<link[^>]*>/g, '');
+
+    const dom = new JSDOM(html, {
+        url: options.url || 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+
+    // Запросы выполняет fetch из Node.js, ему нужны сигналы отмены того же окружения
+    window.fetch = fetch;
+    window.AbortController = AbortController;
+    window.AbortSignal = AbortSignal;
+    window.APP_CONFIG = options.config || {};
+    // Есть во всех браузерах, но не в каждой версии jsdom
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+
+    const clipboard = { writes: [] };
+    Object.defineProperty(window, 'isSecureContext', { value: true });
+    Object.defineProperty(window.navigator, 'clipboard', {
+        value: { writeText: async text => { clipboard.writes.push(text); } }
+    });
+
+    // Скрипты подключаем после загрузки документа, чтобы app.js не создал
+    // второй экземпляр приложения по DOMContentLoaded: тесты создают его сами
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+
+    // vm.Script, а не eval: объявления классов в скриптах должны стать глобальными
+    const context = dom.getInternalVMContext();
+    SCRIPTS.forEach(script => {
+        const file = path.join(ROOT, script);
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    });
+
+    return { dom, window, document: window.document, clipboard };
+}
+
+/**
+ * Ожидание выполнения условия
+ * @param {Function} predicate - Условие
+ * @param {number} timeout - Максимальное время ожидания в мс
+ * @returns {Promise<void>}
+ */
+async function waitFor(predicate, timeout = 2000) {
+    const start = Date.now();
+
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Condition was not met in time');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Ввод текста в поле с генерацией события input
+ * @param {Window} window - Окно jsdom
+ * @param {HTMLInputElement} input - Поле ввода
+ * @param {string} value - Значение
+ */
+function type(window, input, value) {
+    input.value = value;
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+/**
+ * Нажатие клавиши в поле
+ * @param {Window} window - Окно jsdom
+ * @param {HTMLElement} element - Элемент
+ * @param {string} key - Клавиша (ArrowDown, Enter, Escape)
+ */
+function press(window, element, key) {
+    element.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+module.exports = { createWindow, waitFor, type, press };
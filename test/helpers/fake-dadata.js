@@ -0,0 +1,195 @@
+/**
+ * Локальный HTTP сервер, имитирующий API подсказок DaData
+ *
+ * Отвечает на POST /suggest/bank и /findById/bank по фикстурам
+ * (test/fixtures/banks.json) и умеет имитировать ошибки (401, 403, 429, 500)
+ * и медленные ответы. Все полученные запросы сохраняются в server.requests.
+ */
+
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURES = require(path.join(__dirname, '..', 'fixtures', 'banks.json'));
+
+// Тела ответов DaData для имитируемых ошибок
+const ERROR_BODIES = {
+    401: { family: 'CLIENT_ERROR', reason: 'Unauthorized', message: 'Unauthorized' },
+    403: { family: 'CLIENT_ERROR', reason: 'Forbidden', message: 'Forbidden' },
+    429: { family: 'CLIENT_ERROR', reason: 'Too Many Requests', message: 'Too many requests' },
+    500: { family: 'SERVER_ERROR', reason: 'Internal Server Error', message: 'Internal Server Error' }
+};
+
+class FakeDaDataServer {
+    /**
+     * @param {Object} options - Параметры
+     * @param {Array<Object>} options.fixtures - Подсказки в формате DaData ({ value, data })
+     * @param {string|null} options.token - Ожидаемый токен; без него заголовок Authorization не проверяется
+     */
+    constructor(options = {}) {
+        this.fixtures = options.fixtures || DEFAULT_FIXTURES;
+        this.token = options.token || null;
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.requests = [];
+        this.failures = [];
+        this.delay = 0;
+        this.url = null;
+    }
+
+    /**
+     * Запуск на свободном порту
+     * @returns {Promise<string>} - Адрес сервера
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Остановка сервера с закрытием открытых соединений
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Очистка журнала запросов и запланированных ошибок
+     */
+    reset() {
+        this.requests = [];
+        this.failures = [];
+        this.delay = 0;
+    }
+
+    /**
+     * Имитация ошибки для следующих запросов
+     * @param {number} status - HTTP статус (401, 403, 429, 500)
+     * @param {Object} options - Параметры
+     * @param {number} options.times - Сколько запросов подряд завершить ошибкой
+     * @param {Object} options.body - Тело ответа (по умолчанию как у DaData)
+     * @param {Object} options.headers - Дополнительные заголовки (например, Retry-After)
+     */
+    fail(status, options = {}) {
+        const failure = {
+            status,
+            body: options.body || ERROR_BODIES[status] || { message: 'Error' },
+            headers: options.headers || {}
+        };
+
+        for (let i = 0; i < (options.times || 1); i++) {
+            this.failures.push(failure);
+        }
+    }
+
+    /**
+     * Имитация медленных ответов
+     * @param {number} ms - Задержка каждого ответа в мс
+     */
+    setDelay(ms) {
+        this.delay = ms;
+    }
+
+    /**
+     * Количество запросов к маршруту
+     * @param {string} pathname - '/suggest/bank' или '/findById/bank'
+     * @returns {number}
+     */
+    countRequests(pathname) {
+        return this.requests.filter(request => request.path === pathname).length;
+    }
+
+    async handleRequest(req, res) {
+        let raw = '';
+        for await (const chunk of req) {
+            raw += chunk;
+        }
+
+        const body = raw ? JSON.parse(raw) : {};
+        const pathname = req.url.replace(/\/+$/, '');
+        this.requests.push({ path: pathname, method: req.method, headers: req.headers, body });
+
+        if (this.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.delay));
+            // Клиент мог прервать запрос по таймауту
+            if (res.destroyed) {
+                return;
+            }
+        }
+
+        if (this.failures.length > 0) {
+            const failure = this.failures.shift();
+            return this.send(res, failure.status, failure.body, failure.headers);
+        }
+
+        if (this.token && req.headers.authorization !== `Token ${this.token}`) {
+            return this.send(res, 401, ERROR_BODIES[401]);
+        }
+
+        if (req.method !== 'POST') {
+            return this.send(res, 405, { message: 'Method Not Allowed' });
+        }
+
+        if (pathname.endsWith('/suggest/bank')) {
+            return this.send(res, 200, { suggestions: this.suggest(body) });
+        }
+
+        if (pathname.endsWith('/findById/bank')) {
+            return this.send(res, 200, { suggestions: this.findById(body) });
+        }
+
+        this.send(res, 404, { message: 'Not Found' });
+    }
+
+    /**
+     * Поиск подсказок: префикс БИК или вхождение в название и адрес
+     * с учетом фильтров по статусу и типу организации
+     * @param {Object} body - Тело запроса suggest/bank
+     * @returns {Array<Object>} - Подсказки
+     */
+    suggest(body) {
+        const query = String(body.query || '').trim().toLowerCase();
+        const statuses = body.status && body.status.length ? body.status : null;
+        const types = body.type && body.type.length ? body.type : null;
+
+        return this.fixtures
+            .filter(suggestion => {
+                const data = suggestion.data;
+                const text = `${suggestion.value} ${data.name.full} ${data.address.value}`.toLowerCase();
+                return data.bic.startsWith(query) || text.includes(query);
+            })
+            .filter(suggestion => !statuses || statuses.includes(suggestion.data.state.status))
+            .filter(suggestion => !types || types.includes(suggestion.data.opf.type))
+            .slice(0, body.count || 10);
+    }
+
+    /**
+     * Точный поиск по БИК, SWIFT, ИНН или регистрационному номеру
+     * @param {Object} body - Тело запроса findById/bank
+     * @returns {Array<Object>} - Подсказки
+     */
+    findById(body) {
+        const query = String(body.query || '').trim().toUpperCase();
+
+        return this.fixtures
+            .filter(suggestion => {
+                const data = suggestion.data;
+                return [data.bic, data.swift, data.inn, data.registration_number].includes(query);
+            })
+            .slice(0, body.count || 10);
+    }
+
+    send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = { FakeDaDataServer, ERROR_BODIES };
@@ -0,0 +1,177 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Utils, PaymentQR, QRCode } = require('../index.js');
+const fixtures = require('./fixtures/banks.json');
+
+const sberbank = Utils.formatBankData(fixtures[0]);
+const payee = {
+    Name: 'ООО «Ромашка»',
+    PersonalAcc: '40702810938000000001',
+    PayeeINN: '7701234567',
+    Purpose: 'Оплата по счету № 15',
+    Sum: '150000'
+};
+
+describe('PaymentQR', () => {
+    it('builds an ST00012 payload with the bank requisites', () => {
+        const result = PaymentQR.build({ ...payee, ...PaymentQR.fromBank(sberbank) });
+
+        assert.equal(result.valid, true);
+        assert.equal(result.payload,
+            'ST00012|Name=ООО «Ромашка»|PersonalAcc=40702810938000000001|BankName=ПАО СБЕРБАНК|BIC=044525225'
+            + '|CorrespAcc=30101810400000000225|PayeeINN=7701234567|Purpose=Оплата по счету № 15|Sum=150000');
+    });
+
+    it('validates the payee account against the BIC', () => {
+        const result = PaymentQR.build({ ...payee, PersonalAcc: '40702810538000012345', ...PaymentQR.fromBank(sberbank) });
+
+        assert.equal(result.payload, null);
+        assert.deepEqual(result.errors.map(error => error.field), ['PersonalAcc']);
+        assert.match(result.errors[0].message, /контрольный ключ/);
+    });
+
+    it('accepts a treasury account of a budget payee', () => {
+        const budget = {
+            Name: 'УФНС России по г. Москве',
+            PersonalAcc: '03100643000000017300',
+            BankName: 'ГУ БАНКА РОССИИ ПО ЦФО//УФК ПО Г. МОСКВЕ',
+            BIC: '004525988',
+            CorrespAcc: '40102810545370000003',
+            PayeeINN: '7727406020'
+        };
+
+        assert.equal(PaymentQR.build(budget).valid, true);
+        assert.deepEqual(PaymentQR.validate({ ...budget, PersonalAcc: '40702810938000000001' }).errors.map(error => error.field),
+            ['PersonalAcc']);
+    });
+
+    it('reports missing fields, separators and malformed values', () => {
+        const { errors } = PaymentQR.validate({
+            Name: 'ООО | Ромашка',
+            PersonalAcc: '40702810938000000001',
+            BIC: '044525225',
+            CorrespAcc: '0',
+            KPP: '77',
+            Sum: '0'
+        });
+
+        assert.deepEqual(errors.map(error => error.field), ['Name', 'BankName', 'KPP', 'Sum']);
+    });
+
+    it('uses the single treasury account as the bank account of a treasury office', () => {
+        const treasury = { name: 'УФК по г. Москве', bic: '004525988', correspondentAccount: '', treasuryAccounts: ['40102810545370000003'] };
+
+        assert.equal(PaymentQR.fromBank(treasury).CorrespAcc, '40102810545370000003');
+        assert.equal(PaymentQR.fromBank({ ...treasury, treasuryAccounts: null }).CorrespAcc, '0');
+    });
+
+    it('converts rubles to kopecks', () => {
+        assert.equal(PaymentQR.parseAmount('1 234,5'), '123450');
+        assert.equal(PaymentQR.parseAmount('0.05'), '5');
+        assert.equal(PaymentQR.parseAmount(100), '10000');
+        assert.equal(PaymentQR.parseAmount('12,345'), null);
+        assert.equal(PaymentQR.parseAmount('сто'), null);
+    });
+});
+
+describe('PaymentQR.parse', () => {
+    const payload = 'ST00012|Name=ООО «Ромашка»|PersonalAcc=40702810938000000001|BankName=ПАО СБЕРБАНК'
+        + '|Bic=044525225|CorrespAcc=30101810400000000225|Sum=150050|PayerAddress=г. Москва';
+
+    it('extracts requisites from a text dump', () => {
+        const parsed = PaymentQR.parse(`Платеж от клиента:\n${payload}\nСпасибо`);
+
+        assert.equal(parsed.encoding, 'utf-8');
+        assert.equal(parsed.separator, '|');
+        assert.equal(parsed.fields.BIC, '044525225');
+        assert.equal(parsed.fields.Name, 'ООО «Ромашка»');
+        assert.deepEqual({ ...parsed.extra }, { PayerAddress: 'г. Москва' });
+        assert.equal(parsed.validation.valid, true);
+        assert.equal(PaymentQR.formatAmount(parsed.fields.Sum), '1 500,50');
+    });
+
+    it('supports custom separators', () => {
+        assert.equal(PaymentQR.parse('ST00011#Name=А#BIC=044525225').fields.BIC, '044525225');
+        assert.equal(PaymentQR.parse('ST00012;;Name=А;;BIC=044525225', { separator: ';;' }).fields.Name, 'А');
+        assert.equal(PaymentQR.parse('ST00011#Name=А#BIC=044525225').encoding, 'windows-1251');
+    });
+
+    it('rejects strings without a header or requisites', () => {
+        assert.throws(() => PaymentQR.parse('Name=А|BIC=044525225'), /Not an ST0001/);
+        assert.throws(() => PaymentQR.parse('ST00012|'), /no requisites/);
+    });
+
+    it('reconciles the bank name and correspondent account with the directory', () => {
+        const { fields } = PaymentQR.parse(payload);
+        const matches = rows => Object.fromEntries(rows.map(row => [row.field, row.match]));
+
+        assert.deepEqual(matches(PaymentQR.reconcile(fields, sberbank)),
+            { BIC: true, BankName: true, CorrespAcc: true, PersonalAcc: true });
+
+        const wrong = { ...fields, BankName: 'АО «АЛЬФА-БАНК»', CorrespAcc: '30101810200000000593' };
+        assert.deepEqual(matches(PaymentQR.reconcile(wrong, sberbank)),
+            { BIC: true, BankName: false, CorrespAcc: false, PersonalAcc: true });
+
+        assert.equal(PaymentQR.reconcile(fields, null).filter(row => !row.match).length, 3);
+    });
+
+    it('reconciles a payment to a treasury office built by the app', () => {
+        const treasury = {
+            name: 'ГУ Банка России по ЦФО//УФК по г. Москве',
+            bic: '004525988',
+            correspondentAccount: '',
+            treasuryAccounts: ['40102810545370000003']
+        };
+        const { payload } = PaymentQR.build({ Name: 'УФНС России по г. Москве', PersonalAcc: '03100643000000017300', ...PaymentQR.fromBank(treasury) });
+        const rows = PaymentQR.reconcile(PaymentQR.parse(payload).fields, treasury);
+
+        assert.deepEqual(rows.filter(row => !row.match).map(row => row.field), []);
+        assert.equal(rows.find(row => row.field === 'CorrespAcc').directory, '40102810545370000003');
+        assert.equal(rows.find(row => row.field === 'PersonalAcc').directory, 'Казначейский счет, формат верный');
+    });
+});
+
+describe('QRCode', () => {
+    /**
+     * Биты формата, прочитанные вокруг левого верхнего поискового узора
+     */
+    function readFormat(qr) {
+        const m = qr.modules;
+        const bits = [
+            m[0][8], m[1][8], m[2][8], m[3][8], m[4][8], m[5][8], m[7][8], m[8][8],
+            m[8][7], m[8][5], m[8][4], m[8][3], m[8][2], m[8][1], m[8][0]
+        ];
+        const value = bits.reduce((acc, bit, i) => acc | (Number(bit) << i), 0) ^ 0x5412;
+        return { level: value >>> 13, mask: (value >>> 10) & 7 };
+    }
+
+    it('picks the smallest version that fits the data', () => {
+        assert.equal(QRCode.encode('a'.repeat(14), { errorCorrection: 'M' }).version, 1);
+        assert.equal(QRCode.encode('a'.repeat(15), { errorCorrection: 'M' }).version, 2);
+        assert.equal(QRCode.encode('a'.repeat(2953), { errorCorrection: 'L' }).version, 40);
+        assert.throws(() => QRCode.encode('a'.repeat(2954), { errorCorrection: 'L' }), /too long/);
+    });
+
+    it('draws finder patterns and format information', () => {
+        const qr = QRCode.encode('ST00012|Name=Тест', { errorCorrection: 'M' });
+
+        assert.equal(qr.size, qr.version * 4 + 17);
+        assert.equal(qr.modules.length, qr.size);
+        [[0, 0], [0, qr.size - 7], [qr.size - 7, 0]].forEach(([y, x]) => {
+            assert.equal(qr.modules[y][x], true);
+            assert.equal(qr.modules[y + 1][x + 1], false);
+            assert.equal(qr.modules[y + 3][x + 3], true);
+        });
+        assert.deepEqual(readFormat(qr), { level: 0, mask: qr.mask });
+    });
+
+    it('renders an SVG with a quiet zone', () => {
+        const qr = QRCode.encode('044525225');
+        const svg = QRCode.toSVG(qr, { moduleSize: 2 });
+        const size = qr.size + 8;
+
+        assert.match(svg, new RegExp(`viewBox="0 0 ${size} ${size}" width="${size * 2}"`));
+        assert.match(svg, /<path d="M4,4h1v1h-1z/);
+    });
+});
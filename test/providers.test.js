@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    BankDataProvider, CompositeProvider, LocalDirectoryProvider, MockProvider, LocalBankDirectory, MemoryCacheStore,
+    DaDataError, NetworkError, ServerError, CancelError
+} = require('../index.js');
+const fixtures = require('./fixtures/banks.json');
+
+const ed807 = fs.readFileSync(path.join(__dirname, 'fixtures', 'ed807.xml'));
+const bics = result => result.suggestions.map(suggestion => suggestion.data.bic);
+
+/**
+ * Поставщик, который всегда завершается ошибкой и считает обращения
+ */
+class FailingProvider extends BankDataProvider {
+    constructor(id, error) {
+        super(id, id);
+        this.error = error;
+        this.calls = 0;
+    }
+
+    async search() {
+        this.calls++;
+        throw this.error;
+    }
+
+    async findById() {
+        this.calls++;
+        throw this.error;
+    }
+}
+
+/**
+ * Журнал, собирающий сообщения вместо вывода в консоль
+ */
+function createLogger() {
+    const messages = [];
+    return { messages, warn: message => messages.push(message) };
+}
+
+describe('MockProvider', () => {
+    const provider = new MockProvider(fixtures);
+
+    it('searches fixtures by BIC prefix and name', async () => {
+        assert.deepEqual(bics(await provider.search('04452559')), ['044525593']);
+        assert.ok(bics(await provider.search('сбербанк')).includes('044525225'));
+        assert.equal((await provider.search('банк', { count: 2 })).suggestions.length, 2);
+    });
+
+    it('finds fixtures by BIC, SWIFT and INN', async () => {
+        assert.deepEqual(bics(await provider.findById('044525225')), ['044525225']);
+        assert.deepEqual(bics(await provider.findById('7728168971')), ['044525593']);
+        assert.deepEqual(bics(await provider.findById('044525999')), []);
+    });
+
+    it('tags the answer and every suggestion with the provider', async () => {
+        const result = await new MockProvider(fixtures, { id: 'demo', title: 'Демо' }).findById('044525225');
+
+        assert.deepEqual(result.provider, { id: 'demo', title: 'Демо' });
+        assert.ok(result.suggestions.every(suggestion => suggestion.provider.id === 'demo'));
+        // Фикстуры не изменяются пометкой
+        assert.equal(fixtures[0].provider, undefined);
+    });
+
+    it('throws CancelError when the signal is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await assert.rejects(new MockProvider(fixtures, { latency: 5 }).search('сбер', { signal: controller.signal }), CancelError);
+    });
+});
+
+describe('LocalDirectoryProvider', () => {
+    it('is available only with a loaded directory', async () => {
+        const directory = new LocalBankDirectory({ store: new MemoryCacheStore() });
+        const provider = new LocalDirectoryProvider(directory);
+
+        assert.equal(provider.isAvailable(), false);
+        await directory.importED807(ed807);
+        assert.equal(provider.isAvailable(), true);
+        assert.equal(await provider.healthCheck(), true);
+    });
+
+    it('answers from the directory with the provider tag', async () => {
+        const directory = new LocalBankDirectory({ store: new MemoryCacheStore() });
+        await directory.importED807(ed807);
+        const provider = new LocalDirectoryProvider(directory);
+
+        const result = await provider.findById('044525593');
+
+        assert.deepEqual(bics(result), ['044525593']);
+        assert.equal(result.provider.id, 'ed807');
+        assert.equal(result.suggestions[0].provider.id, 'ed807');
+        assert.deepEqual(bics(await provider.search('альфа банк')), ['044525593']);
+    });
+});
+
+describe('CompositeProvider', () => {
+    it('falls back to the next provider on network and server errors', async () => {
+        const offline = new FailingProvider('offline', new NetworkError('Network error'));
+        const broken = new FailingProvider('broken', new ServerError('Server error', { status: 500 }));
+        const logger = createLogger();
+        const composite = new CompositeProvider([offline, broken, new MockProvider(fixtures)], { logger });
+
+        const result = await composite.findById('044525225');
+
+        assert.deepEqual(bics(result), ['044525225']);
+        assert.equal(result.provider.id, 'mock');
+        assert.deepEqual([offline.calls, broken.calls], [1, 1]);
+        assert.deepEqual(logger.messages, [
+            'Provider offline failed, trying next:',
+            'Provider broken failed, trying next:'
+        ]);
+    });
+
+    it('skips unavailable providers without calling them', async () => {
+        const directory = new LocalBankDirectory({ store: new MemoryCacheStore() });
+        const composite = new CompositeProvider([new LocalDirectoryProvider(directory), new MockProvider(fixtures)]);
+
+        assert.equal((await composite.search('альфа')).provider.id, 'mock');
+    });
+
+    it('passes CancelError through without trying the next provider', async () => {
+        const cancelled = new FailingProvider('cancelled', new CancelError());
+        const next = new FailingProvider('next', new NetworkError('Network error'));
+        const logger = createLogger();
+        const composite = new CompositeProvider([cancelled, next], { logger });
+
+        await assert.rejects(composite.search('сбер'), CancelError);
+        assert.equal(next.calls, 0);
+        assert.deepEqual(logger.messages, []);
+    });
+
+    it('throws the last error when every provider fails', async () => {
+        const composite = new CompositeProvider([
+            new FailingProvider('offline', new NetworkError('Network error')),
+            new FailingProvider('broken', new ServerError('Server error', { status: 502 }))
+        ], { logger: createLogger() });
+
+        await assert.rejects(composite.findById('044525225'), ServerError);
+        await assert.rejects(new CompositeProvider([]).findById('044525225'), DaDataError);
+    });
+
+    it('reports the health of every provider', async () => {
+        const directory = new LocalBankDirectory({ store: new MemoryCacheStore() });
+        const composite = new CompositeProvider([new LocalDirectoryProvider(directory), new MockProvider(fixtures)]);
+
+        assert.deepEqual((await composite.checkProviders()).map(result => [result.id, result.healthy]), [
+            ['ed807', false],
+            ['mock', true]
+        ]);
+        assert.equal(await composite.healthCheck(), true);
+        assert.equal(composite.getProvider('mock').title, 'Тестовые данные');
+        assert.equal(composite.getProvider('missing'), null);
+    });
+});
@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { Readable } = require('stream');
+
+const { ProxyServer, RateLimiter } = require('../server/proxy.js');
+const { DaDataAPI, AuthError } = require('../index.js');
+const { FakeDaDataServer } = require('./helpers/fake-dadata.js');
+
+const TOKEN = 'upstream-secret-token';
+const quiet = { warn: () => {}, error: () => {} };
+
+describe('ProxyServer', () => {
+    const upstream = new FakeDaDataServer({ token: TOKEN });
+    const proxies = [];
+
+    /**
+     * Прокси на свободном порту перед тестовым сервером DaData
+     * @returns {Promise<string>} - Адрес API прокси
+     */
+    async function startProxy(options = {}) {
+        const proxy = new ProxyServer({ apiKey: TOKEN, upstreamURL: upstream.url, ...options });
+        const address = await proxy.start(0);
+        proxies.push(proxy);
+        return `http://127.0.0.1:${address.port}/api`;
+    }
+
+    function post(url, body = { query: '044525225' }) {
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    before(() => upstream.start());
+    after(async () => {
+        await Promise.all(proxies.map(proxy => proxy.stop()));
+        await upstream.stop();
+    });
+    beforeEach(() => upstream.reset());
+
+    it('adds the Authorization header on the way to DaData', async () => {
+        const apiURL = await startProxy();
+        const api = new DaDataAPI(null, { proxyURL: apiURL, logger: quiet });
+
+        const result = await api.findByBIC('044525225');
+
+        assert.equal(result.suggestions[0].data.bic, '044525225');
+        assert.equal(upstream.requests[0].path, '/findById/bank');
+        assert.equal(upstream.requests[0].headers.authorization, `Token ${TOKEN}`);
+    });
+
+    it('never exposes the token to the browser', async () => {
+        const apiURL = await startProxy();
+        const origin = apiURL.replace(/\/api$/, '');
+
+        const response = await post(`${apiURL}/suggest/bank`, { query: 'сбер' });
+        const body = await response.text();
+        const config = await (await fetch(`${origin}/config.js`)).text();
+
+        assert.equal(response.status, 200);
+        assert.ok(!body.includes(TOKEN));
+        assert.ok(![...response.headers.values()].some(value => value.includes(TOKEN)));
+        assert.match(config, /"PROXY_URL":"\/api"/);
+        assert.ok(!config.includes(TOKEN));
+    });
+
+    it('answers 429 with Retry-After once a client exceeds the limit', async () => {
+        const apiURL = await startProxy({ rateLimit: 2, rateLimitWindow: 60 * 1000 });
+
+        const statuses = [];
+        let last;
+        for (let i = 0; i < 3; i++) {
+            last = await post(`${apiURL}/findById/bank`);
+            statuses.push(last.status);
+        }
+
+        assert.deepEqual(statuses, [200, 200, 429]);
+        assert.ok(Number(last.headers.get('retry-after')) > 0);
+        assert.equal(last.headers.get('x-ratelimit-remaining'), '0');
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    it('returns 404 for unknown API paths without calling DaData', async () => {
+        const apiURL = await startProxy();
+
+        const response = await post(`${apiURL}/suggest/party`);
+
+        assert.equal(response.status, 404);
+        assert.equal(upstream.requests.length, 0);
+    });
+
+    it('serves static files and answers 500 when a file cannot be read', async () => {
+        const origin = (await startProxy()).replace(/\/api$/, '');
+
+        const page = await fetch(`${origin}/index.html`);
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /<script src="js\/app.js"><\/script>/);
+
+        // Файл есть при stat, но открыть его не удается
+        mock.method(console, 'error', () => {});
+        mock.method(fs, 'createReadStream', () => {
+            const stream = new Readable({ read() {} });
+            process.nextTick(() => stream.destroy(Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' })));
+            return stream;
+        });
+
+        try {
+            const response = await fetch(`${origin}/index.html`);
+            assert.equal(response.status, 500);
+            assert.deepEqual(await response.json(), { message: 'Failed to read file' });
+        } finally {
+            mock.restoreAll();
+        }
+    });
+
+    it('rejects API requests with a non-retryable auth error when the key is missing', async () => {
+        const apiURL = await startProxy({ apiKey: null });
+        const api = new DaDataAPI(null, {
+            proxyURL: apiURL,
+            retry: { retries: 2, baseDelay: 5, maxDelay: 20, jitter: 0 },
+            logger: quiet
+        });
+
+        const error = await api.findByBIC('044525225').catch(error => error);
+
+        assert.ok(error instanceof AuthError);
+        assert.equal(error.status, 503);
+        assert.equal(error.retryable, false);
+        assert.equal(api.getErrorInfo(error).message, 'API ключ не настроен');
+        assert.equal(upstream.requests.length, 0);
+    });
+});
+
+describe('RateLimiter', () => {
+    it('counts requests per client within a fixed window', () => {
+        const limiter = new RateLimiter(2, 60 * 1000);
+
+        assert.deepEqual(limiter.hit('a'), { allowed: true, remaining: 1, retryAfter: 0 });
+        assert.equal(limiter.hit('a').allowed, true);
+
+        const denied = limiter.hit('a');
+        assert.equal(denied.allowed, false);
+        assert.equal(denied.remaining, 0);
+        assert.equal(denied.retryAfter, 60);
+
+        assert.equal(limiter.hit('b').allowed, true);
+    });
+
+    it('starts a new window and prunes expired entries', () => {
+        const limiter = new RateLimiter(1, 1000);
+        limiter.hit('a');
+        limiter.hit('b');
+
+        // Окно клиента «a» истекло
+        limiter.clients.get('a').resetAt = Date.now() - 1;
+
+        assert.equal(limiter.hit('a').allowed, true);
+        assert.equal(limiter.hit('b').allowed, false);
+
+        limiter.prune(Date.now() + 1000);
+        assert.equal(limiter.clients.size, 0);
+    });
+});
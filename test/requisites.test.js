@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Utils, RequisitesParser } = require('../index.js');
+const fixtures = require('./fixtures/banks.json');
+
+const sberbank = Utils.formatBankData(fixtures[0]);
+const letter = `Добрый день! Наши реквизиты:
+ООО «Ромашка», ИНН/КПП 7701234560/770101001, ОГРН 1027700132195
+р/с 4070 2810 9380 0000 0001 в ПАО Сбербанк г. Москва, к/с 30101810400000000225, БИК 044525225`;
+
+describe('RequisitesParser.extract', () => {
+    it('finds labelled requisites in a letter', () => {
+        const { fields, sources } = RequisitesParser.extract(letter);
+
+        assert.deepEqual({ ...fields }, {
+            inn: '7701234560',
+            kpp: '770101001',
+            ogrn: '1027700132195',
+            account: '40702810938000000001',
+            bic: '044525225',
+            correspondentAccount: '30101810400000000225',
+            bankName: 'ПАО Сбербанк г. Москва'
+        });
+        assert.equal(sources.account, 'label');
+    });
+
+    it('understands label variants', () => {
+        const { fields } = RequisitesParser.extract(
+            'Расч. счёт: 40702810938000000001; Банк: АО "АЛЬФА-БАНК"; Кор. счет № 30101810200000000593; BIC:044525593');
+
+        assert.equal(fields.account, '40702810938000000001');
+        assert.equal(fields.bankName, 'АО "АЛЬФА-БАНК"');
+        assert.equal(fields.correspondentAccount, '30101810200000000593');
+        assert.equal(fields.bic, '044525593');
+    });
+
+    it('recognises unlabelled values by their digits', () => {
+        const { fields, sources } = RequisitesParser.extract('40702810938000000001 044525225 30101810400000000225 7707083893 773601001');
+
+        assert.deepEqual({ ...fields }, {
+            account: '40702810938000000001',
+            bic: '044525225',
+            correspondentAccount: '30101810400000000225',
+            inn: '7707083893',
+            kpp: '773601001'
+        });
+        assert.equal(sources.bic, 'pattern');
+    });
+
+    it('recognises an unlabelled treasury office BIC and its accounts', () => {
+        const { fields } = RequisitesParser.extract('УФК по г. Москве 024501901 03100643000000017300 40102810545370000003');
+
+        assert.deepEqual({ ...fields }, {
+            bic: '024501901',
+            account: '03100643000000017300',
+            correspondentAccount: '40102810545370000003'
+        });
+
+        // КПП с ведущим нулем по-прежнему КПП
+        assert.deepEqual({ ...RequisitesParser.extract('0274062111 027401001').fields }, { inn: '0274062111', kpp: '027401001' });
+    });
+
+    it('keeps a labelled value of the wrong length for the check', () => {
+        assert.equal(RequisitesParser.extract('р/с 4070281093800000000').fields.account, '4070281093800000000');
+        assert.deepEqual({ ...RequisitesParser.extract('Спасибо за заказ!').fields }, {});
+    });
+});
+
+describe('RequisitesParser.check', () => {
+    const state = rows => Object.fromEntries(rows.map(row => [row.field, row.valid]));
+
+    it('cross-validates the values against the bank', () => {
+        const { fields } = RequisitesParser.extract(letter);
+        assert.deepEqual(state(RequisitesParser.check(fields, sberbank)), {
+            inn: true, kpp: true, ogrn: true, account: true, bankName: true, bic: true, correspondentAccount: true
+        });
+
+        const wrong = { ...fields, account: '40702810538000012345', correspondentAccount: '30101810200000000593', bankName: 'АО «АЛЬФА-БАНК»' };
+        const rows = RequisitesParser.check(wrong, sberbank);
+        assert.deepEqual(state(rows), {
+            inn: true, kpp: true, ogrn: true, account: false, bankName: false, bic: true, correspondentAccount: false
+        });
+        assert.match(rows.find(row => row.field === 'bankName').message, /В справочнике: ПАО Сбербанк/);
+    });
+
+    it('checks treasury accounts by the treasury rules', () => {
+        const office = Utils.formatBankData({
+            data: {
+                opf: { type: 'TREASURY' },
+                name: { short: 'ГУ Банка России по ЦФО//УФК по г. Москве' },
+                bic: '004525988',
+                correspondent_account: null,
+                treasury_accounts: ['40102810545370000003'],
+                state: { status: 'ACTIVE' }
+            }
+        });
+        const fields = { bic: '004525988', account: '03100643000000017300', correspondentAccount: '40102810545370000003' };
+        const rows = RequisitesParser.check(fields, office);
+
+        assert.deepEqual(state(rows), { account: true, bic: true, correspondentAccount: true });
+        assert.equal(rows.find(row => row.field === 'correspondentAccount').message, 'Совпадает с ЕКС в справочнике');
+        assert.match(RequisitesParser.format(fields, office), /Корр\. счет: 40102810545370000003/);
+
+        const [other] = RequisitesParser.check({ ...fields, correspondentAccount: '40102810845370000004' }, office)
+            .filter(row => row.field === 'correspondentAccount');
+        assert.equal(other.valid, false);
+        assert.equal(other.message, 'В справочнике: 40102810545370000003');
+    });
+
+    it('marks values that cannot be checked without the bank', () => {
+        const rows = RequisitesParser.check({ account: '40702810938000000001', bankName: 'ПАО Сбербанк', inn: '7707083894' }, null);
+
+        assert.deepEqual(state(rows), { inn: false, account: null, bankName: null });
+    });
+
+    it('checks OGRN against the INN type', () => {
+        const [row] = RequisitesParser.check({ inn: '500100732259', ogrn: '1027700132195' }, null).filter(item => item.field === 'ogrn');
+
+        assert.equal(row.valid, false);
+        assert.match(row.message, /физического лица/);
+    });
+});
+
+describe('RequisitesParser.format', () => {
+    it('builds a normalized block with the bank data from the directory', () => {
+        const { fields } = RequisitesParser.extract(letter);
+
+        assert.equal(RequisitesParser.format({ ...fields, correspondentAccount: '30101810200000000593' }, sberbank), [
+            'ИНН: 7701234560',
+            'КПП: 770101001',
+            'ОГРН: 1027700132195',
+            'Расчетный счет: 40702810938000000001',
+            'Банк: ПАО СБЕРБАНК',
+            'БИК: 044525225',
+            'Корр. счет: 30101810400000000225'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,325 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Utils } = require('../index.js');
+const fixtures = require('./fixtures/banks.json');
+
+const sberbank = fixtures[0];
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Utils validators', () => {
+    it('validateBIC accepts exactly 9 digits', () => {
+        assert.equal(Utils.validateBIC('044525225'), true);
+        assert.equal(Utils.validateBIC(' 044525225 '), true);
+        assert.equal(Utils.validateBIC('04452522'), false);
+        assert.equal(Utils.validateBIC('0445252250'), false);
+        assert.equal(Utils.validateBIC('04452522a'), false);
+        assert.equal(Utils.validateBIC(null), false);
+        assert.equal(Utils.validateBIC(44525225), false);
+    });
+
+    it('validateSWIFT accepts 8 and 11 character codes', () => {
+        assert.equal(Utils.validateSWIFT('SABRRUMM'), true);
+        assert.equal(Utils.validateSWIFT('SABRRUMMXXX'), true);
+        assert.equal(Utils.validateSWIFT('SABRRUM'), false);
+        assert.equal(Utils.validateSWIFT('1ABRRUMM'), false);
+    });
+
+    it('validateINN accepts 10 and 12 digits', () => {
+        assert.equal(Utils.validateINN('7707083893'), true);
+        assert.equal(Utils.validateINN('770708389312'), true);
+        assert.equal(Utils.validateINN('77070838'), false);
+    });
+
+    it('validateINNChecksum and validateOGRN check the control digits', () => {
+        assert.equal(Utils.validateINNChecksum('7707083893'), true);
+        assert.equal(Utils.validateINNChecksum('7707083894'), false);
+        assert.equal(Utils.validateINNChecksum('500100732259'), true);
+        assert.equal(Utils.validateOGRN('1027700132195'), true);
+        assert.equal(Utils.validateOGRN('1027700132196'), false);
+        assert.equal(Utils.validateOGRN('304500116000157'), true);
+    });
+
+    it('detectIdentifierType recognises BIC, INN and SWIFT', () => {
+        assert.equal(Utils.detectIdentifierType('044525225'), 'bic');
+        assert.equal(Utils.detectIdentifierType('7707083893'), 'inn');
+        assert.equal(Utils.detectIdentifierType('SABRRUMM'), 'swift');
+        assert.equal(Utils.detectIdentifierType('сбербанк'), null);
+        assert.equal(Utils.detectIdentifierType('0445'), null);
+    });
+
+    it('validateSearchQuery checks the query against the search mode', () => {
+        assert.deepEqual(Utils.validateSearchQuery('0445', 'bic'), { valid: true, complete: false, error: null });
+        assert.equal(Utils.validateSearchQuery('044525225', 'bic').complete, true);
+        assert.equal(Utils.validateSearchQuery('0445252250', 'bic').error, 'БИК должен состоять из 9 цифр');
+        assert.equal(Utils.validateSearchQuery('77a', 'inn').valid, false);
+        assert.equal(Utils.validateSearchQuery('7707083893', 'inn').complete, true);
+        assert.equal(Utils.validateSearchQuery('sabrrumm', 'swift').complete, true);
+        assert.equal(Utils.validateSearchQuery('SAB1', 'swift').valid, false);
+        assert.equal(Utils.validateSearchQuery('044525225', 'name').valid, false);
+        assert.equal(Utils.validateSearchQuery('044525225', 'auto').valid, true);
+        assert.equal(Utils.validateSearchQuery('', 'inn').error, null);
+    });
+});
+
+describe('Utils formatters', () => {
+    it('formatBIC keeps the first 9 digits', () => {
+        assert.equal(Utils.formatBIC('044-525-225-1'), '044525225');
+        assert.equal(Utils.formatBIC(''), '');
+    });
+
+    it('formatAccount groups digits by four and getCleanAccount strips them', () => {
+        assert.equal(Utils.formatAccount('30101810400000000225'), '3010 1810 4000 0000 0225');
+        assert.equal(Utils.getCleanAccount('3010 1810 4000 0000 0225'), '30101810400000000225');
+        assert.equal(Utils.formatAccount(null), '');
+    });
+
+    it('formats INN and KPP', () => {
+        assert.equal(Utils.getCleanINN(Utils.formatINN('7707083893')), '7707083893');
+        assert.equal(Utils.getCleanKPP(Utils.formatKPP('773601001')), '773601001');
+    });
+
+    it('formatBankData maps a DaData suggestion', () => {
+        const bank = Utils.formatBankData(sberbank);
+
+        assert.equal(bank.name, 'ПАО Сбербанк');
+        assert.equal(bank.bic, '044525225');
+        assert.equal(bank.swift, 'SABRRUMM');
+        assert.equal(bank.inn, '7707083893');
+        assert.equal(bank.kpp, '773601001');
+        assert.equal(bank.correspondentAccount, '30101810400000000225');
+        assert.equal(bank.status, 'ACTIVE');
+        assert.equal(bank.paymentCity, 'г. Москва');
+        assert.equal(bank.provider, null);
+    });
+
+    it('formatBankData keeps the payment name, dates, phones, parents and address parts', () => {
+        const bank = Utils.formatBankData({
+            data: {
+                ...sberbank.data,
+                okpo: '00032537',
+                phones: ['+7 495 500-55-50', { value: '900' }],
+                address: {
+                    value: 'г Москва, ул Вавилова, д 19',
+                    data: { postal_code: '117312', city_with_type: 'г Москва', street_with_type: 'ул Вавилова', house_type: 'д', house: '19' }
+                },
+                rkc: { value: 'ГУ Банка России по ЦФО', data: { bic: '044525000', name: { short: 'ГУ Банка России по ЦФО' } } }
+            }
+        });
+
+        assert.equal(bank.paymentName, 'ПАО СБЕРБАНК');
+        assert.equal(bank.okpo, '00032537');
+        assert.deepEqual([...bank.phones], ['+7 495 500-55-50', '900']);
+        assert.equal(bank.registrationDate, 677376000000);
+        assert.equal(bank.liquidationDate, null);
+        assert.equal(bank.actualityDate, 1704067200000);
+        assert.equal(bank.rkc.bic, '044525000');
+        assert.equal(bank.cbr, null);
+        assert.equal(bank.addressParts.postalCode, '117312');
+        assert.equal(bank.addressParts.street, 'ул Вавилова');
+        assert.equal(bank.addressParts.house, 'д 19');
+    });
+
+    it('formatBankData tolerates missing fields', () => {
+        assert.equal(Utils.formatBankData(null), null);
+        assert.equal(Utils.formatBankData({}), null);
+
+        const bank = Utils.formatBankData({ data: { bic: '044525225' } });
+        assert.equal(bank.name, 'Неизвестно');
+        assert.equal(bank.status, 'UNKNOWN');
+    });
+
+    it('parseRegionCodes splits KLADR and FIAS codes', () => {
+        const fias = '0C5B2444-70A0-4932-980C-B4DC0D3F02B5';
+
+        assert.deepEqual(Utils.parseRegionCodes(`77, ${fias}; 7800000000000 moscow`), {
+            locations: [{ kladr_id: '77' }, { fias_id: fias.toLowerCase() }, { kladr_id: '7800000000000' }],
+            invalid: ['moscow']
+        });
+        assert.deepEqual(Utils.parseRegionCodes(''), { locations: [], invalid: [] });
+    });
+
+    it('inferPreferredRegion picks the most frequent recent region', () => {
+        const moscow = { region: 'г Москва', regionKladrId: '7700000000000' };
+        const spb = { region: 'г Санкт-Петербург', regionKladrId: '7800000000000' };
+
+        assert.deepEqual(Utils.inferPreferredRegion([spb, moscow, moscow]), { code: '77', name: 'г Москва' });
+        assert.deepEqual(Utils.inferPreferredRegion([spb, moscow]), { code: '78', name: 'г Санкт-Петербург' });
+        assert.deepEqual(Utils.inferPreferredRegion([spb, moscow, moscow], 1), { code: '78', name: 'г Санкт-Петербург' });
+        assert.equal(Utils.inferPreferredRegion([{ bic: '044525225' }]), null);
+        assert.equal(Utils.getRegionCode('7800000000000'), '78');
+        assert.equal(Utils.getRegionCode('abc'), '');
+    });
+
+    it('maps statuses to text and CSS classes', () => {
+        assert.equal(Utils.getStatusText('ACTIVE'), 'Действующий');
+        assert.equal(Utils.getStatusClass('ACTIVE'), 'active');
+        assert.equal(Utils.getStatusClass('LIQUIDATED'), 'liquidated');
+    });
+
+    it('formatDateTime formats timestamps and skips invalid values', () => {
+        assert.match(Utils.formatDateTime(Date.UTC(2024, 0, 15, 9, 30), 'ru-RU'), /^15\.01\.2024, \d{2}:30$/);
+        assert.equal(Utils.formatDateTime(null), '');
+        assert.equal(Utils.formatDateTime('not a date'), '');
+    });
+
+    it('formatDate formats dates without time', () => {
+        assert.equal(Utils.formatDate(Date.UTC(1991, 5, 20, 12), 'ru-RU'), '20.06.1991');
+        assert.equal(Utils.formatDate('2024-01-15T12:00:00Z', 'en-US'), '01/15/2024');
+        assert.equal(Utils.formatDate(null), '');
+    });
+
+    it('getBankInitials builds initials from the name', () => {
+        assert.equal(Utils.getBankInitials(''), 'Б');
+        assert.ok(Utils.getBankInitials('ПАО Сбербанк').length <= 2);
+    });
+});
+
+describe('Utils account checks', () => {
+    it('validateAccount checks the control key against the last BIC digits', () => {
+        const result = Utils.validateAccount('044525225', '40702810938000000001');
+
+        assert.equal(result.valid, true);
+        assert.equal(result.method, 'bic');
+        assert.deepEqual(result.errors, []);
+    });
+
+    it('validateAccount reports a wrong control key', () => {
+        const result = Utils.validateAccount('044525225', '4070 2810 5380 0001 2345');
+
+        assert.equal(result.valid, false);
+        assert.equal(result.controlKey, '5');
+        assert.equal(result.expectedKey, '9');
+        assert.match(result.errors[0], /контрольный ключ/);
+    });
+
+    it('validateAccount reports format errors', () => {
+        const result = Utils.validateAccount('0445', '4070a');
+
+        assert.equal(result.valid, false);
+        assert.equal(result.errors.length, 3);
+        assert.deepEqual(Utils.validateAccount('044525225', '').errors, ['Номер счета не указан']);
+    });
+
+    it('validateAccount uses the settlement centre digits for 30101 accounts', () => {
+        const result = Utils.validateAccount('044525225', '30101810400000000225');
+
+        assert.equal(result.valid, true);
+        assert.equal(result.method, 'rkc');
+    });
+
+    it('checkCorrespondentAccount passes for every fixture bank', () => {
+        fixtures.forEach(({ data }) => {
+            const report = Utils.checkCorrespondentAccount(data.bic, data.correspondent_account);
+            assert.equal(report.valid, true, data.bic);
+        });
+    });
+
+    it('checkCorrespondentAccount lists each failed check', () => {
+        const report = Utils.checkCorrespondentAccount('044525225', '30102810400000000226');
+        const failed = report.checks.filter(check => !check.passed).map(check => check.id);
+
+        assert.equal(report.valid, false);
+        assert.deepEqual(failed, ['prefix', 'suffix', 'control_key']);
+    });
+
+    it('validateTreasuryAccount checks the single and the treasury account formats', () => {
+        const single = Utils.validateTreasuryAccount('004525988', '40102810545370000003');
+        assert.equal(single.valid, true);
+        assert.equal(single.type, 'single');
+
+        // Реквизиты ТОФК из справочника Казначейства: УФК по г. Москве и УФК по Тверской области
+        [['004525988', '03100643000000017300'], ['017003983', '03100643000000018500']].forEach(([bic, account]) => {
+            const result = Utils.validateTreasuryAccount(bic, account);
+            assert.equal(result.valid, true, `${bic} ${account}: ${result.errors}`);
+            assert.equal(result.type, 'treasury');
+        });
+
+        assert.deepEqual([...Utils.validateTreasuryAccount('004525988', '40102810545370000004').errors],
+            ['Неверный контрольный ключ: 5, ожидается 8']);
+        assert.match(Utils.validateTreasuryAccount('004525988', '40702810938000000001').errors[0], /с 03/);
+        assert.match(Utils.validateTreasuryAccount('004525988', '03100810000000017300').errors[0], /Код валюты/);
+    });
+});
+
+describe('Utils exporters', () => {
+    const bank = Utils.formatBankData(sberbank);
+
+    it('bankToJSON keeps the formatted and raw data', () => {
+        const data = JSON.parse(Utils.bankToJSON(bank, sberbank));
+
+        assert.equal(data.formatted.bic, '044525225');
+        assert.equal(data.raw.data.name.payment, 'ПАО СБЕРБАНК');
+        assert.equal(JSON.parse(Utils.bankToJSON(bank)).raw, null);
+    });
+
+    it('bankToCSV writes a header and an escaped row', () => {
+        const [header, row] = Utils.bankToCSV(bank).split('\r\n');
+
+        assert.match(header, /^Наименование;Полное наименование;БИК;Корр\. счет/);
+        assert.match(row, /;"ПУБЛИЧНОЕ АКЦИОНЕРНОЕ ОБЩЕСТВО ""СБЕРБАНК РОССИИ""";044525225;30101810400000000225;/);
+        assert.match(row, /;Действующий$/);
+        assert.equal(Utils.bankToCSV(bank, { header: false }), row);
+    });
+
+    it('escapeCSV keeps Excel from running values as formulas', () => {
+        assert.equal(Utils.escapeCSV('=HYPERLINK("http://evil")'), `"'=HYPERLINK(""http://evil"")"`);
+        assert.deepEqual(['+7 495 500-55-50', '-1', '@SUM(A1)'].map(Utils.escapeCSV), ["'+7 495 500-55-50", "'-1", "'@SUM(A1)"]);
+        assert.equal(Utils.escapeCSV('044525225'), '044525225');
+        assert.equal(Utils.escapeCSV('ООО "Банк" = 1'), '"ООО ""Банк"" = 1"');
+    });
+
+    it('bankToVCard escapes values and folds long lines', () => {
+        const vcard = Utils.bankToVCard(bank);
+        const lines = vcard.split('\r\n');
+
+        assert.equal(lines[0], 'BEGIN:VCARD');
+        assert.ok(vcard.endsWith('END:VCARD\r\n'));
+        assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+
+        const unfolded = vcard.replace(/\r\n /g, '');
+        // В фикстуре нет города и улицы - адрес целиком передается улицей
+        assert.match(unfolded, /ADR;TYPE=WORK:;;г Москва\\, ул Вавилова\\, д 19;г\. Москва;;;Россия/);
+        assert.match(unfolded, /NOTE:БИК: 044525225\\nКорр\. счет: 30101810400000000225/);
+    });
+
+    it('bankToVCard builds the address from its parts', () => {
+        const withParts = {
+            ...bank,
+            address: '117312, г Москва, ул Вавилова, д 19',
+            addressParts: { postalCode: '117312', region: 'г Москва', city: 'г Москва', street: 'ул Вавилова', house: 'д 19' }
+        };
+        const unfolded = Utils.bankToVCard(withParts).replace(/\r\n /g, '');
+
+        assert.match(unfolded, /ADR;TYPE=WORK:;;ул Вавилова\\, д 19;г Москва;;117312;Россия\r\n/);
+        assert.match(unfolded, /LABEL;TYPE=WORK:117312\\, г Москва\\, ул Вавилова\\, д 19/);
+
+        const region = { ...withParts, addressParts: { ...withParts.addressParts, region: 'Тверская обл', city: 'г Тверь' } };
+        assert.match(Utils.bankToVCard(region).replace(/\r\n /g, ''), /ADR;TYPE=WORK:;;ул Вавилова\\, д 19;г Тверь;Тверская обл;117312;Россия/);
+    });
+
+    it('bankToPrintHTML lists requisites and escapes markup', () => {
+        const html = Utils.bankToPrintHTML({ ...bank, name: '<b>Банк</b>' }, { date: new Date(2024, 0, 2, 3, 4) });
+
+        assert.match(html, /<th>БИК<\/th><td>044525225<\/td>/);
+        assert.match(html, /&lt;b&gt;Банк&lt;\/b&gt;/);
+        assert.match(html, /Сформировано 02\.01\.2024/);
+    });
+});
+
+describe('Utils.debounce', () => {
+    // Настоящие таймеры: mock.timers в Node 18 не отменяет таймер через clearTimeout
+    it('calls the function once with the last arguments', async () => {
+        const calls = [];
+        const debounced = Utils.debounce(value => calls.push(value), 100);
+
+        debounced('0');
+        debounced('04');
+        await wait(10);
+        debounced('044');
+        assert.deepEqual(calls, []);
+
+        await wait(200);
+        assert.deepEqual(calls, ['044']);
+    });
+});